@@ -0,0 +1,457 @@
+#!/usr/bin/env node
+/**
+ * Command line interface for the Vectra Detect SaaS API client.
+ * Run `vectra-saas help` for usage.
+ */
+const SaasClient = require("../index");
+const { DEFAULT_CONFIG_FILE } = require("../lib/profiles");
+
+//Exit codes, most specific error class first
+const EXIT_CODES = [
+  [SaasClient.VectraConfigError, 2],
+  [SaasClient.VectraAuthError, 3],
+  [SaasClient.VectraNotFoundError, 4],
+  [SaasClient.VectraRateLimitError, 5],
+  [SaasClient.VectraValidationError, 6],
+  [SaasClient.VectraServerError, 7],
+  [SaasClient.VectraError, 8],
+];
+
+const USAGE = `Usage: vectra-saas <command> <action> [arguments] [options]
+
+Commands:
+  detections list [--<filter> <value>...]     List detections, e.g. --state active
+  detections get <id>                         Show a detection
+  detections fix <id>...                      Mark detections as fixed
+  detections unfix <id>...                    Unmark detections as fixed
+  accounts list [--<filter> <value>...]       List accounts
+  accounts get <id>                           Show an account
+  hosts list [--<filter> <value>...]          List hosts
+  hosts get <id>                              Show a host
+  hosts detections <id>                       List the detections linked to a host
+  notes list <entity> <id>                    List notes of a detection, account or host
+  notes get <entity> <id> <noteID>            Show a note
+  notes add <entity> <id> <text>              Add a note
+  notes update <entity> <id> <noteID> <text>  Replace the text of a note
+  notes delete <entity> <id> <noteID>         Delete a note
+  tags list <entity> <id>                     List tags of a detection, account or host
+  tags add <entity> <id> <tag>...             Add tags
+  tags remove <entity> <id> <tag>             Remove a tag
+  tags clear <entity> <id>                    Remove all tags
+  assignments list                            List assignments
+  assignments get <id>                        Show an assignment
+  assignments assign <entity> <id> <userID>   Assign an account or host to a user
+  assignments resolve <id> <outcomeID>        Resolve an assignment
+  assignments remove <id>                     Delete an assignment
+  rules list                                  List triage rules
+  rules get <id>                              Show a triage rule
+  rules create <file>                         Create a triage rule from a JSON file
+  rules update <id> <file>                    Replace a triage rule with a JSON file
+  rules delete <id>                           Delete a triage rule
+  users list                                  List users
+  users get <id>                              Show a user
+  lockdown status <entity>                    Show locked account or host entities
+  lockdown lock <entity> <id>                 Lock an account or host
+  lockdown unlock <entity> <id>               Unlock an account or host
+
+Options:
+  --profile <name>       Profile to read from the config file (default: $VECTRA_PROFILE or "default")
+  --config <file>        Config file (default: ${DEFAULT_CONFIG_FILE})
+  --url <url>            Brain URL (default: $VECTRA_URL)
+  --client-id <id>       OAuth client ID (default: $VECTRA_CLIENT_ID)
+  --secret <secret>      OAuth secret (default: $VECTRA_SECRET)
+  --api-version <n>      API version (default: $VECTRA_API_VERSION or 3)
+  --output <format>      json, table or csv (default: json)
+  --fields <a,b,...>     Columns to show in table and csv output
+  --help                 Show this help
+
+Exit codes:
+  0 success, 1 usage error, 2 configuration error, 3 authentication error,
+  4 not found, 5 rate limited, 6 validation error, 7 server error, 8 other API error`;
+
+//Options handled by the CLI itself rather than passed on as search filters
+const GLOBAL_OPTIONS = [
+  "profile",
+  "config",
+  "url",
+  "client-id",
+  "secret",
+  "api-version",
+  "output",
+  "fields",
+];
+
+//Raised for mistakes on the command line
+class UsageError extends Error {}
+
+//Split arguments into positionals and --options
+function parseArgs(argv) {
+  let positionals = [];
+  let options = {};
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positionals.push(arg);
+      continue;
+    }
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+    if (name === "help") {
+      options.help = true;
+      continue;
+    }
+    if (value === undefined) {
+      if (i + 1 >= argv.length) {
+        throw new UsageError(`Missing value for --${name}.`);
+      }
+      value = argv[++i];
+    }
+    options[name] = value;
+  }
+  return { positionals, options };
+}
+
+//Create a client from the command line options, falling back to environment variables and then the config file
+function createClient(options, env) {
+  return new SaasClient({
+    siteURL: options.url,
+    clientID: options["client-id"],
+    secret: options.secret,
+    version: options["api-version"],
+    profile: options.profile,
+    configFile: options.config,
+    env,
+  });
+}
+
+//Turn --some-filter options into some_filter search options
+function toFilters(options) {
+  let filters = {};
+  for (let name of Object.keys(options)) {
+    if (!GLOBAL_OPTIONS.includes(name) && name !== "help") {
+      filters[name.replace(/-/g, "_")] = options[name];
+    }
+  }
+  return filters;
+}
+
+//Map an entity name to the method name fragment used by the client
+function entityName(entity, allowed) {
+  let names = { detection: "Detection", account: "Account", host: "Host" };
+  let key = (entity || "").toLowerCase().replace(/s$/, "");
+  if (!allowed.includes(key)) {
+    throw new UsageError(
+      `Invalid entity "${entity}": expected ${allowed.join(" or ")}.`,
+    );
+  }
+  return names[key];
+}
+
+//Read a required positional argument
+function arg(positionals, index, name) {
+  if (positionals[index] === undefined) {
+    throw new UsageError(`Missing argument <${name}>.`);
+  }
+  return positionals[index];
+}
+
+//Read a required numeric positional argument
+function id(positionals, index, name = "id") {
+  let value = Number(arg(positionals, index, name));
+  if (!Number.isInteger(value)) {
+    throw new UsageError(`Argument <${name}> must be a number.`);
+  }
+  return value;
+}
+
+//Read a list of numeric positional arguments
+function ids(positionals, start) {
+  let values = positionals.slice(start).map(Number);
+  if (values.length === 0 || !values.every(Number.isInteger)) {
+    throw new UsageError("Expected one or more numeric IDs.");
+  }
+  return values;
+}
+
+//Read a JSON file named on the command line
+function readJSON(file) {
+  try {
+    return JSON.parse(require("fs").readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new UsageError(`Cannot read JSON from ${file}: ${err.message}`);
+  }
+}
+
+//Bind a client method to arguments that have already been checked
+function call(method, ...args) {
+  return async (client) => await client[method](...args);
+}
+
+//Check a command and its arguments, returning a function that runs it against a client
+function parseCommand(positionals, options) {
+  let [command, action] = positionals;
+  let filters = toFilters(options);
+  switch (`${command} ${action}`) {
+    case "detections list":
+      return call("getAllDetections", filters);
+    case "detections get":
+      return call("getDetection", id(positionals, 2));
+    case "detections fix":
+      return call("markAsFixed", ids(positionals, 2));
+    case "detections unfix":
+      return call("unmarkAsFixed", ids(positionals, 2));
+    case "accounts list":
+      return call("getAllAccounts", filters);
+    case "accounts get":
+      return call("getAccount", id(positionals, 2));
+    case "hosts list":
+      return call("getAllHosts", filters);
+    case "hosts get":
+      return call("getHost", id(positionals, 2));
+    case "hosts detections":
+      return call("getHostDetections", id(positionals, 2), filters);
+    case "notes list": {
+      let entity = entityName(positionals[2], ["detection", "account", "host"]);
+      return call(`get${entity}Notes`, id(positionals, 3));
+    }
+    case "notes get": {
+      let entity = entityName(positionals[2], ["detection", "account", "host"]);
+      return call(
+        `get${entity}Note`,
+        id(positionals, 3),
+        id(positionals, 4, "noteID"),
+      );
+    }
+    case "notes add": {
+      let entity = entityName(positionals[2], ["detection", "account", "host"]);
+      return call(
+        `add${entity}Note`,
+        id(positionals, 3),
+        arg(positionals, 4, "text"),
+      );
+    }
+    case "notes update": {
+      let entity = entityName(positionals[2], ["detection", "account", "host"]);
+      return call(
+        `update${entity}Note`,
+        id(positionals, 3),
+        id(positionals, 4, "noteID"),
+        arg(positionals, 5, "text"),
+      );
+    }
+    case "notes delete": {
+      let entity = entityName(positionals[2], ["detection", "account", "host"]);
+      return call(
+        `delete${entity}Note`,
+        id(positionals, 3),
+        id(positionals, 4, "noteID"),
+      );
+    }
+    case "tags list": {
+      let entity = entityName(positionals[2], ["detection", "account", "host"]);
+      return call(`get${entity}Tags`, id(positionals, 3));
+    }
+    case "tags add": {
+      let entity = entityName(positionals[2], ["detection", "account", "host"]);
+      let tags = positionals.slice(4);
+      if (tags.length === 0) {
+        throw new UsageError("Missing argument <tag>.");
+      }
+      return call(`add${entity}Tags`, id(positionals, 3), tags);
+    }
+    case "tags remove": {
+      let entity = entityName(positionals[2], ["detection", "account", "host"]);
+      return call(
+        `delete${entity}Tag`,
+        id(positionals, 3),
+        arg(positionals, 4, "tag"),
+      );
+    }
+    case "tags clear": {
+      let entity = entityName(positionals[2], ["detection", "account", "host"]);
+      return call(`clear${entity}Tags`, id(positionals, 3));
+    }
+    case "assignments list":
+      return call("getAssignments");
+    case "assignments get":
+      return call("getAssignment", id(positionals, 2));
+    case "assignments assign": {
+      let entity = entityName(positionals[2], ["account", "host"]);
+      return call(
+        `assign${entity}`,
+        id(positionals, 3),
+        id(positionals, 4, "userID"),
+      );
+    }
+    case "assignments resolve":
+      return call(
+        "resolveAssignment",
+        id(positionals, 2),
+        arg(positionals, 3, "outcomeID"),
+      );
+    case "assignments remove":
+      return call("removeAssignment", id(positionals, 2));
+    case "rules list":
+      return call("getTriageRules");
+    case "rules get":
+      return call("getTriageRule", id(positionals, 2));
+    case "rules create":
+      return call("createTriageRule", readJSON(arg(positionals, 2, "file")));
+    case "rules update":
+      return call(
+        "updateTriageRule",
+        id(positionals, 2),
+        readJSON(arg(positionals, 3, "file")),
+      );
+    case "rules delete":
+      return call("deleteTriageRule", id(positionals, 2));
+    case "users list":
+      return call("getUsers");
+    case "users get":
+      return call("getUser", id(positionals, 2));
+    case "lockdown status":
+      return call(
+        "getLockStatus",
+        entityName(positionals[2], ["account", "host"]).toLowerCase(),
+      );
+    case "lockdown lock":
+    case "lockdown unlock":
+      return call(
+        "applyLockStatus",
+        action,
+        entityName(positionals[2], ["account", "host"]).toLowerCase(),
+        id(positionals, 3),
+      );
+    default:
+      throw new UsageError(
+        command ? `Unknown command "${positionals.join(" ")}".` : USAGE,
+      );
+  }
+}
+
+//Turn a result into rows of flat objects for table and csv output
+function toRows(result) {
+  let rows = Array.isArray(result) ? result : [result];
+  return rows.map((row) =>
+    row !== null && typeof row === "object" ? row : { value: row },
+  );
+}
+
+//Render a single value for table and csv output
+function cell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+//Pick the columns to show, in the order they first appear
+function columns(rows, fields) {
+  if (fields) {
+    return fields.split(",").map((field) => field.trim());
+  }
+  let names = [];
+  for (let row of rows) {
+    for (let name of Object.keys(row)) {
+      if (!names.includes(name)) {
+        names.push(name);
+      }
+    }
+  }
+  return names;
+}
+
+//Format a result as an aligned text table
+function formatTable(result, fields) {
+  let rows = toRows(result);
+  let names = columns(rows, fields);
+  let lines = [names].concat(rows.map((row) => names.map((n) => cell(row[n]))));
+  let widths = names.map((name, i) =>
+    Math.max(...lines.map((line) => line[i].length)),
+  );
+  return lines
+    .map((line) =>
+      line
+        .map((value, i) => value.padEnd(widths[i]))
+        .join("  ")
+        .trimEnd(),
+    )
+    .join("\n");
+}
+
+//Format a result as RFC 4180 CSV
+function formatCSV(result, fields) {
+  let rows = toRows(result);
+  let names = columns(rows, fields);
+  let quote = (value) =>
+    /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  return [names]
+    .concat(rows.map((row) => names.map((n) => cell(row[n]))))
+    .map((line) => line.map(quote).join(","))
+    .join("\n");
+}
+
+//Format a result for output
+function format(result, output, fields) {
+  switch (output || "json") {
+    case "json":
+      return JSON.stringify(result, null, 2);
+    case "table":
+      return formatTable(result, fields);
+    case "csv":
+      return formatCSV(result, fields);
+    default:
+      throw new UsageError(
+        `Invalid output format "${output}": expected json, table or csv.`,
+      );
+  }
+}
+
+//Pick the exit code matching an error
+function exitCode(err) {
+  if (err instanceof UsageError) {
+    return 1;
+  }
+  for (let [ErrorClass, code] of EXIT_CODES) {
+    if (err instanceof ErrorClass) {
+      return code;
+    }
+  }
+  return 1;
+}
+
+/**
+ * Run the command line interface.
+ * @param {string[]} argv - Command line arguments, without the node and script paths.
+ * @param {object} [env] - Environment variables.
+ * @returns {Promise} Exit code.
+ */
+async function main(argv, env = process.env) {
+  try {
+    let { positionals, options } = parseArgs(argv);
+    if (options.help || positionals[0] === "help") {
+      process.stdout.write(`${USAGE}\n`);
+      return 0;
+    }
+    //Check the output format before sending anything
+    format([], options.output, options.fields);
+    //Check the command before looking for credentials, so usage errors come first
+    let command = parseCommand(positionals, options);
+    let result = await command(createClient(options, env));
+    process.stdout.write(`${format(result, options.output, options.fields)}\n`);
+    return 0;
+  } catch (err) {
+    process.stderr.write(`${err.message}\n`);
+    if (err.body) {
+      process.stderr.write(`${JSON.stringify(err.body)}\n`);
+    }
+    return exitCode(err);
+  }
+}
+
+module.exports = main;
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
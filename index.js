@@ -1,4 +1,36 @@
-const axios = require("axios");
+const crypto = require("crypto");
+const retry = require("./lib/retry");
+const RateLimiter = require("./lib/rateLimiter");
+const {
+  abortError,
+  abortable,
+  throwIfAborted,
+  withDeadline,
+} = require("./lib/abort");
+const errors = require("./lib/errors");
+const EventSubscription = require("./lib/subscription");
+const triageRules = require("./lib/triageRules");
+const { buildQuery } = require("./lib/query");
+const MockBrain = require("./lib/mockBrain");
+const Cassette = require("./lib/cassette");
+const { createLogger } = require("./lib/logger");
+const telemetry = require("./lib/telemetry");
+const { AxiosTransport, FetchTransport } = require("./lib/transports");
+const { FileTokenCache } = require("./lib/tokenCache");
+const {
+  resolveSettings,
+  validateSettings,
+  validateCredentials,
+} = require("./lib/credentials");
+const BulkOperations = require("./lib/bulk");
+const LockdownManager = require("./lib/lockdownManager");
+const { MemoryCache, ResponseCache } = require("./lib/cache");
+const formatters = require("./lib/formatters");
+const { SyslogForwarder, WebhookForwarder } = require("./lib/forwarders");
+const {
+  MemoryCheckpointStore,
+  FileCheckpointStore,
+} = require("./lib/checkpointStore");
 /**
  * Creates a new SaaS Client Object.
  */
@@ -8,190 +40,646 @@ module.exports = class SaasClient {
   #siteURL = null;
   #clientID = null;
   #secret = null;
-  #sleepTime = 500;
+  #credentials = null;
   #token = null;
+  #tokenPromise = null;
+  #rejectedToken = null;
+  #tokenCache = null;
+  #tokenKey = null;
   #version = null;
+  #retry = null;
+  #limiter = null;
+  #strictFilters = true;
+  #cassette = null;
+  #bulkOptions = null;
+  #cache = null;
+  #middleware = [];
+  #transport = null;
+  #logger = null;
+  #bulk = null;
 
   /**
-   * @param {string} siteURL - The URL Where your SaaS Brain is located. e.g. https://000000000000.foo.portal.vectra.ai
+   * Takes either positional settings, or a single options object that also holds siteURL, clientID, secret and version.
+   * Settings missing from an options object are read from the VECTRA_* environment variables, then from a profile in the config file.
+   * @param {string|object} siteURL - The URL Where your SaaS Brain is located. e.g. https://000000000000.foo.portal.vectra.ai
    * @param {string} clientID - OAuth Client ID. Generated in Manage/API Clients.
    * @param {string} secret - OAuth Secret. Generated in Manage/API Clients.
-   * @param {number} version - API Version. Defaults to 3.
+   * @param {number|string} version - API Version, e.g. 3 or "3.3". Defaults to 3.
+   * @param {object} [options] - Additional client options.
+   * @param {object|boolean} [options.retry] - Retry policy for failed requests, or false to disable retries.
+   * @param {object} [options.rateLimit] - Settings for the built-in rate limiter.
+   * @param {object} [options.rateLimiter] - Rate limiter to use instead of the built-in one. Can be shared between clients.
+   * @param {boolean} [options.strictFilters] - Reject unknown search filters before sending a request. Defaults to true.
+   * @param {object} [options.tokenCache] - Store shared between clients to cache tokens in, e.g. a FileTokenCache.
+   * @param {object|boolean} [options.cache] - Cache GET responses. Pass true for the defaults, or an object with ttl, ttls, maxSize and backend.
+   * @param {object} [options.transport] - Settings for the built-in axios transport, e.g. proxy, ca, timeout and keepAlive, or a transport object with an async request(config) method.
+   * @param {object} [options.logger] - pino or winston compatible logger. Nothing is logged when left out.
+   * @param {string} [options.logLevel] - Least severe level to log: trace, debug, info, warn, error or silent. Defaults to "info".
+   * @param {string[]} [options.redact] - Field names to redact from logs, on top of tokens and secrets.
+   * @param {object} [options.bulk] - Default chunk size and concurrency for bulk operations.
+   * @param {object} [options.cassette] - Record requests to, or replay them from, a cassette file. Takes a file and a mode of "record" or "replay".
+   * @param {Function} [options.credentials] - Async function resolving with a clientID and secret, e.g. from a secrets manager. Called before each new token when they are not configured otherwise.
+   * @param {object|boolean} [options.env] - Environment variables to read settings from, or false to ignore them. Options object only. Defaults to process.env.
+   * @param {string|boolean} [options.profile] - Profile to read settings from, or false to ignore the config file. Options object only. Defaults to VECTRA_PROFILE, then "default".
+   * @param {string} [options.configFile] - Path of the config file. Options object only. Defaults to VECTRA_CONFIG_FILE, then ~/.vectra/config.
+   * @throws {VectraConfigError} When a setting is missing or invalid.
    */
-  constructor(siteURL, clientID, secret, version = 3) {
-    this.#siteURL = siteURL;
-    this.#clientID = clientID;
-    this.#secret = secret;
-    this.#version = `v${version}`;
+  constructor(siteURL, clientID, secret, version = 3, options = {}) {
+    let settings = { siteURL, clientID, secret, version };
+    if (siteURL && typeof siteURL === "object") {
+      options = siteURL;
+      settings = resolveSettings(options);
+    }
+    if (
+      options.credentials !== undefined &&
+      typeof options.credentials !== "function"
+    ) {
+      throw new errors.VectraConfigError(
+        "The credentials option must be a function.",
+      );
+    }
+    validateSettings(settings, { provider: Boolean(options.credentials) });
+    this.#siteURL = settings.siteURL.replace(/\/+$/, "");
+    this.#setCredentials(settings.clientID, settings.secret);
+    if (!settings.clientID || !settings.secret) {
+      this.#credentials = options.credentials;
+    }
+    this.#version = `v${String(settings.version ?? 3).replace(/^v/i, "")}`;
+    this.#retry = retry.normalizePolicy(options.retry);
+    this.#limiter = options.rateLimiter || new RateLimiter(options.rateLimit);
+    this.#strictFilters = options.strictFilters !== false;
+    this.#tokenCache = options.tokenCache || null;
+    if (options.cassette) {
+      this.#cassette = new Cassette(options.cassette, this.#siteURL);
+    }
+    this.#bulkOptions = options.bulk;
+    this.#transport =
+      options.transport && typeof options.transport.request === "function"
+        ? options.transport
+        : new AxiosTransport(options.transport);
+    this.#logger = createLogger(options.logger, {
+      level: options.logLevel,
+      redact: options.redact,
+    });
+    if (options.cache) {
+      this.#cache = new ResponseCache(
+        `${this.#tokenKey}:${this.#version}`,
+        options.cache === true ? {} : options.cache,
+      );
+    }
   }
 
-  //Sleep for a period of time
-  async #sleep(timeout) {
+  /**
+   * Create a client from the VECTRA_URL, VECTRA_CLIENT_ID, VECTRA_SECRET and VECTRA_API_VERSION environment variables.
+   * @param {object} [options] - Additional client options. siteURL, clientID, secret and version given here take precedence.
+   * @returns {SaasClient} The new client.
+   * @throws {VectraConfigError} When a setting is missing or invalid.
+   */
+  static fromEnv(options = {}) {
+    return new this({ ...options, profile: false });
+  }
+
+  /**
+   * Create a client from a profile in the config file.
+   * @param {string} [name] - Name of the profile. Defaults to "default".
+   * @param {object} [options] - Additional client options, e.g. configFile. siteURL, clientID, secret and version given here take precedence.
+   * @returns {SaasClient} The new client.
+   * @throws {VectraConfigError} When the profile cannot be read, or a setting is missing or invalid.
+   */
+  static fromProfile(name = "default", options = {}) {
+    return new this({ ...options, profile: name, env: false });
+  }
+
+  /**
+   * Drop every cached GET response. Only needed after changes made outside this client.
+   * @returns {Promise} Resolves once the cache is cleared.
+   */
+  async clearCache() {
+    try {
+      if (this.#cache) {
+        await this.#cache.clear();
+      }
+    } catch (err) {
+      throw err;
+    }
+  }
+
+  /**
+   * Bulk operations that chunk large ID lists, run with bounded concurrency and report per item results.
+   * @returns {BulkOperations} Bulk operations for this client.
+   */
+  get bulk() {
+    if (!this.#bulk) {
+      this.#bulk = new BulkOperations(this, this.#bulkOptions);
+    }
+    return this.#bulk;
+  }
+
+  //Sleep for a period of time, waking early if the signal is aborted
+  async #sleep(timeout, signal) {
+    throwIfAborted(signal);
     return new Promise((resolve, reject) => {
-      setTimeout(() => {
+      let onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError(signal));
+      };
+      let timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
         resolve(true);
       }, timeout);
+      signal?.addEventListener("abort", onAbort, { once: true });
     });
   }
 
+  /**
+   * Add middleware that runs around every HTTP request, including token requests.
+   * Hooks run in the order they were added, and may be async.
+   * @param {object} middleware - Hooks to add.
+   * @param {Function} [middleware.onRequest] - Called with the request before it is sent. May change it, or return a replacement.
+   * @param {Function} [middleware.onResponse] - Called with the response and the request after a success.
+   * @param {Function} [middleware.onError] - Called with the VectraError and the request after a failure.
+   * @returns {SaasClient} The client, so calls can be chained.
+   */
+  use(middleware) {
+    if (!middleware || typeof middleware !== "object") {
+      throw new errors.VectraValidationError(
+        "Middleware must be an object with onRequest, onResponse or onError hooks.",
+      );
+    }
+    this.#middleware.push(middleware);
+    return this;
+  }
+
+  //Send an HTTP request through the middleware, and the cassette when one is configured
+  async #http(config, kind = "api") {
+    let request = {
+      ...config,
+      headers: { ...config.headers },
+      kind: kind,
+      startTime: Date.now(),
+    };
+    try {
+      for (let middleware of this.#middleware) {
+        if (middleware.onRequest) {
+          request = (await middleware.onRequest(request)) || request;
+        }
+      }
+      let config = { ...request };
+      delete config.kind;
+      delete config.startTime;
+      let response = await telemetry.withSpan(
+        `${request.method} ${telemetry.endpoint(request.url)}`,
+        { "http.request.method": request.method, "url.full": request.url },
+        async (span) => {
+          let response = this.#cassette
+            ? await this.#cassette.send(config, (outgoing) =>
+                this.#transport.request(outgoing),
+              )
+            : await this.#transport.request(config);
+          span?.setAttribute("http.response.status_code", response.status);
+          return response;
+        },
+      );
+      telemetry.recordRequest(
+        request.method,
+        request.url,
+        response.status,
+        Date.now() - request.startTime,
+      );
+      this.#logger.debug(
+        {
+          method: request.method,
+          url: request.url,
+          status: response.status,
+          duration: Date.now() - request.startTime,
+        },
+        "Request succeeded",
+      );
+      for (let middleware of this.#middleware) {
+        if (middleware.onResponse) {
+          await middleware.onResponse(response, request);
+        }
+      }
+      return response;
+    } catch (err) {
+      let error = errors.toVectraError(err, request.method, request.url);
+      telemetry.recordRequest(
+        request.method,
+        request.url,
+        error.status,
+        Date.now() - request.startTime,
+      );
+      this.#logger.debug(
+        {
+          method: request.method,
+          url: request.url,
+          status: error.status,
+          code: error.code,
+          duration: Date.now() - request.startTime,
+        },
+        "Request failed",
+      );
+      for (let middleware of this.#middleware) {
+        if (middleware.onError) {
+          await middleware.onError(error, request);
+        }
+      }
+      throw error;
+    }
+  }
+
   //Get token from OAuth2
   async #getToken() {
+    const url = `${this.#siteURL}/oauth2/token`;
     try {
       const token = Buffer.from(
         `${this.#clientID}:${this.#secret}`,
         "utf8",
       ).toString("base64");
-      let data = await axios({
-        url: `${this.#siteURL}/oauth2/token`,
-        method: "POST",
-        headers: {
-          Authorization: `Basic ${token}`,
-          "Content-Type": "application/x-www-form-urlencoded",
+      let data = await this.#http(
+        {
+          url: url,
+          method: "POST",
+          headers: {
+            Authorization: `Basic ${token}`,
+            "Content-Type": "application/x-www-form-urlencoded",
+          },
+          data: "grant_type=client_credentials",
         },
-        data: "grant_type=client_credentials",
-      });
+        "token",
+      );
       //Set time that token expires
       this.#tokenRefresh =
         Math.floor(Date.now() / 1000) + data.data.expires_in - 100;
+      this.#logger.info({ expiresIn: data.data.expires_in }, "Token issued");
       return data.data.access_token;
     } catch (err) {
-      throw err;
+      throw errors.toVectraError(err, "POST", url);
+    }
+  }
+
+  //Load a usable token from the token cache
+  async #loadCachedToken() {
+    try {
+      let cached = await this.#tokenCache.load(this.#tokenKey);
+      if (
+        cached &&
+        cached.accessToken !== this.#rejectedToken &&
+        cached.expiresAt >= Math.floor(Date.now() / 1000)
+      ) {
+        return cached;
+      }
+    } catch (err) {
+      //The cache only saves token requests, so a broken one is ignored
+    }
+    return null;
+  }
+
+  //Share a new token through the token cache
+  async #saveCachedToken() {
+    try {
+      await this.#tokenCache.save(this.#tokenKey, {
+        accessToken: this.#token,
+        expiresAt: this.#tokenRefresh,
+      });
+    } catch (err) {
+      //The cache only saves token requests, so a broken one is ignored
+    }
+  }
+
+  //Set the client ID and secret, and the token cache key that depends on them
+  #setCredentials(clientID, secret) {
+    this.#clientID = clientID;
+    this.#secret = secret;
+    this.#tokenKey = crypto
+      .createHash("sha256")
+      .update(`${this.#siteURL} ${clientID ?? ""}`)
+      .digest("hex");
+  }
+
+  //Ask the credentials provider for the client ID and secret
+  async #loadCredentials() {
+    let provided;
+    try {
+      provided = await this.#credentials();
+    } catch (err) {
+      if (err instanceof errors.VectraError) {
+        throw err;
+      }
+      throw new errors.VectraConfigError(
+        `The credentials provider failed: ${err.message}`,
+      );
+    }
+    let { clientID, secret } = validateCredentials(provided);
+    this.#setCredentials(clientID, secret);
+  }
+
+  //Replace the token, from the token cache if it has a usable one
+  async #refreshToken() {
+    //Provided secrets can be rotated, so they are fetched again for each token
+    if (this.#credentials) {
+      await this.#loadCredentials();
+    }
+    if (this.#tokenCache) {
+      let cached = await this.#loadCachedToken();
+      if (cached) {
+        this.#token = cached.accessToken;
+        this.#tokenRefresh = cached.expiresAt;
+        telemetry.recordTokenRefresh("cache");
+        return;
+      }
+    }
+    this.#token = await this.#getToken();
+    telemetry.recordTokenRefresh("oauth");
+    if (this.#tokenCache) {
+      await this.#saveCachedToken();
     }
   }
 
   //Check that a token exists and is still valid.
-  async #checkToken() {
+  async #checkToken(signal) {
     try {
       if (!this.#token || this.#tokenRefresh < Math.floor(Date.now() / 1000)) {
-        this.#token = await this.#getToken();
+        //Concurrent callers wait on the same token request
+        if (!this.#tokenPromise) {
+          this.#tokenPromise = telemetry
+            .withSpan("vectra.token.refresh", {}, () => this.#refreshToken())
+            .finally(() => {
+              this.#tokenPromise = null;
+            });
+        }
+        //The token request is shared, so cancelling only stops waiting for it
+        await abortable(this.#tokenPromise, signal);
       }
-      await this.#sleep(this.#sleepTime);
       return true;
     } catch (err) {
       throw err;
     }
   }
 
-  //Get data from API
-  async #get(url) {
+  //Forget a token the brain rejected, unless it has already been replaced
+  #invalidateToken(token) {
+    this.#rejectedToken = token;
+    if (this.#token === token) {
+      this.#token = null;
+    }
+  }
+
+  //Wait for the rate limiter, handing the slot back if the call is cancelled first
+  async #acquire(signal) {
+    let acquired = Promise.resolve(this.#limiter.acquire(signal));
     try {
-      await this.#checkToken();
-      let query = await axios({
-        url: `${this.#siteURL}/api/${this.#version}${url}`,
-        method: "GET",
-        headers: {
-          Authorization: `Bearer ${this.#token}`,
-        },
-      });
-      return query.data;
-    } catch (err) {
-      if (err.response) {
-        throw {
-          status: err.response.status,
-          statusText: err.response.statusText,
-          url: err.response.config.url,
-        };
-      } else {
-        throw err;
-      }
+      await abortable(acquired, signal);
+    } catch (err) {
+      //Custom limiters may ignore the signal and still hand out the slot later
+      acquired.then(
+        () => this.#limiter.release(),
+        () => {},
+      );
+      throw err;
     }
   }
 
-  //Post data to API
-  async #post(url, body) {
+  //Send a single request with the given token once the rate limiter lets it through
+  async #send(method, url, body, token, signal) {
+    const fullURL = `${this.#siteURL}/api/${this.#version}${url}`;
+    let waitStart = Date.now();
+    await this.#acquire(signal);
+    telemetry.recordRateLimitWait(Date.now() - waitStart);
     try {
-      await this.#checkToken();
-      let data = await axios({
-        url: `${this.#siteURL}/api/${this.#version}${url}`,
-        method: "POST",
+      let data = await this.#http({
+        url: fullURL,
+        method: method,
         headers: {
-          Authorization: `Bearer ${this.#token}`,
+          Authorization: `Bearer ${token}`,
         },
         data: body,
+        signal: signal,
       });
-      return data.data;
-    } catch (err) {
-      if (err.response) {
-        throw {
-          status: err.response.status,
-          statusText: err.response.statusText,
-          url: err.response.config.url,
-        };
-      } else {
-        throw err;
+      this.#limiter.onSuccess?.();
+      return data;
+    } catch (err) {
+      throw errors.toVectraError(err, method, fullURL);
+    } finally {
+      this.#limiter.release();
+    }
+  }
+
+  //Send a request to the API, retrying failures the retry policy allows
+  async #request(method, url, body, options = {}) {
+    options = withDeadline(options);
+    let reauthenticated = false;
+    for (let attempt = 1; ; attempt++) {
+      let token = null;
+      try {
+        throwIfAborted(options.signal);
+        await this.#checkToken(options.signal);
+        token = this.#token;
+        //Another call may replace the token while this one waits for the rate limiter
+        let data = await this.#send(method, url, body, token, options.signal);
+        if (this.#cache && method !== "GET") {
+          await this.#cache.invalidate(url);
+        }
+        return data.data;
+      } catch (err) {
+        if (options.signal && options.signal.aborted) {
+          throw abortError(options.signal);
+        }
+        //A token revoked by the brain is replaced and the request sent once more
+        if (err.status === 401 && token && !reauthenticated) {
+          this.#logger.warn(
+            { method: method, url: url },
+            "Token rejected, requesting a new one",
+          );
+          reauthenticated = true;
+          this.#invalidateToken(token);
+          attempt--;
+          continue;
+        }
+        if (err.status === 429) {
+          this.#limiter.onRateLimit?.(retry.getRetryAfter(err));
+        }
+        if (!retry.shouldRetry(this.#retry, method, err, attempt)) {
+          //Client errors such as a 404 are often expected by the caller
+          let level = err.status >= 400 && err.status < 500 ? "warn" : "error";
+          this.#logger[level](
+            {
+              method: method,
+              url: url,
+              status: err.status,
+              code: err.code,
+              attempts: attempt,
+            },
+            err.message,
+          );
+          throw err;
+        }
+        let delay = retry.getDelay(this.#retry, err, attempt);
+        this.#logger.warn(
+          {
+            method: method,
+            url: url,
+            status: err.status,
+            code: err.code,
+            attempt: attempt,
+            delay: delay,
+          },
+          "Request failed, retrying",
+        );
+        telemetry.recordRetry(method, url);
+        await telemetry.withSpan(
+          "vectra.retry",
+          {
+            "vectra.retry.attempt": attempt,
+            "vectra.retry.delay": delay,
+            "vectra.retry.reason": err.status ? String(err.status) : err.code,
+          },
+          () => this.#sleep(delay, options.signal),
+        );
       }
     }
   }
 
-  //Patch data to API
-  async #patch(url, body) {
+  //Get data from API
+  async #get(url, options = {}) {
     try {
-      await this.#checkToken();
-      let data = await axios({
-        url: `${this.#siteURL}/api/${this.#version}${url}`,
-        method: "PATCH",
-        headers: {
-          Authorization: `Bearer ${this.#token}`,
-        },
-        data: body,
-      });
-      return data.data;
+      if (this.#cache && this.#cache.ttlFor(url) > 0) {
+        //The response may be shared with other callers, so cancelling only stops waiting for it
+        return await abortable(
+          this.#cache.wrap(url, () => this.#request("GET", url, undefined)),
+          withDeadline(options).signal,
+        );
+      }
+      return await this.#request("GET", url, undefined, options);
     } catch (err) {
       throw err;
     }
   }
 
   //Post data to API
-  async #put(url, body) {
+  async #post(url, body, options) {
     try {
-      await this.#checkToken();
-      let data = await axios({
-        url: `${this.#siteURL}/api/${this.#version}${url}`,
-        method: "PUT",
-        headers: {
-          Authorization: `Bearer ${this.#token}`,
-        },
-        data: body,
-      });
-      return data.data;
-    } catch (err) {
-      if (err.response) {
-        throw {
-          status: err.response.status,
-          statusText: err.response.statusText,
-          url: err.response.config.url,
-        };
-      } else {
-        throw err;
-      }
+      return await this.#request("POST", url, body, options);
+    } catch (err) {
+      throw err;
+    }
+  }
+
+  //Patch data to API
+  async #patch(url, body, options) {
+    try {
+      return await this.#request("PATCH", url, body, options);
+    } catch (err) {
+      throw err;
+    }
+  }
+
+  //Put data to API
+  async #put(url, body, options) {
+    try {
+      return await this.#request("PUT", url, body, options);
+    } catch (err) {
+      throw err;
     }
   }
 
   //Delete data from API
-  async #delete(url, body) {
+  async #delete(url, body, options) {
     try {
-      await this.#checkToken();
-      let data = await axios({
-        url: `${this.#siteURL}/api/${this.#version}${url}`,
-        method: "DELETE",
-        headers: {
-          Authorization: `Bearer ${this.#token}`,
-        },
-        data: body,
-      });
-      return data.data;
+      return await this.#request("DELETE", url, body, options);
     } catch (err) {
       throw err;
     }
   }
 
+  //Turn search options into extra query string parameters
+  #toQuery(resource, options) {
+    let query = buildQuery(resource, options, { strict: this.#strictFilters });
+    return query ? `&${query}` : "";
+  }
+
+  //Turn a next link from the API into a URL relative to the API root
+  #nextURL(next) {
+    let base = new URL(`${this.#siteURL}/api/${this.#version}`);
+    let link = new URL(next, base);
+    //Never send the bearer token to a host other than the brain
+    if (link.origin !== base.origin) {
+      throw new errors.VectraError(
+        `Refusing to follow pagination link to a different origin: ${link.origin}`,
+        { method: "GET", url: link.href },
+      );
+    }
+    return link.pathname.replace(/^.*?\/api\/v[^\/]*/, "") + link.search;
+  }
+
+  //Walk a paginated endpoint, yielding one page at a time
+  async *#paginate(url, { pageSize, maxPages = Infinity, signal } = {}) {
+    if (pageSize) {
+      url += `${url.includes("?") ? "&" : "?"}page_size=${pageSize}`;
+    }
+    let next = url;
+    for (let pages = 0; next && pages < maxPages; pages++) {
+      throwIfAborted(signal);
+      let page = next;
+      let data = await telemetry.withSpan(
+        "vectra.page",
+        {
+          "vectra.page.number": pages + 1,
+          "vectra.endpoint": telemetry.endpoint(page),
+        },
+        //Pages are not cached, so full sweeps do not push out single objects
+        () => this.#request("GET", page, undefined, { signal: signal }),
+      );
+      next = data.next ? this.#nextURL(data.next) : null;
+      yield data;
+    }
+  }
+
+  //Yield each page, or each item of each page, from a paginated endpoint
+  async *#iterate(url, iterOptions = {}) {
+    iterOptions = { ...iterOptions, ...withDeadline(iterOptions) };
+    for await (let page of this.#paginate(url, iterOptions)) {
+      if (iterOptions.byPage) {
+        yield page.results;
+        continue;
+      }
+      for (let item of page.results) {
+        throwIfAborted(iterOptions.signal);
+        yield item;
+      }
+    }
+  }
+
+  //Collect every item from a paginated endpoint into one array
+  async #collect(url, callOptions) {
+    let results = [];
+    for await (let page of this.#paginate(url, withDeadline(callOptions))) {
+      results = results.concat(page.results);
+    }
+    return results;
+  }
+
+  //Collect a list that is small enough to cache whole, such as the triage rules
+  async #collectCached(url, callOptions) {
+    if (this.#cache && this.#cache.ttlFor(url) > 0) {
+      //The list may be shared with other callers, so cancelling only stops waiting for it
+      return await abortable(
+        this.#cache.wrap(url, () => this.#collect(url)),
+        withDeadline(callOptions).signal,
+      );
+    }
+    return await this.#collect(url, callOptions);
+  }
+
   /**
    * Get account changes from a specific checkpoint
    * @param {number} [checkpoint] - Starting point to retrieve changes from (0 by default).
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Array containing all account changes since the provided checkpoint.
    */
-  async getAccountChanges(checkpoint = 0) {
+  async getAccountChanges(checkpoint = 0, callOptions) {
     try {
+      callOptions = withDeadline(callOptions);
       let results = [];
       let data = {
         remaining_count: 1,
@@ -200,6 +688,7 @@ module.exports = class SaasClient {
       while (data.remaining_count > 0) {
         data = await this.#get(
           `/events/account_scoring?limit=1000&from=${data.next_checkpoint}`,
+          callOptions,
         );
         results = results.concat(data.events);
       }
@@ -209,19 +698,28 @@ module.exports = class SaasClient {
     }
   }
 
+  //Find the latest checkpoint of an events feed
+  async #getLatestCheckpoint(type, callOptions) {
+    callOptions = withDeadline(callOptions);
+    let data = await this.#get(
+      `/events/${type}?limit=1000&from=999999999999`,
+      callOptions,
+    );
+    data = await this.#get(
+      `/events/${type}?limit=1000&from=${data.next_checkpoint}`,
+      callOptions,
+    );
+    return data.next_checkpoint;
+  }
+
   /**
    * Retrieve the last checkpoint for Account changes
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Number showing the latest Account change checkpoint in the system.
    */
-  async getLatestAccountCheckpoint() {
+  async getLatestAccountCheckpoint(callOptions) {
     try {
-      let data = await this.#get(
-        `/events/account_scoring?limit=1000&from=999999999999`,
-      );
-      data = await this.#get(
-        `/events/account_scoring?limit=1000&from=${data.next_checkpoint}`,
-      );
-      return data.next_checkpoint;
+      return await this.#getLatestCheckpoint("account_scoring", callOptions);
     } catch (err) {
       throw err;
     }
@@ -229,17 +727,12 @@ module.exports = class SaasClient {
 
   /**
    * Retrieve the last checkpoint for Detection changes
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Number showing the latest Detection change checkpoint in the system.
    */
-  async getLatestDetectionCheckpoint() {
+  async getLatestDetectionCheckpoint(callOptions) {
     try {
-      let data = await this.#get(
-        `/events/account_detection?limit=1000&from=999999999999`,
-      );
-      data = await this.#get(
-        `/events/account_detection?limit=1000&from=${data.next_checkpoint}`,
-      );
-      return data.next_checkpoint;
+      return await this.#getLatestCheckpoint("account_detection", callOptions);
     } catch (err) {
       throw err;
     }
@@ -248,10 +741,12 @@ module.exports = class SaasClient {
   /**
    * Get detection changes from a specific checkpoint
    * @param {number} [checkpoint] - Starting point to retrieve changes from (0 by default).
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Array containing all account changes since the provided checkpoint.
    */
-  async getDetectionChanges(checkpoint = 0) {
+  async getDetectionChanges(checkpoint = 0, callOptions) {
     try {
+      callOptions = withDeadline(callOptions);
       let results = [];
       let data = {
         remaining_count: 1,
@@ -260,6 +755,7 @@ module.exports = class SaasClient {
       while (data.remaining_count > 0) {
         data = await this.#get(
           `/events/account_detection?limit=1000&from=${data.next_checkpoint}`,
+          callOptions,
         );
         results = results.concat(data.events);
       }
@@ -269,14 +765,43 @@ module.exports = class SaasClient {
     }
   }
 
+  /**
+   * Subscribe to an events feed. Call start() on the returned subscription to begin polling.
+   * @param {string} type - Event feed to poll, either "account_detection" or "account_scoring".
+   * @param {object} [options] - Subscription options.
+   * @param {number} [options.interval] - Milliseconds to wait between polls. Defaults to 60000.
+   * @param {number} [options.fromCheckpoint] - Checkpoint to start from when the store has none. Defaults to the latest checkpoint.
+   * @param {Function} [options.handler] - Async function called with the events of each page before its checkpoint is committed.
+   * @param {object} [options.store] - Checkpoint store to resume from and commit to.
+   * @param {string} [options.storeKey] - Key the checkpoint is saved under. Defaults to the event type.
+   * @param {AbortSignal} [options.signal] - Signal that stops the subscription and cancels a poll in progress.
+   * @param {number} [options.timeout] - Milliseconds each request of a poll may take.
+   * @returns {EventSubscription} Event emitter producing "event", "checkpoint" and "error" events.
+   */
+  subscribe(type, options) {
+    if (type !== "account_detection" && type !== "account_scoring") {
+      throw new errors.VectraValidationError(
+        `Invalid event type "${type}": expected "account_detection" or "account_scoring".`,
+      );
+    }
+    return new EventSubscription(
+      type,
+      (checkpoint, callOptions) =>
+        this.#get(`/events/${type}?limit=1000&from=${checkpoint}`, callOptions),
+      (callOptions) => this.#getLatestCheckpoint(type, callOptions),
+      options,
+    );
+  }
+
   /**
    * Return a specific detection based on the ID
    * @param {number} detectionID - ID of the detection.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing all the data on the detection.
    */
-  async getDetection(detectionID) {
+  async getDetection(detectionID, callOptions) {
     try {
-      return await this.#get(`/detections/${detectionID}`);
+      return await this.#get(`/detections/${detectionID}`, callOptions);
     } catch (err) {
       throw err;
     }
@@ -285,23 +810,15 @@ module.exports = class SaasClient {
   /**
    * Return detections based on an array of detection IDs
    * @param {number[]} detectionID - IDs of the detections.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing all the data on the detection.
    */
-  async getDetections(detectionIDs) {
+  async getDetections(detectionIDs, callOptions) {
     try {
-      let results = [];
-      let data = {
-        next: `/detections/?id=${detectionIDs.join(",")}`,
-      };
-
-      while (data.next) {
-        data = await this.#get(
-          data.next.replace(/.*vectra.ai\/api\/v3[^\/]*/, ""),
-          true,
-        );
-        results = results.concat(data.results);
-      }
-      return results;
+      return await this.#collect(
+        `/detections/?id=${detectionIDs.join(",")}`,
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -310,42 +827,48 @@ module.exports = class SaasClient {
   /**
    * Return all detections
    * @param {object} options - Search options.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Array containing all detection objects.
    */
-  async getAllDetections(options) {
+  async getAllDetections(options, callOptions) {
     try {
-      let extra = "";
-      //Add options into URL string
-      if (options) {
-        for (let option of Object.keys(options)) {
-          extra += `&${option}=${options[option]}`;
-        }
-      }
-      let results = [];
-      let data = {
-        next: `/detections?page=1${extra}`,
-      };
-      while (data.next) {
-        data = await this.#get(
-          data.next.replace(/.*vectra.ai\/api\/v3[^\/]*/, ""),
-          true,
-        );
-        results = results.concat(data.results);
-      }
-      return results;
+      return await this.#collect(
+        `/detections?page=1${this.#toQuery("detections", options)}`,
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
   }
 
+  /**
+   * Iterate over all detections without holding them all in memory.
+   * @param {object} [options] - Search options.
+   * @param {object} [iterOptions] - Iteration options.
+   * @param {number} [iterOptions.pageSize] - Number of detections to request per page.
+   * @param {number} [iterOptions.maxPages] - Stop after this many pages.
+   * @param {boolean} [iterOptions.byPage] - Yield arrays of detections, one per page, instead of single detections.
+   * @param {AbortSignal} [iterOptions.signal] - Signal used to cancel the iteration.
+   * @param {number} [iterOptions.timeout] - Milliseconds the whole iteration may take.
+   * @param {Date|number} [iterOptions.deadline] - Time the whole iteration must finish by.
+   * @returns {AsyncGenerator} Detection objects, or arrays of them when byPage is set.
+   */
+  async *iterateDetections(options, iterOptions) {
+    yield* this.#iterate(
+      `/detections?page=1${this.#toQuery("detections", options)}`,
+      iterOptions,
+    );
+  }
+
   /**
    * Return the notes for a specific detection.
    * @param {number} detectionID - The ID of the detection.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Array of objects containing details of the notes.
    */
-  async getDetectionNotes(detectionID) {
+  async getDetectionNotes(detectionID, callOptions) {
     try {
-      return await this.#get(`/detections/${detectionID}/notes`);
+      return await this.#get(`/detections/${detectionID}/notes`, callOptions);
     } catch (err) {
       throw err;
     }
@@ -355,11 +878,15 @@ module.exports = class SaasClient {
    * Return a specific note for a detection.
    * @param {number} detectionID - The ID of the detection.
    * @param {number} noteID - The ID of the note.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the note.
    */
-  async getDetectionNote(detectionID, noteID) {
+  async getDetectionNote(detectionID, noteID, callOptions) {
     try {
-      return await this.#get(`/detections/${detectionID}/notes/${noteID}`);
+      return await this.#get(
+        `/detections/${detectionID}/notes/${noteID}`,
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -369,11 +896,16 @@ module.exports = class SaasClient {
    * Add a note to a specific detection.
    * @param {number} detectionID - The ID of the detection.
    * @param {text} note - The text body of the note.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the new note.
    */
-  async addDetectionNote(id, note) {
+  async addDetectionNote(id, note, callOptions) {
     try {
-      return await this.#post(`/detections/${id}/notes`, { note: note });
+      return await this.#post(
+        `/detections/${id}/notes`,
+        { note: note },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -384,13 +916,18 @@ module.exports = class SaasClient {
    * @param {number} detectionID - The ID of the detection.
    * @param {number} noteID - The ID of the note.
    * @param {text} note - The text body to update the note with.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the new note.
    */
-  async updateDetectionNote(detectionID, noteID, note) {
+  async updateDetectionNote(detectionID, noteID, note, callOptions) {
     try {
-      return await this.#patch(`/detections/${detectionID}/notes/${noteID}`, {
-        note: note,
-      });
+      return await this.#patch(
+        `/detections/${detectionID}/notes/${noteID}`,
+        {
+          note: note,
+        },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -400,11 +937,16 @@ module.exports = class SaasClient {
    * Delete a specific note for a detection.
    * @param {number} detectionID - The ID of the detection.
    * @param {number} noteID - The ID of the note.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the deleted note.
    */
-  async deleteDetectionNote(detectionID, noteID) {
+  async deleteDetectionNote(detectionID, noteID, callOptions) {
     try {
-      return await this.#delete(`/detections/${detectionID}/notes/${noteID}`);
+      return await this.#delete(
+        `/detections/${detectionID}/notes/${noteID}`,
+        undefined,
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -413,11 +955,15 @@ module.exports = class SaasClient {
   /**
    * Get tags for a specific detection.
    * @param {number} detectionID - The ID of the detection.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Array of tags in text form.
    */
-  async getDetectionTags(detectionID) {
+  async getDetectionTags(detectionID, callOptions) {
     try {
-      let data = await this.#get(`/tagging/detection/${detectionID}`);
+      let data = await this.#get(
+        `/tagging/detection/${detectionID}`,
+        callOptions,
+      );
       return data.tags;
     } catch (err) {
       throw err;
@@ -428,15 +974,21 @@ module.exports = class SaasClient {
    * Add tags to a detection.
    * @param {number} detectionID - The ID of the detection.
    * @param {text[]} tags - Array of tags to add.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the new tags.
    */
-  async addDetectionTags(detectionID, tags) {
+  async addDetectionTags(detectionID, tags, callOptions) {
     try {
-      let existingTags = await this.getDetectionTags(detectionID);
+      callOptions = withDeadline(callOptions);
+      let existingTags = await this.getDetectionTags(detectionID, callOptions);
       tags = tags.concat(existingTags);
-      return await this.#patch(`/tagging/detection/${detectionID}`, {
-        tags: tags,
-      });
+      return await this.#patch(
+        `/tagging/detection/${detectionID}`,
+        {
+          tags: tags,
+        },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -446,19 +998,25 @@ module.exports = class SaasClient {
    * Delete a tag from a specific detection.
    * @param {number} detectionID - The ID of the detection.
    * @param {text} tag - Value of the tag to be deleted.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the deleted tag.
    */
-  async deleteDetectionTag(detectionID, tag) {
+  async deleteDetectionTag(detectionID, tag, callOptions) {
     try {
-      let existingTags = await this.getDetectionTags(detectionID);
+      callOptions = withDeadline(callOptions);
+      let existingTags = await this.getDetectionTags(detectionID, callOptions);
       for (let i = existingTags.length - 1; i >= 0; i--) {
         if (existingTags[i] == tag) {
           existingTags.splice(i, 1);
         }
       }
-      return await this.#patch(`/tagging/detection/${detectionID}`, {
-        tags: existingTags,
-      });
+      return await this.#patch(
+        `/tagging/detection/${detectionID}`,
+        {
+          tags: existingTags,
+        },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -467,13 +1025,18 @@ module.exports = class SaasClient {
   /**
    * Clear all tags from a specific detection.
    * @param {number} detectionID - The ID of the detection.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the cleared tags.
    */
-  async clearDetectionTags(detectionID) {
+  async clearDetectionTags(detectionID, callOptions) {
     try {
-      return await this.#patch(`/tagging/detection/${detectionID}`, {
-        tags: [],
-      });
+      return await this.#patch(
+        `/tagging/detection/${detectionID}`,
+        {
+          tags: [],
+        },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -482,14 +1045,19 @@ module.exports = class SaasClient {
   /**
    * Mark specific detections as fixed.
    * @param {number[]} detectionIDs - Array of detection IDs to be marked as fixed.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of fixed detections.
    */
-  async markAsFixed(detectionIDs) {
+  async markAsFixed(detectionIDs, callOptions) {
     try {
-      return await this.#patch(`/detections`, {
-        detectionIdList: detectionIDs,
-        mark_as_fixed: "True",
-      });
+      return await this.#patch(
+        `/detections`,
+        {
+          detectionIdList: detectionIDs,
+          mark_as_fixed: "True",
+        },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -498,14 +1066,19 @@ module.exports = class SaasClient {
   /**
    * Unmark specific detections as fixed.
    * @param {number[]} detectionIDs - Array of detection IDs to be unmarked as fixed.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of fixed detections.
    */
-  async unmarkAsFixed(detectionIDs) {
+  async unmarkAsFixed(detectionIDs, callOptions) {
     try {
-      return await this.#patch(`/detections`, {
-        detectionIdList: detectionIDs,
-        mark_as_fixed: "False",
-      });
+      return await this.#patch(
+        `/detections`,
+        {
+          detectionIdList: detectionIDs,
+          mark_as_fixed: "False",
+        },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -515,14 +1088,19 @@ module.exports = class SaasClient {
    * Filter detections with a specific value.
    * @param {number[]} detectionIDs - Array of detection IDs to be marked as fixed.
    * @param {text} value - Value of the new detection subject
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of filtered detections.
    */
-  async filterDetection(detectionIDs, value) {
+  async filterDetection(detectionIDs, value, callOptions) {
     try {
-      return await this.#post(`/rules`, {
-        detectionIdList: detectionIDs,
-        triage_category: value,
-      });
+      return await this.#post(
+        `/rules`,
+        {
+          detectionIdList: detectionIDs,
+          triage_category: value,
+        },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -531,14 +1109,18 @@ module.exports = class SaasClient {
   /**
    * Unfilter detections with a specific value.
    * @param {number[]} detectionIDs - Array of detection IDs to be unmarked as fixed.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of filtered detections.
    */
-  async unfilterDetection(detectionIDs) {
+  async unfilterDetection(detectionIDs, callOptions) {
     try {
-      console.log(detectionIDs);
-      return await this.#delete(`/rules`, {
-        detectionIdList: detectionIDs,
-      });
+      return await this.#delete(
+        `/rules`,
+        {
+          detectionIdList: detectionIDs,
+        },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -547,11 +1129,12 @@ module.exports = class SaasClient {
   /**
    * Return a specific account based on the ID
    * @param {number} accountID - ID of the account.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing all the data on the account.
    */
-  async getAccount(accountID) {
+  async getAccount(accountID, callOptions) {
     try {
-      return await this.#get(`/accounts/${accountID}`);
+      return await this.#get(`/accounts/${accountID}`, callOptions);
     } catch (err) {
       throw err;
     }
@@ -560,23 +1143,15 @@ module.exports = class SaasClient {
   /**
    * Return accounts based on an array of account IDs
    * @param {number[]} accountID - IDs of the accounts.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing all the data on the account.
    */
-  async getAccounts(accountIDs) {
+  async getAccounts(accountIDs, callOptions) {
     try {
-      let results = [];
-      let data = {
-        next: `/accounts/?id=${accountIDs.join(",")}`,
-      };
-
-      while (data.next) {
-        data = await this.#get(
-          data.next.replace(/.*vectra.ai\/api\/v3[^\/]*/, ""),
-          true,
-        );
-        results = results.concat(data.results);
-      }
-      return results;
+      return await this.#collect(
+        `/accounts/?id=${accountIDs.join(",")}`,
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -585,43 +1160,53 @@ module.exports = class SaasClient {
   /**
    * Return all accounts
    * @param {object} options - Search options.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Array containing all account objects.
    */
-  async getAllAccounts(options) {
+  async getAllAccounts(options, callOptions) {
     try {
-      let extra = "";
-      //Add options into URL string
-      if (options) {
-        for (let option of Object.keys(options)) {
-          extra += `&${option}=${options[option]}`;
-        }
-      }
-      let results = [];
-      let data = {
-        next: `/accounts?page=1${extra}`,
-      };
-      while (data.next) {
-        data = await this.#get(
-          data.next.replace(/.*vectra.ai\/api\/v3[^\/]*/, ""),
-          true,
-        );
-        results = results.concat(data.results);
-      }
-      return results;
+      return await this.#collect(
+        `/accounts?page=1${this.#toQuery("accounts", options)}`,
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
   }
 
+  /**
+   * Iterate over all accounts without holding them all in memory.
+   * @param {object} [options] - Search options.
+   * @param {object} [iterOptions] - Iteration options.
+   * @param {number} [iterOptions.pageSize] - Number of accounts to request per page.
+   * @param {number} [iterOptions.maxPages] - Stop after this many pages.
+   * @param {boolean} [iterOptions.byPage] - Yield arrays of accounts, one per page, instead of single accounts.
+   * @param {AbortSignal} [iterOptions.signal] - Signal used to cancel the iteration.
+   * @param {number} [iterOptions.timeout] - Milliseconds the whole iteration may take.
+   * @param {Date|number} [iterOptions.deadline] - Time the whole iteration must finish by.
+   * @returns {AsyncGenerator} Account objects, or arrays of them when byPage is set.
+   */
+  async *iterateAccounts(options, iterOptions) {
+    yield* this.#iterate(
+      `/accounts?page=1${this.#toQuery("accounts", options)}`,
+      iterOptions,
+    );
+  }
+
   /**
    * Add a note to a specific account.
    * @param {number} accountID - The ID of the account.
    * @param {text} note - The text body of the note.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the new note.
    */
-  async addAccountNote(accountID, note) {
+  async addAccountNote(accountID, note, callOptions) {
     try {
-      return await this.#post(`/accounts/${accountID}/notes`, { note: note });
+      return await this.#post(
+        `/accounts/${accountID}/notes`,
+        { note: note },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -630,11 +1215,12 @@ module.exports = class SaasClient {
   /**
    * Return the notes for a specific account.
    * @param {number} accountID - The ID of the account.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Array of objects containing details of the notes.
    */
-  async getAccountNotes(accountID) {
+  async getAccountNotes(accountID, callOptions) {
     try {
-      return await this.#get(`/accounts/${accountID}/notes`);
+      return await this.#get(`/accounts/${accountID}/notes`, callOptions);
     } catch (err) {
       throw err;
     }
@@ -644,11 +1230,15 @@ module.exports = class SaasClient {
    * Return a specific note for an account.
    * @param {number} accountID - The ID of the account.
    * @param {number} noteID - The ID of the note.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the note.
    */
-  async getAccountNote(accountID, noteID) {
+  async getAccountNote(accountID, noteID, callOptions) {
     try {
-      return await this.#get(`/accounts/${accountID}/notes/${noteID}`);
+      return await this.#get(
+        `/accounts/${accountID}/notes/${noteID}`,
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -659,13 +1249,18 @@ module.exports = class SaasClient {
    * @param {number} accountID - The ID of the account.
    * @param {number} noteID - The ID of the note.
    * @param {text} note - The text body to update the note with.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the new note.
    */
-  async updateAccountNote(accountID, noteID, note) {
+  async updateAccountNote(accountID, noteID, note, callOptions) {
     try {
-      return await this.#patch(`/accounts/${accountID}/notes/${noteID}`, {
-        note: note,
-      });
+      return await this.#patch(
+        `/accounts/${accountID}/notes/${noteID}`,
+        {
+          note: note,
+        },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -675,11 +1270,101 @@ module.exports = class SaasClient {
    * Delete a specific note for an account.
    * @param {number} accountID - The ID of the account.
    * @param {number} noteID - The ID of the note.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the deleted note.
    */
-  async deleteAccountNote(accountID, noteID) {
+  async deleteAccountNote(accountID, noteID, callOptions) {
+    try {
+      return await this.#delete(
+        `/accounts/${accountID}/notes/${noteID}`,
+        undefined,
+        callOptions,
+      );
+    } catch (err) {
+      throw err;
+    }
+  }
+
+  /**
+   * Return a specific host based on the ID
+   * @param {number} hostID - ID of the host.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
+   * @returns {Promise} Object containing all the data on the host.
+   */
+  async getHost(hostID, callOptions) {
+    try {
+      return await this.#get(`/hosts/${hostID}`, callOptions);
+    } catch (err) {
+      throw err;
+    }
+  }
+
+  /**
+   * Return hosts based on an array of host IDs
+   * @param {number[]} hostIDs - IDs of the hosts.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
+   * @returns {Promise} Array containing all hosts specified.
+   */
+  async getHosts(hostIDs, callOptions) {
+    try {
+      return await this.#collect(
+        `/hosts/?id=${hostIDs.join(",")}`,
+        callOptions,
+      );
+    } catch (err) {
+      throw err;
+    }
+  }
+
+  /**
+   * Return all hosts
+   * @param {object} options - Search options.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
+   * @returns {Promise} Array containing all host objects.
+   */
+  async getAllHosts(options, callOptions) {
     try {
-      return await this.#delete(`/accounts/${accountID}/notes/${noteID}`);
+      return await this.#collect(
+        `/hosts?page=1${this.#toQuery("hosts", options)}`,
+        callOptions,
+      );
+    } catch (err) {
+      throw err;
+    }
+  }
+
+  /**
+   * Iterate over all hosts without holding them all in memory.
+   * @param {object} [options] - Search options.
+   * @param {object} [iterOptions] - Iteration options.
+   * @param {number} [iterOptions.pageSize] - Number of hosts to request per page.
+   * @param {number} [iterOptions.maxPages] - Stop after this many pages.
+   * @param {boolean} [iterOptions.byPage] - Yield arrays of hosts, one per page, instead of single hosts.
+   * @param {AbortSignal} [iterOptions.signal] - Signal used to cancel the iteration.
+   * @param {number} [iterOptions.timeout] - Milliseconds the whole iteration may take.
+   * @param {Date|number} [iterOptions.deadline] - Time the whole iteration must finish by.
+   * @returns {AsyncGenerator} Host objects, or arrays of them when byPage is set.
+   */
+  async *iterateHosts(options, iterOptions) {
+    yield* this.#iterate(
+      `/hosts?page=1${this.#toQuery("hosts", options)}`,
+      iterOptions,
+    );
+  }
+
+  /**
+   * Return all detections linked to a specific host.
+   * @param {number} hostID - ID of the host.
+   * @param {object} [options] - Search options used to narrow down the detections, e.g. { state: "active" }.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
+   * @returns {Promise} Array containing the detection objects linked to the host.
+   */
+  async getHostDetections(hostID, options, callOptions) {
+    try {
+      return await this.#collect(
+        `/detections?page=1${this.#toQuery("detections", { ...options, host_id: hostID })}`,
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -689,11 +1374,16 @@ module.exports = class SaasClient {
    * Add a note to a specific host.
    * @param {number} hostID - The ID of the host.
    * @param {text} note - The text body of the note.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the new note.
    */
-  async addHostNote(hostID, note) {
+  async addHostNote(hostID, note, callOptions) {
     try {
-      return await this.#post(`/hosts/${hostID}/notes`, { note: note });
+      return await this.#post(
+        `/hosts/${hostID}/notes`,
+        { note: note },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -702,11 +1392,12 @@ module.exports = class SaasClient {
   /**
    * Return the notes for a specific host.
    * @param {number} hostID - The ID of the host.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Array of objects containing details of the notes.
    */
-  async getHostNotes(hostID) {
+  async getHostNotes(hostID, callOptions) {
     try {
-      return await this.#get(`/hosts/${hostID}/notes`);
+      return await this.#get(`/hosts/${hostID}/notes`, callOptions);
     } catch (err) {
       throw err;
     }
@@ -716,11 +1407,12 @@ module.exports = class SaasClient {
    * Return a specific note for a host.
    * @param {number} hostID - The ID of the host.
    * @param {number} noteID - The ID of the note.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the note.
    */
-  async getHostNote(hostID, noteID) {
+  async getHostNote(hostID, noteID, callOptions) {
     try {
-      return await this.#get(`/hosts/${hostID}/notes/${noteID}`);
+      return await this.#get(`/hosts/${hostID}/notes/${noteID}`, callOptions);
     } catch (err) {
       throw err;
     }
@@ -731,13 +1423,18 @@ module.exports = class SaasClient {
    * @param {number} hostID - The ID of the host.
    * @param {number} noteID - The ID of the note.
    * @param {text} note - The text body to update the note with.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the new note.
    */
-  async updateHostNote(hostID, noteID, note) {
+  async updateHostNote(hostID, noteID, note, callOptions) {
     try {
-      return await this.#patch(`/hosts/${hostID}/notes/${noteID}`, {
-        note: note,
-      });
+      return await this.#patch(
+        `/hosts/${hostID}/notes/${noteID}`,
+        {
+          note: note,
+        },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -747,11 +1444,16 @@ module.exports = class SaasClient {
    * Delete a specific note for a host.
    * @param {number} hostID - The ID of the host.
    * @param {number} noteID - The ID of the note.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the deleted note.
    */
-  async deleteHostNote(hostID, noteID) {
+  async deleteHostNote(hostID, noteID, callOptions) {
     try {
-      return await this.#delete(`/hosts/${hostID}/notes/${noteID}`);
+      return await this.#delete(
+        `/hosts/${hostID}/notes/${noteID}`,
+        undefined,
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -760,11 +1462,12 @@ module.exports = class SaasClient {
   /**
    * Get tags for a specific account.
    * @param {number} accountID - The ID of the account.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Array of tags in text form.
    */
-  async getAccountTags(accountID) {
+  async getAccountTags(accountID, callOptions) {
     try {
-      let data = await this.#get(`/tagging/account/${accountID}`);
+      let data = await this.#get(`/tagging/account/${accountID}`, callOptions);
       return data.tags;
     } catch (err) {
       throw err;
@@ -775,15 +1478,21 @@ module.exports = class SaasClient {
    * Add tags to an account.
    * @param {number} accountID - The ID of the account.
    * @param {text[]} tags - Array of tags to add.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the new tags.
    */
-  async addAccountTags(accountID, tags) {
+  async addAccountTags(accountID, tags, callOptions) {
     try {
-      let existingTags = await this.getAccountTags(accountID);
+      callOptions = withDeadline(callOptions);
+      let existingTags = await this.getAccountTags(accountID, callOptions);
       tags = tags.concat(existingTags);
-      return await this.#patch(`/tagging/account/${accountID}`, {
-        tags: tags,
-      });
+      return await this.#patch(
+        `/tagging/account/${accountID}`,
+        {
+          tags: tags,
+        },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -793,19 +1502,25 @@ module.exports = class SaasClient {
    * Delete a tag from a specific account.
    * @param {number} accountID - The ID of the account.
    * @param {text} tag - Value of the tag to be deleted.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the deleted tag.
    */
-  async deleteAccountTag(accountID, tag) {
+  async deleteAccountTag(accountID, tag, callOptions) {
     try {
-      let existingTags = await this.getAccountTags(accountID);
+      callOptions = withDeadline(callOptions);
+      let existingTags = await this.getAccountTags(accountID, callOptions);
       for (let i = existingTags.length - 1; i >= 0; i--) {
         if (existingTags[i] == tag) {
           existingTags.splice(i, 1);
         }
       }
-      return await this.#patch(`/tagging/account/${accountID}`, {
-        tags: existingTags,
-      });
+      return await this.#patch(
+        `/tagging/account/${accountID}`,
+        {
+          tags: existingTags,
+        },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -814,13 +1529,18 @@ module.exports = class SaasClient {
   /**
    * Clear all tags from a specific account.
    * @param {number} accountID - The ID of the account.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the cleared tags.
    */
-  async clearAccountTags(accountID) {
+  async clearAccountTags(accountID, callOptions) {
     try {
-      return await this.#patch(`/tagging/account/${accountID}`, {
-        tags: [],
-      });
+      return await this.#patch(
+        `/tagging/account/${accountID}`,
+        {
+          tags: [],
+        },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -829,11 +1549,12 @@ module.exports = class SaasClient {
   /**
    * Get tags for a specific host.
    * @param {number} hostID - The ID of the host.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Array of tags in text form.
    */
-  async getHostTags(hostID) {
+  async getHostTags(hostID, callOptions) {
     try {
-      let data = await this.#get(`/tagging/host/${hostID}`);
+      let data = await this.#get(`/tagging/host/${hostID}`, callOptions);
       return data.tags;
     } catch (err) {
       throw err;
@@ -844,15 +1565,21 @@ module.exports = class SaasClient {
    * Add tags to a host.
    * @param {number} hostID - The ID of the host.
    * @param {text[]} tags - Array of tags to add.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the new tags.
    */
-  async addHostTags(hostID, tags) {
+  async addHostTags(hostID, tags, callOptions) {
     try {
-      let existingTags = await this.getHostTags(hostID);
+      callOptions = withDeadline(callOptions);
+      let existingTags = await this.getHostTags(hostID, callOptions);
       tags = tags.concat(existingTags);
-      return await this.#patch(`/tagging/host/${hostID}`, {
-        tags: tags,
-      });
+      return await this.#patch(
+        `/tagging/host/${hostID}`,
+        {
+          tags: tags,
+        },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -862,19 +1589,25 @@ module.exports = class SaasClient {
    * Delete a tag from a specific host.
    * @param {number} hostID - The ID of the host.
    * @param {text} tag - Value of the tag to be deleted.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the deleted tag.
    */
-  async deleteHostTag(hostID, tag) {
+  async deleteHostTag(hostID, tag, callOptions) {
     try {
-      let existingTags = await this.getHostTags(hostID);
+      callOptions = withDeadline(callOptions);
+      let existingTags = await this.getHostTags(hostID, callOptions);
       for (let i = existingTags.length - 1; i >= 0; i--) {
         if (existingTags[i] == tag) {
           existingTags.splice(i, 1);
         }
       }
-      return await this.#patch(`/tagging/host/${hostID}`, {
-        tags: existingTags,
-      });
+      return await this.#patch(
+        `/tagging/host/${hostID}`,
+        {
+          tags: existingTags,
+        },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -883,13 +1616,18 @@ module.exports = class SaasClient {
   /**
    * Clear all tags from a specific host.
    * @param {number} hostID - The ID of the host.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the cleared tags.
    */
-  async clearHostTags(hostID) {
+  async clearHostTags(hostID, callOptions) {
     try {
-      return await this.#patch(`/tagging/host/${hostID}`, {
-        tags: [],
-      });
+      return await this.#patch(
+        `/tagging/host/${hostID}`,
+        {
+          tags: [],
+        },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -897,24 +1635,64 @@ module.exports = class SaasClient {
 
   /**
    * Return all triage rules on the brain.
+   * @param {object} [options] - Search options. detection_category and detection filter by detection category and type.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Array of objects containing details of the triage rules.
    */
-  async getTriageRules() {
+  async getTriageRules(options = {}, callOptions) {
     try {
-      return await this.#get(`/rules`);
+      let { detection_category, detection, ...query } = options;
+      let filter = { detection_category, detection };
+      let rules = await this.#collectCached(
+        `/rules?page=1${this.#toQuery("rules", query)}`,
+        callOptions,
+      );
+      return rules.filter((rule) => triageRules.matchesRule(rule, filter));
     } catch (err) {
       throw err;
     }
   }
 
+  /**
+   * Iterate over all triage rules without holding them all in memory.
+   * @param {object} [options] - Search options. detection_category and detection filter by detection category and type.
+   * @param {object} [iterOptions] - Iteration options.
+   * @param {number} [iterOptions.pageSize] - Number of rules to request per page.
+   * @param {number} [iterOptions.maxPages] - Stop after this many pages.
+   * @param {boolean} [iterOptions.byPage] - Yield arrays of rules, one per page, instead of single rules.
+   * @param {AbortSignal} [iterOptions.signal] - Signal used to cancel the iteration.
+   * @param {number} [iterOptions.timeout] - Milliseconds the whole iteration may take.
+   * @param {Date|number} [iterOptions.deadline] - Time the whole iteration must finish by.
+   * @returns {AsyncGenerator} Triage rule objects, or arrays of them when byPage is set.
+   */
+  async *iterateTriageRules(options = {}, iterOptions = {}) {
+    let { detection_category, detection, ...query } = options;
+    let filter = { detection_category, detection };
+    for await (let page of this.#iterate(
+      `/rules?page=1${this.#toQuery("rules", query)}`,
+      {
+        ...iterOptions,
+        byPage: true,
+      },
+    )) {
+      let rules = page.filter((rule) => triageRules.matchesRule(rule, filter));
+      if (iterOptions.byPage) {
+        yield rules;
+      } else {
+        yield* rules;
+      }
+    }
+  }
+
   /**
    * Get a single triage rule by ID.
-   * @param {number} ruleID - The ID of the account.
+   * @param {number} ruleID - The ID of the triage rule.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the triage rule.
    */
-  async getTriageRule(ruleID) {
+  async getTriageRule(ruleID, callOptions) {
     try {
-      return await this.#get(`/rules/${ruleID}`);
+      return await this.#get(`/rules/${ruleID}`, callOptions);
     } catch (err) {
       throw err;
     }
@@ -923,11 +1701,18 @@ module.exports = class SaasClient {
   /**
    * Create a triage rule.
    * @param {object} rule - JSON object containing the triage rule details.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the new triage rule.
+   * @throws {VectraValidationError} - If the rule is invalid.
    */
-  async createTriageRule(rule) {
+  async createTriageRule(rule, callOptions) {
     try {
-      return await this.#post("/rules", rule);
+      triageRules.validateTriageRule(rule);
+      return await this.#post(
+        "/rules",
+        triageRules.toRuleBody(rule),
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -937,11 +1722,18 @@ module.exports = class SaasClient {
    * Update an existing triage rule.
    * @param {number} ruleID - ID of the rule to be updated.
    * @param {object} rule - JSON object containing the new triage rule details.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the updated triage rule.
+   * @throws {VectraValidationError} - If the rule is invalid.
    */
-  async updateTriageRule(ruleID, rule) {
+  async updateTriageRule(ruleID, rule, callOptions) {
     try {
-      return await this.#put("/rules", ruleID, rule);
+      triageRules.validateTriageRule(rule);
+      return await this.#put(
+        `/rules/${ruleID}`,
+        triageRules.toRuleBody(rule),
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -950,11 +1742,36 @@ module.exports = class SaasClient {
   /**
    * Delete an existing triage rule.
    * @param {number} ruleID - ID of the rule to be deleted.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the deleted triage rule.
    */
-  async deleteTriageRule(ruleID) {
+  async deleteTriageRule(ruleID, callOptions) {
     try {
-      return await this.#delete(`/rules${ruleID}`);
+      return await this.#delete(`/rules/${ruleID}`, undefined, callOptions);
+    } catch (err) {
+      throw err;
+    }
+  }
+
+  /**
+   * Create a new triage rule from a copy of an existing one.
+   * @param {number} ruleID - ID of the rule to be copied.
+   * @param {object} [changes] - Fields to change in the copy, e.g. a new description.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
+   * @returns {Promise} Object containing details of the new triage rule.
+   * @throws {VectraValidationError} - If the resulting rule is invalid.
+   */
+  async cloneTriageRule(ruleID, changes = {}, callOptions) {
+    try {
+      callOptions = withDeadline(callOptions);
+      let rule = await this.getTriageRule(ruleID, callOptions);
+      return await this.createTriageRule(
+        {
+          ...triageRules.toRuleBody(rule),
+          ...changes,
+        },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -962,35 +1779,41 @@ module.exports = class SaasClient {
 
   /**
    * Get all account Assignments.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Array of objects containing details of assignments.
    */
-  async getAssignments() {
+  async getAssignments(callOptions) {
     try {
-      let results = [];
-      let data = {
-        next: `/assignments`,
-      };
-      while (data.next) {
-        data = await this.#get(
-          data.next.replace(/.*vectra.ai\/api\/v3[^\/]*/, ""),
-          true,
-        );
-        results = results.concat(data.results);
-      }
-      return results;
+      return await this.#collect(`/assignments`, callOptions);
     } catch (err) {
       throw err;
     }
   }
 
+  /**
+   * Iterate over all account Assignments without holding them all in memory.
+   * @param {object} [iterOptions] - Iteration options.
+   * @param {number} [iterOptions.pageSize] - Number of assignments to request per page.
+   * @param {number} [iterOptions.maxPages] - Stop after this many pages.
+   * @param {boolean} [iterOptions.byPage] - Yield arrays of assignments, one per page, instead of single assignments.
+   * @param {AbortSignal} [iterOptions.signal] - Signal used to cancel the iteration.
+   * @param {number} [iterOptions.timeout] - Milliseconds the whole iteration may take.
+   * @param {Date|number} [iterOptions.deadline] - Time the whole iteration must finish by.
+   * @returns {AsyncGenerator} Assignment objects, or arrays of them when byPage is set.
+   */
+  async *iterateAssignments(iterOptions) {
+    yield* this.#iterate(`/assignments`, iterOptions);
+  }
+
   /**
    * Get a specific account Assignment.
    * @param {number} assignmentID - ID of the assignment to be retrieved.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of an assignment.
    */
-  async getAssignment(assignmentID) {
+  async getAssignment(assignmentID, callOptions) {
     try {
-      return await this.#get(`/assignments/${assignmentID}`);
+      return await this.#get(`/assignments/${assignmentID}`, callOptions);
     } catch (err) {
       throw err;
     }
@@ -1000,12 +1823,14 @@ module.exports = class SaasClient {
    * Get a specific account Assignment.
    * @param {number} accountID - ID of the account to be retrieve assignments for.
    * @param {boolean} resolved - If true, return resolved assignments.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of an assignment.
    */
-  async getAccountAssignment(accountID, resolved = false) {
+  async getAccountAssignment(accountID, resolved = false, callOptions) {
     try {
       return await this.#get(
         `/assignments?accounts=${accountID}&resolved=${resolved}`,
+        callOptions,
       );
     } catch (err) {
       throw err;
@@ -1016,12 +1841,14 @@ module.exports = class SaasClient {
    * Get a specific host Assignment.
    * @param {number} hostID - ID of the host to be retrieve assignments for.
    * @param {boolean} resolved - If true, return resolved assignments.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of an assignment.
    */
-  async getHostAssignment(hostID, resolved = false) {
+  async getHostAssignment(hostID, resolved = false, callOptions) {
     try {
       return await this.#get(
         `/assignments?hosts=${hostID}&resolved=${resolved}`,
+        callOptions,
       );
     } catch (err) {
       throw err;
@@ -1032,13 +1859,18 @@ module.exports = class SaasClient {
    * Resolve an Assignment.
    * @param {number} assignmentID - ID of the assignment to be resolved.
    * @param {string} outcomeID - ID of the resolution outcome ("1" - Benign True Positive, "2" - Malicious True Positive, "3" - False Positive).
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of an assignment.
    */
-  async resolveAssignment(assignmentID, outcomeID) {
+  async resolveAssignment(assignmentID, outcomeID, callOptions) {
     try {
-      return await this.#put(`/assignments/${assignmentID}/resolve`, {
-        outcome: outcomeID,
-      });
+      return await this.#put(
+        `/assignments/${assignmentID}/resolve`,
+        {
+          outcome: outcomeID,
+        },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -1046,37 +1878,41 @@ module.exports = class SaasClient {
 
   /**
    * Get a list of all user accounts in the system.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Array of objects containing details of all user accounts.
    */
-  async getUsers() {
+  async getUsers(callOptions) {
     try {
-      let results = [];
-      let data = {
-        next: `/users`,
-      };
-
-      while (data.next) {
-        data = await this.#get(
-          data.next.replace(/.*vectra.ai\/api\/v3[^\/]*/, ""),
-          true,
-        );
-        results = results.concat(data.results);
-      }
-
-      return results;
+      return await this.#collect(`/users`, callOptions);
     } catch (err) {
       throw err;
     }
   }
 
+  /**
+   * Iterate over all user accounts in the system without holding them all in memory.
+   * @param {object} [iterOptions] - Iteration options.
+   * @param {number} [iterOptions.pageSize] - Number of users to request per page.
+   * @param {number} [iterOptions.maxPages] - Stop after this many pages.
+   * @param {boolean} [iterOptions.byPage] - Yield arrays of users, one per page, instead of single users.
+   * @param {AbortSignal} [iterOptions.signal] - Signal used to cancel the iteration.
+   * @param {number} [iterOptions.timeout] - Milliseconds the whole iteration may take.
+   * @param {Date|number} [iterOptions.deadline] - Time the whole iteration must finish by.
+   * @returns {AsyncGenerator} User objects, or arrays of them when byPage is set.
+   */
+  async *iterateUsers(iterOptions) {
+    yield* this.#iterate(`/users`, iterOptions);
+  }
+
   /**
    * Get a specific user account in the system.
    * @returns {Promise} Object containing details of the requested user account.
    * @param {number} userID - ID of the user account to be retrieved.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    */
-  async getUser(userID) {
+  async getUser(userID, callOptions) {
     try {
-      return await this.#get(`/users/${userID}`);
+      return await this.#get(`/users/${userID}`, callOptions);
     } catch (err) {
       throw err;
     }
@@ -1086,14 +1922,19 @@ module.exports = class SaasClient {
    * Assign an account to a specific user.
    * @param {number} accountID - ID of the account to be assigned.
    * @param {number} userID - ID of the user the account will be assigned to.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the assignment.
    */
-  async assignAccount(accountID, userID) {
+  async assignAccount(accountID, userID, callOptions) {
     try {
-      return await this.#post(`/assignments`, {
-        assign_account_id: accountID,
-        assign_to_user_id: userID,
-      });
+      return await this.#post(
+        `/assignments`,
+        {
+          assign_account_id: accountID,
+          assign_to_user_id: userID,
+        },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -1103,14 +1944,19 @@ module.exports = class SaasClient {
    * Assign a host to a specific user.
    * @param {number} hostID - ID of the host to be assigned.
    * @param {number} userID - ID of the user the host will be assigned to.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the assignment.
    */
-  async assignHost(hostID, userID) {
+  async assignHost(hostID, userID, callOptions) {
     try {
-      return await this.#post(`/assignments`, {
-        assign_host_id: hostID,
-        assign_to_user_id: userID,
-      });
+      return await this.#post(
+        `/assignments`,
+        {
+          assign_host_id: hostID,
+          assign_to_user_id: userID,
+        },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -1121,14 +1967,19 @@ module.exports = class SaasClient {
    * @param {number} assignmentID - ID of the assignment to be modified.
    * @param {number} accountID - ID of the account to be assigned.
    * @param {number} userID - ID of the user the account will be assigned to.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the modified assignment.
    */
-  async modifyAssignment(assignmentID, accountID, userID) {
+  async modifyAssignment(assignmentID, accountID, userID, callOptions) {
     try {
-      return await this.#put(`/assignments/${assignmentID}`, {
-        assign_account_id: accountID,
-        assign_to_user_id: userID,
-      });
+      return await this.#put(
+        `/assignments/${assignmentID}`,
+        {
+          assign_account_id: accountID,
+          assign_to_user_id: userID,
+        },
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -1137,11 +1988,16 @@ module.exports = class SaasClient {
   /**
    * Delete an existing assignment.
    * @param {number} assignmentID - ID of the assignment to be deleted.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing details of the deleted assignment.
    */
-  async removeAssignment(assignmentID) {
+  async removeAssignment(assignmentID, callOptions) {
     try {
-      return await this.#delete(`/assignments/${assignmentID}`);
+      return await this.#delete(
+        `/assignments/${assignmentID}`,
+        undefined,
+        callOptions,
+      );
     } catch (err) {
       throw err;
     }
@@ -1151,12 +2007,13 @@ module.exports = class SaasClient {
    * @param {string} statusUpdate - The action to be performed on the entity, e.g., 'lock' or 'unlock'.
    * @param {string} entityType - The type of entity being updated, e.g., 'host' or 'account'.
    * @param {number} entityID - ID of the entity to be updated.
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise<Object>} - Object containing details of the updated item.
-   * @throws {Error} - If the request fails.
+   * @throws {VectraError} - If the arguments are invalid or the request fails.
    */
-  async applyLockStatus(statusUpdate, entityType, entityID) {
+  async applyLockStatus(statusUpdate, entityType, entityID, callOptions) {
     if (!statusUpdate || !entityType || typeof entityID !== "number") {
-      throw new Error(
+      throw new errors.VectraValidationError(
         "Invalid arguments: statusUpdate, entityType, and entityID are required.",
       );
     }
@@ -1166,7 +2023,7 @@ module.exports = class SaasClient {
         entity_type: entityType,
         id: entityID,
       };
-      return await this.#post(`/lockdown`, postData);
+      return await this.#post(`/lockdown`, postData, callOptions);
     } catch (err) {
       throw err;
     }
@@ -1174,12 +2031,14 @@ module.exports = class SaasClient {
   /**
    * Return current lockdowns and recent unlocks
    * @param {string} entityType - The type of entity you wish to see updates for, eg. 'host' or 'account
+   * @param {object} [callOptions] - Call options: signal, timeout and deadline.
    * @returns {Promise} Object containing all the lock and unlocks.
    */
-  async getLockStatus(entityType) {
+  async getLockStatus(entityType, callOptions) {
     try {
       const lockStatus = await this.#get(
         `/lockdown?forwarder=1&entity_type=${entityType}`,
+        callOptions,
       );
       return lockStatus.data;
     } catch (err) {
@@ -1187,3 +2046,37 @@ module.exports = class SaasClient {
     }
   }
 };
+
+//Give every public method a span when OpenTelemetry is available
+telemetry.instrument(module.exports);
+
+module.exports.RateLimiter = RateLimiter;
+module.exports.validateTriageRule = triageRules.validateTriageRule;
+module.exports.buildQuery = buildQuery;
+module.exports.MockBrain = MockBrain;
+module.exports.EventSubscription = EventSubscription;
+module.exports.BulkOperations = BulkOperations;
+module.exports.LockdownManager = LockdownManager;
+module.exports.MemoryCache = MemoryCache;
+module.exports.AxiosTransport = AxiosTransport;
+module.exports.FetchTransport = FetchTransport;
+module.exports.CefFormatter = formatters.CefFormatter;
+module.exports.LeefFormatter = formatters.LeefFormatter;
+module.exports.EcsFormatter = formatters.EcsFormatter;
+module.exports.OcsfFormatter = formatters.OcsfFormatter;
+module.exports.createFormatter = formatters.createFormatter;
+module.exports.SyslogForwarder = SyslogForwarder;
+module.exports.WebhookForwarder = WebhookForwarder;
+//Required after the class is defined, as the pool itself requires it
+module.exports.SaasClientPool = require("./lib/pool");
+module.exports.MemoryCheckpointStore = MemoryCheckpointStore;
+module.exports.FileCheckpointStore = FileCheckpointStore;
+module.exports.FileTokenCache = FileTokenCache;
+module.exports.VectraError = errors.VectraError;
+module.exports.VectraAuthError = errors.VectraAuthError;
+module.exports.VectraNotFoundError = errors.VectraNotFoundError;
+module.exports.VectraRateLimitError = errors.VectraRateLimitError;
+module.exports.VectraValidationError = errors.VectraValidationError;
+module.exports.VectraServerError = errors.VectraServerError;
+module.exports.VectraConfigError = errors.VectraConfigError;
+module.exports.VectraAbortError = errors.VectraAbortError;
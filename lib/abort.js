@@ -0,0 +1,134 @@
+/**
+ * Helpers for cancelling long running calls through an AbortSignal.
+ */
+const { VectraAbortError, VectraValidationError } = require("./errors");
+
+/**
+ * Create the error thrown when a call is cancelled.
+ * @param {AbortSignal} [signal] - Signal that was aborted.
+ * @returns {VectraAbortError} Error with the code ABORT_ERR, and the abort reason as its cause.
+ */
+function abortError(signal) {
+  let reason = signal ? signal.reason : undefined;
+  let err = new VectraAbortError(
+    reason && reason.name === "TimeoutError"
+      ? "The operation did not finish before its deadline."
+      : "The operation was aborted.",
+    { code: "ABORT_ERR" },
+  );
+  if (reason !== undefined) {
+    err.cause = reason;
+  }
+  return err;
+}
+
+/**
+ * Throw a VectraAbortError if the signal has been aborted.
+ * @param {AbortSignal} [signal] - Signal to check.
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw abortError(signal);
+  }
+}
+
+/**
+ * Wait for a promise, but stop waiting as soon as the signal is aborted.
+ * The work behind the promise is left running, so use this for work shared with other callers.
+ * @param {Promise} promise - Promise to wait for.
+ * @param {AbortSignal} [signal] - Signal that stops the wait.
+ * @returns {Promise} Settles like the promise, or rejects with a VectraAbortError.
+ */
+function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    let onAbort = () => reject(abortError(signal));
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener("abort", onAbort);
+    });
+  });
+}
+
+/**
+ * Combine signals into one that aborts, with the same reason, as soon as any of them does.
+ * Used instead of AbortSignal.any, which Node only has from version 20.3.
+ * @param {AbortSignal[]} signals - Signals to combine. Missing ones are skipped.
+ * @returns {AbortSignal|undefined} The combined signal, or undefined when there are none.
+ */
+function anySignal(signals) {
+  signals = signals.filter(Boolean);
+  if (signals.length < 2) {
+    return signals[0];
+  }
+  let controller = new AbortController();
+  let aborted = signals.find((signal) => signal.aborted);
+  if (aborted) {
+    controller.abort(aborted.reason);
+    return controller.signal;
+  }
+  //Listeners are removed once any signal aborts, so those left on a
+  //long lived signal last no longer than the timeout combined with it
+  let onAbort = (event) => {
+    for (let signal of signals) {
+      signal.removeEventListener("abort", onAbort);
+    }
+    controller.abort(event.target.reason);
+  };
+  for (let signal of signals) {
+    signal.addEventListener("abort", onAbort);
+  }
+  return controller.signal;
+}
+
+/**
+ * Combine the signal, timeout and deadline of a call into one AbortSignal.
+ * @param {object} [callOptions] - Call options.
+ * @param {AbortSignal} [callOptions.signal] - Signal that cancels the call.
+ * @param {number} [callOptions.timeout] - Milliseconds the whole call may take, including retries and every page.
+ * @param {Date|number} [callOptions.deadline] - Time the whole call must finish by, as a Date or in milliseconds since the epoch.
+ * @returns {object} Call options with only the combined signal.
+ * @throws {VectraValidationError} When the timeout or deadline is not a valid time.
+ */
+function withDeadline({ signal, timeout, deadline } = {}) {
+  let signals = signal ? [signal] : [];
+  if (timeout !== undefined) {
+    if (typeof timeout !== "number" || !(timeout >= 0)) {
+      throw new VectraValidationError(
+        "The timeout must be a number of milliseconds.",
+      );
+    }
+    signals.push(AbortSignal.timeout(timeout));
+  }
+  if (deadline !== undefined) {
+    let time = deadline instanceof Date ? deadline.getTime() : deadline;
+    if (typeof time !== "number" || !Number.isFinite(time)) {
+      throw new VectraValidationError(
+        "The deadline must be a Date or a number of milliseconds since the epoch.",
+      );
+    }
+    let remaining = time - Date.now();
+    signals.push(
+      remaining > 0
+        ? AbortSignal.timeout(remaining)
+        : AbortSignal.abort(
+            new DOMException("The operation timed out.", "TimeoutError"),
+          ),
+    );
+  }
+  return { signal: anySignal(signals) };
+}
+
+module.exports = {
+  abortError,
+  throwIfAborted,
+  abortable,
+  anySignal,
+  withDeadline,
+};
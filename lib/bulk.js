@@ -0,0 +1,293 @@
+/**
+ * Bulk operations on many detections, accounts or hosts.
+ *
+ * Every operation splits its input into chunks, runs them with bounded
+ * concurrency and resolves with a report of what succeeded and what failed,
+ * instead of rejecting on the first error:
+ *
+ *   { succeeded: [{ item, result }], failed: [{ item, error }] }
+ *
+ * A signal, timeout or deadline in the options covers the whole operation.
+ * Items not finished when it is cancelled fail with a VectraAbortError.
+ */
+const { withDeadline } = require("./abort");
+const { mapWithConcurrency, chunk } = require("./concurrency");
+const { VectraNotFoundError, VectraValidationError } = require("./errors");
+
+/**
+ * Default bulk settings.
+ */
+const DEFAULT_OPTIONS = {
+  chunkSize: 100,
+  concurrency: 4,
+};
+
+//Client methods used for each entity type
+const ENTITY_METHODS = {
+  detection: { addTags: "addDetectionTags", addNote: "addDetectionNote" },
+  account: { addTags: "addAccountTags", addNote: "addAccountNote" },
+  host: { addTags: "addHostTags", addNote: "addHostNote" },
+};
+
+module.exports = class BulkOperations {
+  #client = null;
+  #options = null;
+
+  /**
+   * @param {object} client - SaaS client to send requests with.
+   * @param {object} [options] - Default settings for every operation.
+   * @param {number} [options.chunkSize] - Maximum number of IDs sent in one request. Defaults to 100.
+   * @param {number} [options.concurrency] - Maximum number of requests running at once. Defaults to 4.
+   */
+  constructor(client, options = {}) {
+    this.#client = client;
+    this.#options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  //Merge per call options into the defaults and check the input
+  #settings(items, options = {}) {
+    if (!Array.isArray(items)) {
+      throw new VectraValidationError("Bulk operations require an array.");
+    }
+    let settings = { ...this.#options, ...options };
+    for (let name of ["chunkSize", "concurrency"]) {
+      if (!Number.isInteger(settings[name]) || settings[name] < 1) {
+        throw new VectraValidationError(
+          `Bulk option ${name} must be a positive integer.`,
+        );
+      }
+    }
+    return settings;
+  }
+
+  //Run a request per item
+  async #eachItem(items, options, fn) {
+    let settings = this.#settings(items, options);
+    let callOptions = withDeadline(settings);
+    let results = await mapWithConcurrency(
+      items,
+      settings.concurrency,
+      (item) => fn(item, callOptions),
+    );
+    let report = { succeeded: [], failed: [] };
+    results.forEach((result, index) => {
+      if (result.status === "fulfilled") {
+        report.succeeded.push({ item: items[index], result: result.value });
+      } else {
+        report.failed.push({ item: items[index], error: result.reason });
+      }
+    });
+    return report;
+  }
+
+  //Run a request per chunk of IDs. A failed chunk fails every ID in it
+  async #eachChunk(ids, options, fn) {
+    let settings = this.#settings(ids, options);
+    let callOptions = withDeadline(settings);
+    let chunks = chunk(ids, settings.chunkSize);
+    let results = await mapWithConcurrency(
+      chunks,
+      settings.concurrency,
+      (ids) => fn(ids, callOptions),
+    );
+    let report = { succeeded: [], failed: [] };
+    results.forEach((result, index) => {
+      for (let id of chunks[index]) {
+        if (result.status === "fulfilled") {
+          report.succeeded.push({ item: id, result: result.value });
+        } else {
+          report.failed.push({ item: id, error: result.reason });
+        }
+      }
+    });
+    return report;
+  }
+
+  //Fetch objects by ID in chunks, reporting IDs the brain did not return
+  async #getByID(ids, options, method) {
+    let report = await this.#eachChunk(ids, options, (ids, callOptions) =>
+      this.#client[method](ids, callOptions),
+    );
+    let succeeded = [];
+    let found = new Map();
+    for (let { result } of report.succeeded) {
+      for (let object of result) {
+        found.set(String(object.id), object);
+      }
+    }
+    for (let { item } of report.succeeded) {
+      if (found.has(String(item))) {
+        succeeded.push({ item: item, result: found.get(String(item)) });
+      } else {
+        report.failed.push({
+          item: item,
+          error: new VectraNotFoundError(`No object found with ID ${item}`),
+        });
+      }
+    }
+    report.succeeded = succeeded;
+    return report;
+  }
+
+  //Find the client method for an entity
+  #entityMethod(entity, operation) {
+    let methods = entity && ENTITY_METHODS[entity.type];
+    if (!methods) {
+      throw new VectraValidationError(
+        `Unknown entity type ${entity && entity.type}. Expected detection, account or host.`,
+      );
+    }
+    return methods[operation];
+  }
+
+  /**
+   * Add tags to many detections, accounts or hosts.
+   * @param {object[]} entities - Entities to tag, e.g. [{ type: "account", id: 10 }]. Types are detection, account and host.
+   * @param {text[]} tags - Array of tags to add.
+   * @param {object} [options] - Overrides the default concurrency, and takes a signal, timeout and deadline.
+   * @returns {Promise} Report with an entry for every entity.
+   */
+  async addTags(entities, tags, options) {
+    try {
+      return await this.#eachItem(entities, options, (entity, callOptions) =>
+        this.#client[this.#entityMethod(entity, "addTags")](
+          entity.id,
+          tags,
+          callOptions,
+        ),
+      );
+    } catch (err) {
+      throw err;
+    }
+  }
+
+  /**
+   * Add a note to many detections, accounts or hosts.
+   * @param {object[]} entities - Entities to add the note to, e.g. [{ type: "host", id: 3 }]. Types are detection, account and host.
+   * @param {text} note - Text of the note.
+   * @param {object} [options] - Overrides the default concurrency, and takes a signal, timeout and deadline.
+   * @returns {Promise} Report with an entry for every entity.
+   */
+  async addNotes(entities, note, options) {
+    try {
+      return await this.#eachItem(entities, options, (entity, callOptions) =>
+        this.#client[this.#entityMethod(entity, "addNote")](
+          entity.id,
+          note,
+          callOptions,
+        ),
+      );
+    } catch (err) {
+      throw err;
+    }
+  }
+
+  /**
+   * Mark many detections as fixed.
+   * @param {number[]} detectionIDs - Array of detection IDs to be marked as fixed.
+   * @param {object} [options] - Overrides the default chunk size and concurrency, and takes a signal, timeout and deadline.
+   * @returns {Promise} Report with an entry for every detection ID.
+   */
+  async markAsFixed(detectionIDs, options) {
+    try {
+      return await this.#eachChunk(detectionIDs, options, (ids, callOptions) =>
+        this.#client.markAsFixed(ids, callOptions),
+      );
+    } catch (err) {
+      throw err;
+    }
+  }
+
+  /**
+   * Unmark many detections as fixed.
+   * @param {number[]} detectionIDs - Array of detection IDs to be unmarked as fixed.
+   * @param {object} [options] - Overrides the default chunk size and concurrency, and takes a signal, timeout and deadline.
+   * @returns {Promise} Report with an entry for every detection ID.
+   */
+  async unmarkAsFixed(detectionIDs, options) {
+    try {
+      return await this.#eachChunk(detectionIDs, options, (ids, callOptions) =>
+        this.#client.unmarkAsFixed(ids, callOptions),
+      );
+    } catch (err) {
+      throw err;
+    }
+  }
+
+  /**
+   * Filter many detections with a specific value.
+   * @param {number[]} detectionIDs - Array of detection IDs to be filtered.
+   * @param {text} value - Value of the new detection subject.
+   * @param {object} [options] - Overrides the default chunk size and concurrency, and takes a signal, timeout and deadline.
+   * @returns {Promise} Report with an entry for every detection ID.
+   */
+  async filterDetections(detectionIDs, value, options) {
+    try {
+      return await this.#eachChunk(detectionIDs, options, (ids, callOptions) =>
+        this.#client.filterDetection(ids, value, callOptions),
+      );
+    } catch (err) {
+      throw err;
+    }
+  }
+
+  /**
+   * Unfilter many detections.
+   * @param {number[]} detectionIDs - Array of detection IDs to be unfiltered.
+   * @param {object} [options] - Overrides the default chunk size and concurrency, and takes a signal, timeout and deadline.
+   * @returns {Promise} Report with an entry for every detection ID.
+   */
+  async unfilterDetections(detectionIDs, options) {
+    try {
+      return await this.#eachChunk(detectionIDs, options, (ids, callOptions) =>
+        this.#client.unfilterDetection(ids, callOptions),
+      );
+    } catch (err) {
+      throw err;
+    }
+  }
+
+  /**
+   * Fetch many detections by ID.
+   * @param {number[]} detectionIDs - IDs of the detections.
+   * @param {object} [options] - Overrides the default chunk size and concurrency, and takes a signal, timeout and deadline.
+   * @returns {Promise} Report with the detection, or a VectraNotFoundError, for every ID.
+   */
+  async getDetections(detectionIDs, options) {
+    try {
+      return await this.#getByID(detectionIDs, options, "getDetections");
+    } catch (err) {
+      throw err;
+    }
+  }
+
+  /**
+   * Fetch many accounts by ID.
+   * @param {number[]} accountIDs - IDs of the accounts.
+   * @param {object} [options] - Overrides the default chunk size and concurrency, and takes a signal, timeout and deadline.
+   * @returns {Promise} Report with the account, or a VectraNotFoundError, for every ID.
+   */
+  async getAccounts(accountIDs, options) {
+    try {
+      return await this.#getByID(accountIDs, options, "getAccounts");
+    } catch (err) {
+      throw err;
+    }
+  }
+
+  /**
+   * Fetch many hosts by ID.
+   * @param {number[]} hostIDs - IDs of the hosts.
+   * @param {object} [options] - Overrides the default chunk size and concurrency, and takes a signal, timeout and deadline.
+   * @returns {Promise} Report with the host, or a VectraNotFoundError, for every ID.
+   */
+  async getHosts(hostIDs, options) {
+    try {
+      return await this.#getByID(hostIDs, options, "getHosts");
+    } catch (err) {
+      throw err;
+    }
+  }
+};
+
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
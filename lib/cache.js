@@ -0,0 +1,232 @@
+/**
+ * Opt-in cache for GET responses.
+ *
+ * Entries expire after a TTL chosen by the longest matching path prefix, and
+ * any successful write to a resource drops every cached entry of that
+ * resource and of the resources it affects.
+ *
+ * A backend is any object with async get(key), set(key, value, ttl) and
+ * deletePrefix(prefix) methods, e.g. one backed by Redis.
+ */
+
+/**
+ * Default TTLs in milliseconds by path prefix. Events and lockdowns change
+ * too often to cache.
+ */
+const DEFAULT_TTLS = {
+  "/events": 0,
+  "/lockdown": 0,
+};
+
+//Path prefixes whose cache entries a write to each resource invalidates
+const RELATED = {
+  detections: ["/detections", "/tagging/detection", "/hosts"],
+  accounts: ["/accounts", "/tagging/account"],
+  hosts: ["/hosts", "/tagging/host"],
+  rules: ["/rules", "/detections"],
+  assignments: ["/assignments", "/accounts", "/hosts"],
+  lockdown: ["/lockdown", "/accounts", "/hosts"],
+};
+
+/**
+ * Keeps entries in memory, evicting the least recently used once full.
+ */
+class MemoryCache {
+  #entries = new Map();
+  #maxSize = 500;
+
+  /**
+   * @param {object} [options] - Cache options.
+   * @param {number} [options.maxSize] - Maximum number of entries. Defaults to 500.
+   */
+  constructor({ maxSize = 500 } = {}) {
+    this.#maxSize = maxSize;
+  }
+
+  /**
+   * Number of entries, including expired ones not yet evicted.
+   * @returns {number} Entry count.
+   */
+  get size() {
+    return this.#entries.size;
+  }
+
+  /**
+   * Read an entry.
+   * @param {string} key - Cache key.
+   * @returns {Promise} A copy of the value, or undefined if missing or expired.
+   */
+  async get(key) {
+    let entry = this.#entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    this.#entries.delete(key);
+    if (entry.expires <= Date.now()) {
+      return undefined;
+    }
+    //Re-inserting keeps the map in least recently used order
+    this.#entries.set(key, entry);
+    return structuredClone(entry.value);
+  }
+
+  /**
+   * Write an entry.
+   * @param {string} key - Cache key.
+   * @param {*} value - Value to cache. A copy is stored.
+   * @param {number} ttl - Milliseconds until the entry expires.
+   * @returns {Promise} Resolves once stored.
+   */
+  async set(key, value, ttl) {
+    this.#entries.delete(key);
+    this.#entries.set(key, {
+      value: structuredClone(value),
+      expires: Date.now() + ttl,
+    });
+    while (this.#entries.size > this.#maxSize) {
+      this.#entries.delete(this.#entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove every entry whose key starts with a prefix.
+   * @param {string} prefix - Key prefix.
+   * @returns {Promise} Resolves once removed.
+   */
+  async deletePrefix(prefix) {
+    for (let key of [...this.#entries.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.#entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Remove every entry.
+   * @returns {Promise} Resolves once removed.
+   */
+  async clear() {
+    this.#entries.clear();
+  }
+}
+
+/**
+ * Caches the GET responses of one client.
+ */
+class ResponseCache {
+  #namespace = null;
+  #ttl = 60000;
+  #ttls = null;
+  #backend = null;
+  #inFlight = new Map();
+  #generation = 0;
+
+  /**
+   * @param {string} namespace - Prefix of every key, so clients can share a backend.
+   * @param {object} [options] - Cache options.
+   * @param {number} [options.ttl] - Default TTL in milliseconds. Defaults to 60000.
+   * @param {object} [options.ttls] - TTLs by path prefix, e.g. { "/users": 300000 }. 0 disables caching.
+   * @param {number} [options.maxSize] - Maximum entries of the default memory backend. Defaults to 500.
+   * @param {object} [options.backend] - Backend to store entries in instead of memory.
+   */
+  constructor(namespace, { ttl = 60000, ttls = {}, maxSize, backend } = {}) {
+    this.#namespace = namespace;
+    this.#ttl = ttl;
+    this.#ttls = { ...DEFAULT_TTLS, ...ttls };
+    this.#backend = backend || new MemoryCache({ maxSize: maxSize });
+  }
+
+  /**
+   * TTL of a URL, from the longest matching prefix.
+   * @param {string} url - URL relative to the API root.
+   * @returns {number} TTL in milliseconds.
+   */
+  ttlFor(url) {
+    let match = Object.keys(this.#ttls)
+      .filter((prefix) => url.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+    return match === undefined ? this.#ttl : this.#ttls[match];
+  }
+
+  /**
+   * Return a cached response, or fetch and cache it. Concurrent requests for
+   * the same URL share one fetch.
+   * @param {string} url - URL relative to the API root.
+   * @param {Function} fetch - Async function fetching the response.
+   * @returns {Promise} The response data.
+   */
+  async wrap(url, fetch) {
+    let ttl = this.ttlFor(url);
+    if (!(ttl > 0)) {
+      return await fetch();
+    }
+    let key = this.#namespace + url;
+    let cached;
+    try {
+      cached = await this.#backend.get(key);
+    } catch (err) {
+      //A broken backend only costs the request it would have saved
+    }
+    if (cached !== undefined) {
+      return cached;
+    }
+    if (!this.#inFlight.has(key)) {
+      let generation = this.#generation;
+      let request = (async () => {
+        let value = await fetch();
+        //A response fetched before a write may already be stale
+        if (generation !== this.#generation) {
+          return value;
+        }
+        try {
+          await this.#backend.set(key, value, ttl);
+        } catch (err) {
+          //A broken backend only costs the request it would have saved
+        }
+        return value;
+      })().finally(() => {
+        if (this.#inFlight.get(key) === request) {
+          this.#inFlight.delete(key);
+        }
+      });
+      this.#inFlight.set(key, request);
+    }
+    return structuredClone(await this.#inFlight.get(key));
+  }
+
+  /**
+   * Drop the cached entries a write to a URL may have changed.
+   * @param {string} url - URL relative to the API root that was written to.
+   * @returns {Promise} Resolves once the entries are dropped.
+   */
+  async invalidate(url) {
+    let parts = url.split(/[/?]/).filter(Boolean);
+    let resource = parts[0] === "tagging" ? `${parts[1]}s` : parts[0];
+    let prefixes = RELATED[resource] || [`/${parts[0]}`];
+    this.#generation++;
+    this.#inFlight.clear();
+    for (let prefix of prefixes) {
+      try {
+        await this.#backend.deletePrefix(this.#namespace + prefix);
+      } catch (err) {
+        //The write has already succeeded, so a broken backend must not make it look failed
+      }
+    }
+  }
+
+  /**
+   * Drop every entry of this client.
+   * @returns {Promise} Resolves once cleared.
+   */
+  async clear() {
+    this.#generation++;
+    this.#inFlight.clear();
+    await this.#backend.deletePrefix(this.#namespace);
+  }
+}
+
+module.exports = {
+  DEFAULT_TTLS,
+  MemoryCache,
+  ResponseCache,
+};
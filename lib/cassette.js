@@ -0,0 +1,155 @@
+/**
+ * Records HTTP interactions to a cassette file and replays them later.
+ *
+ * Secrets, tokens and authorization headers are scrubbed before anything is
+ * written, and the brain URL is stored as a placeholder so a cassette can be
+ * replayed against any siteURL or handed to support.
+ */
+const fs = require("fs");
+const path = require("path");
+const { scrub } = require("./scrub");
+const { VectraError, VectraConfigError } = require("./errors");
+
+//Placeholder stored in place of the brain URL
+const SITE_URL = "{{siteURL}}";
+
+//Response headers worth keeping in a cassette
+const KEPT_HEADERS = ["content-type", "retry-after", "x-request-id"];
+
+module.exports = class Cassette {
+  #file = null;
+  #mode = null;
+  #siteURL = null;
+  #interactions = [];
+  #used = new Set();
+  #writing = Promise.resolve();
+
+  /**
+   * @param {object} options - Cassette settings.
+   * @param {string} options.file - Path of the cassette file.
+   * @param {string} options.mode - "record" to send requests and save them, or "replay" to answer them from the file.
+   * @param {string} siteURL - URL of the brain, replaced by a placeholder in the file.
+   */
+  constructor({ file, mode }, siteURL) {
+    if (!file || (mode !== "record" && mode !== "replay")) {
+      throw new VectraConfigError(
+        'Invalid cassette: a file and a mode of "record" or "replay" are required.',
+      );
+    }
+    this.#file = path.resolve(file);
+    this.#mode = mode;
+    this.#siteURL = siteURL;
+    if (mode === "replay") {
+      try {
+        let text = fs.readFileSync(this.#file, "utf8").split(SITE_URL);
+        this.#interactions = JSON.parse(text.join(siteURL)).interactions;
+      } catch (err) {
+        throw new VectraConfigError(
+          `Unable to read cassette ${this.#file}: ${err.message}`,
+        );
+      }
+    }
+  }
+
+  //Describe a request the same way for recording and matching
+  #describe(config) {
+    let body = config.data;
+    if (typeof body === "string") {
+      try {
+        body = JSON.parse(body);
+      } catch (err) {
+        //Form encoded bodies are kept as text
+      }
+    }
+    return {
+      method: config.method.toUpperCase(),
+      url: config.url,
+      body: body === undefined ? null : scrub(body),
+    };
+  }
+
+  //Find the next unused interaction matching a request
+  #find(request) {
+    let key = JSON.stringify(request);
+    let matches = this.#interactions
+      .map((interaction, index) => ({ interaction, index }))
+      .filter(({ interaction }) => JSON.stringify(interaction.request) === key);
+    let next = matches.find(({ index }) => !this.#used.has(index));
+    //Requests repeated more often than recorded reuse the last response
+    let match = next || matches[matches.length - 1];
+    if (!match) {
+      return null;
+    }
+    this.#used.add(match.index);
+    return match.interaction.response;
+  }
+
+  //Append an interaction and rewrite the file
+  #record(request, response) {
+    let headers = {};
+    for (let name of KEPT_HEADERS) {
+      if (response.headers && response.headers[name] !== undefined) {
+        headers[name] = response.headers[name];
+      }
+    }
+    this.#interactions.push({
+      request: request,
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: headers,
+        data: scrub(response.data),
+      },
+    });
+    let text = JSON.stringify({ interactions: this.#interactions }, null, 2);
+    text = text.split(this.#siteURL).join(SITE_URL);
+    this.#writing = this.#writing.then(async () => {
+      let temp = `${this.#file}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.#file), { recursive: true });
+      await fs.promises.writeFile(temp, text);
+      await fs.promises.rename(temp, this.#file);
+    });
+    return this.#writing;
+  }
+
+  /**
+   * Send a request through the cassette.
+   * @param {object} config - Request with url, method, headers, data and signal.
+   * @param {Function} send - Function that really sends the request, e.g. a transport's request method.
+   * @returns {Promise} Resolves with the response, or rejects like axios for error statuses.
+   */
+  async send(config, send) {
+    let request = this.#describe(config);
+    if (this.#mode === "replay") {
+      let response = this.#find(request);
+      if (!response) {
+        throw new VectraError(
+          `No recorded response for ${request.method} ${request.url}`,
+          {
+            method: request.method,
+            url: request.url,
+            code: "ERR_CASSETTE_MISS",
+          },
+        );
+      }
+      if (response.status >= 400) {
+        let err = new Error(
+          `Request failed with status code ${response.status}`,
+        );
+        err.response = response;
+        throw err;
+      }
+      return response;
+    }
+    try {
+      let response = await send(config);
+      await this.#record(request, response);
+      return response;
+    } catch (err) {
+      if (err.response) {
+        await this.#record(request, err.response);
+      }
+      throw err;
+    }
+  }
+};
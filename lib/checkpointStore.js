@@ -0,0 +1,146 @@
+/**
+ * Stores that persist events API checkpoints between runs.
+ * A store is any object with async load(key) and save(key, value) methods.
+ * Values must be JSON serialisable.
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+//Milliseconds after which a lock is treated as left behind by a crashed writer
+const STALE_LOCK = 10000;
+
+//Milliseconds to wait before trying to take a held lock again
+const LOCK_RETRY = 10;
+
+//Run fn while holding a lock file next to file, so writers in other
+//processes, or other stores on the same file, take turns
+async function withLock(file, fn) {
+  let lock = `${file}.lock`;
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  for (;;) {
+    try {
+      await (await fs.promises.open(lock, "wx")).close();
+      break;
+    } catch (err) {
+      if (err.code !== "EEXIST") {
+        throw err;
+      }
+      let stat = await fs.promises.stat(lock).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > STALE_LOCK) {
+        await fs.promises.unlink(lock).catch(() => {});
+        continue;
+      }
+      await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY));
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await fs.promises.unlink(lock).catch(() => {});
+  }
+}
+
+/**
+ * Keeps checkpoints in memory. Useful for tests and short-lived processes.
+ */
+class MemoryCheckpointStore {
+  #values = new Map();
+
+  /**
+   * Load the value saved under a key.
+   * @param {string} key - Name of the checkpoint, e.g. the event type.
+   * @returns {Promise} The saved value, or undefined if nothing has been saved.
+   */
+  async load(key) {
+    return this.#values.get(key);
+  }
+
+  /**
+   * Save a value under a key.
+   * @param {string} key - Name of the checkpoint, e.g. the event type.
+   * @param {*} value - Value to save.
+   * @returns {Promise} Resolves once the value is saved.
+   */
+  async save(key, value) {
+    this.#values.set(key, value);
+  }
+}
+
+/**
+ * Keeps checkpoints in a JSON file. Every save replaces the file atomically,
+ * so a crash mid-write never leaves a corrupt or half written file behind.
+ * Saves take a lock file, so several stores and processes can share one file
+ * without losing each other's keys.
+ */
+class FileCheckpointStore {
+  #file = null;
+  #mode = 0o666;
+  #writing = Promise.resolve();
+
+  /**
+   * @param {string} file - Path of the JSON file. It is created on the first save.
+   * @param {object} [options] - Additional store options.
+   * @param {number} [options.mode] - Permissions of the file, e.g. 0o600. Defaults to 0o666 less the umask.
+   */
+  constructor(file, { mode = 0o666 } = {}) {
+    this.#file = path.resolve(file);
+    this.#mode = mode;
+  }
+
+  //Read every saved value from the file
+  async #read() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.#file, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return {};
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Load the value saved under a key.
+   * @param {string} key - Name of the checkpoint, e.g. the event type.
+   * @returns {Promise} The saved value, or undefined if nothing has been saved.
+   */
+  async load(key) {
+    await this.#writing;
+    let values = await this.#read();
+    return values[key];
+  }
+
+  /**
+   * Save a value under a key.
+   * @param {string} key - Name of the checkpoint, e.g. the event type.
+   * @param {*} value - Value to save.
+   * @returns {Promise} Resolves once the value is safely on disk.
+   */
+  async save(key, value) {
+    //Queue saves so two of them never write the file at the same time
+    let write = this.#writing.then(() =>
+      withLock(this.#file, async () => {
+        let values = await this.#read();
+        values[key] = value;
+        let temp = `${this.#file}.${process.pid}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+        try {
+          await fs.promises.writeFile(temp, JSON.stringify(values, null, 2), {
+            mode: this.#mode,
+          });
+          await fs.promises.rename(temp, this.#file);
+        } catch (err) {
+          await fs.promises.unlink(temp).catch(() => {});
+          throw err;
+        }
+      }),
+    );
+    this.#writing = write.catch(() => {});
+    return write;
+  }
+}
+
+module.exports = {
+  MemoryCheckpointStore,
+  FileCheckpointStore,
+};
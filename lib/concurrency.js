@@ -0,0 +1,55 @@
+/**
+ * Helpers for running asynchronous work in parallel with a limit.
+ */
+
+/**
+ * Call an async function for every item, with at most `concurrency` calls
+ * running at once. Failures do not stop the remaining calls.
+ * @param {Array} items - Items to process.
+ * @param {number} concurrency - Maximum number of calls running at once.
+ * @param {Function} fn - Async function called with each item and its index.
+ * @returns {Promise} Array of results in item order, each either { status: "fulfilled", value } or { status: "rejected", reason }.
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  let results = new Array(items.length);
+  let next = 0;
+  //Each worker takes the next unprocessed item until none are left
+  let worker = async () => {
+    while (next < items.length) {
+      let index = next++;
+      try {
+        results[index] = {
+          status: "fulfilled",
+          value: await fn(items[index], index),
+        };
+      } catch (err) {
+        results[index] = { status: "rejected", reason: err };
+      }
+    }
+  };
+  let workers = [];
+  for (let i = 0; i < Math.min(Math.max(concurrency, 1), items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Split an array into chunks.
+ * @param {Array} items - Items to split.
+ * @param {number} size - Maximum number of items per chunk.
+ * @returns {Array} Array of chunks.
+ */
+function chunk(items, size) {
+  let chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+module.exports = {
+  mapWithConcurrency,
+  chunk,
+};
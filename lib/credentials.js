@@ -0,0 +1,165 @@
+/**
+ * Works out the settings of a client from a chain of sources.
+ *
+ * Each setting is taken from the first source that has it:
+ *
+ *   1. Values passed to the client.
+ *   2. The VECTRA_URL, VECTRA_CLIENT_ID, VECTRA_SECRET and VECTRA_API_VERSION environment variables.
+ *   3. A profile in the config file, chosen with the profile option or VECTRA_PROFILE.
+ *   4. An async credentials provider, asked for the client ID and secret when a token is needed.
+ */
+const fs = require("fs");
+const { VectraConfigError } = require("./errors");
+const { loadProfile, DEFAULT_CONFIG_FILE } = require("./profiles");
+
+//Environment variables and the client settings they map to
+const ENV_VARS = {
+  siteURL: "VECTRA_URL",
+  clientID: "VECTRA_CLIENT_ID",
+  secret: "VECTRA_SECRET",
+  version: "VECTRA_API_VERSION",
+};
+
+const SETTINGS = Object.keys(ENV_VARS);
+
+//Settings needed before a token can be requested
+const REQUIRED = {
+  siteURL: ["url", "VECTRA_URL"],
+  clientID: ["client ID", "VECTRA_CLIENT_ID"],
+  secret: ["secret", "VECTRA_SECRET"],
+};
+
+/**
+ * Read client settings from environment variables.
+ * @param {object} [env] - Environment variables. Defaults to process.env.
+ * @returns {object} Settings that are set: siteURL, clientID, secret and version.
+ */
+function fromEnv(env = process.env) {
+  let settings = {};
+  for (let [key, name] of Object.entries(ENV_VARS)) {
+    if (env[name]) {
+      settings[key] = env[name];
+    }
+  }
+  return settings;
+}
+
+//Load the named profile, or the default one when the config file exists
+function fromProfile(name, file) {
+  if (!name && !fs.existsSync(file)) {
+    return {};
+  }
+  return loadProfile(name || "default", file);
+}
+
+//Copy settings that are still missing from a source
+function fill(settings, source) {
+  for (let key of SETTINGS) {
+    if (!settings[key] && source[key]) {
+      settings[key] = source[key];
+    }
+  }
+  return settings;
+}
+
+//Whether any setting needed for a token is still missing
+function incomplete(settings) {
+  return Object.keys(REQUIRED).some((key) => !settings[key]);
+}
+
+/**
+ * Work out client settings from explicit values, environment variables and the config file.
+ * @param {object} [options] - Client options.
+ * @param {string} [options.siteURL] - The URL where your SaaS Brain is located.
+ * @param {string} [options.clientID] - OAuth Client ID.
+ * @param {string} [options.secret] - OAuth Secret.
+ * @param {number|string} [options.version] - API Version number.
+ * @param {object|boolean} [options.env] - Environment variables to read, or false to ignore them. Defaults to process.env.
+ * @param {string|boolean} [options.profile] - Profile to read from the config file, or false to ignore the file. Defaults to VECTRA_PROFILE, then "default".
+ * @param {string} [options.configFile] - Path of the config file. Defaults to VECTRA_CONFIG_FILE, then ~/.vectra/config.
+ * @returns {object} Settings found: siteURL, clientID, secret and version.
+ */
+function resolveSettings(options = {}) {
+  let env = options.env === false ? {} : options.env || process.env;
+  let settings = fill({}, options);
+  fill(settings, fromEnv(env));
+  if (options.profile !== false && incomplete(settings)) {
+    fill(
+      settings,
+      fromProfile(
+        options.profile || env.VECTRA_PROFILE,
+        options.configFile || env.VECTRA_CONFIG_FILE || DEFAULT_CONFIG_FILE,
+      ),
+    );
+  }
+  return settings;
+}
+
+/**
+ * Check client settings before anything is sent.
+ * @param {object} settings - Settings: siteURL, clientID, secret and version.
+ * @param {object} [options] - Validation options.
+ * @param {boolean} [options.provider] - Whether a credentials provider can supply the client ID and secret later.
+ * @throws {VectraConfigError} When a setting is missing or invalid.
+ */
+function validateSettings(settings, { provider = false } = {}) {
+  for (let [key, [name, variable]] of Object.entries(REQUIRED)) {
+    let value = settings[key];
+    if (value === undefined || value === null || value === "") {
+      if (provider && key !== "siteURL") {
+        continue;
+      }
+      throw new VectraConfigError(
+        `No ${name} configured. Pass ${key}, set ${variable} or add it to a profile in the config file.`,
+      );
+    }
+    if (typeof value !== "string") {
+      throw new VectraConfigError(`The ${name} must be a string.`);
+    }
+  }
+  let url;
+  try {
+    url = new URL(settings.siteURL);
+  } catch (err) {
+    throw new VectraConfigError(`Invalid url: ${settings.siteURL}`);
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    throw new VectraConfigError(
+      `Invalid url: ${settings.siteURL}. Use an http or https URL.`,
+    );
+  }
+  if (!/^v?\d+(\.\d+)?$/i.test(String(settings.version ?? 3))) {
+    throw new VectraConfigError(
+      `Invalid API version: ${settings.version}. Use a version number such as 3 or 3.3.`,
+    );
+  }
+}
+
+/**
+ * Check the client ID and secret returned by a credentials provider.
+ * @param {object} credentials - Value the provider resolved with.
+ * @returns {object} The client ID and secret.
+ * @throws {VectraConfigError} When either is missing.
+ */
+function validateCredentials(credentials) {
+  if (
+    !credentials ||
+    typeof credentials.clientID !== "string" ||
+    !credentials.clientID ||
+    typeof credentials.secret !== "string" ||
+    !credentials.secret
+  ) {
+    throw new VectraConfigError(
+      "The credentials provider must resolve with a clientID and secret.",
+    );
+  }
+  return { clientID: credentials.clientID, secret: credentials.secret };
+}
+
+module.exports = {
+  ENV_VARS,
+  fromEnv,
+  resolveSettings,
+  validateSettings,
+  validateCredentials,
+};
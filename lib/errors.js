@@ -0,0 +1,169 @@
+/**
+ * Errors thrown by the SaaS client.
+ * Every error raised by a request is a VectraError, so handlers can branch on instanceof.
+ */
+
+/**
+ * Base class for all errors raised by the client.
+ */
+class VectraError extends Error {
+  /**
+   * @param {string} message - Description of the error.
+   * @param {object} [details] - Details of the failed request.
+   * @param {number} [details.status] - HTTP status returned by the brain.
+   * @param {string} [details.statusText] - HTTP status text returned by the brain.
+   * @param {string} [details.method] - HTTP method of the request.
+   * @param {string} [details.url] - URL of the request.
+   * @param {*} [details.body] - Parsed error body returned by the brain.
+   * @param {string} [details.requestId] - Request ID returned by the brain.
+   * @param {number} [details.retryAfter] - Milliseconds the brain asked us to wait before retrying.
+   * @param {string} [details.code] - Network error code, e.g. ECONNRESET.
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = details.status;
+    this.statusText = details.statusText;
+    this.method = details.method;
+    this.url = details.url;
+    this.body = details.body;
+    this.requestId = details.requestId;
+    this.retryAfter = details.retryAfter ?? null;
+    this.code = details.code;
+  }
+}
+
+/**
+ * The brain rejected the credentials or token (401/403).
+ */
+class VectraAuthError extends VectraError {}
+
+/**
+ * The requested object does not exist (404).
+ */
+class VectraNotFoundError extends VectraError {}
+
+/**
+ * Too many requests were sent to the brain (429).
+ */
+class VectraRateLimitError extends VectraError {}
+
+/**
+ * The request was invalid, either rejected by the brain (400/409/422) or caught before it was sent.
+ */
+class VectraValidationError extends VectraError {}
+
+/**
+ * The brain failed to handle the request (5xx).
+ */
+class VectraServerError extends VectraError {}
+
+/**
+ * The client settings or config file are missing or invalid.
+ */
+class VectraConfigError extends VectraError {}
+
+/**
+ * The call was cancelled through its AbortSignal, or did not finish before its deadline.
+ */
+class VectraAbortError extends VectraError {}
+
+/**
+ * Parse a Retry-After header into a number of milliseconds.
+ * @param {string} [value] - Header value, either delta-seconds or an HTTP date.
+ * @returns {number|null} Milliseconds to wait, or null when the header is missing or invalid.
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  if (/^\s*\d+\s*$/.test(value)) {
+    return parseInt(value, 10) * 1000;
+  }
+  let date = Date.parse(value);
+  if (isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, date - Date.now());
+}
+
+//Pick the error class matching an HTTP status
+function errorClass(status) {
+  if (status === 401 || status === 403) {
+    return VectraAuthError;
+  }
+  if (status === 404) {
+    return VectraNotFoundError;
+  }
+  if (status === 429) {
+    return VectraRateLimitError;
+  }
+  if (status === 400 || status === 409 || status === 422) {
+    return VectraValidationError;
+  }
+  if (status >= 500) {
+    return VectraServerError;
+  }
+  return VectraError;
+}
+
+//Parse the body of an error response, which is not always JSON
+function parseBody(data) {
+  if (typeof data !== "string") {
+    return data;
+  }
+  try {
+    return JSON.parse(data);
+  } catch (err) {
+    return data;
+  }
+}
+
+/**
+ * Convert an error raised by axios into a VectraError.
+ * Errors that are already VectraErrors, and cancellations, are returned unchanged.
+ * @param {Error} err - Error raised by the request.
+ * @param {string} method - HTTP method of the request.
+ * @param {string} url - URL of the request.
+ * @returns {Error} The converted error.
+ */
+function toVectraError(err, method, url) {
+  if (err instanceof VectraError || err.name === "AbortError") {
+    return err;
+  }
+  if (!err.response) {
+    return new VectraError(`${method} ${url} failed: ${err.message}`, {
+      method: method,
+      url: url,
+      code: err.code,
+    });
+  }
+  let response = err.response;
+  let headers = response.headers || {};
+  let ErrorClass = errorClass(response.status);
+  return new ErrorClass(
+    `${method} ${url} failed with ${response.status} ${response.statusText || ""}`.trim(),
+    {
+      status: response.status,
+      statusText: response.statusText,
+      method: method,
+      url: url,
+      body: parseBody(response.data),
+      requestId: headers["x-request-id"],
+      retryAfter: parseRetryAfter(headers["retry-after"]),
+    },
+  );
+}
+
+module.exports = {
+  VectraError,
+  VectraAuthError,
+  VectraNotFoundError,
+  VectraRateLimitError,
+  VectraValidationError,
+  VectraServerError,
+  VectraConfigError,
+  VectraAbortError,
+  parseRetryAfter,
+  toVectraError,
+};
@@ -0,0 +1,89 @@
+/**
+ * ArcSight Common Event Format (CEF) formatter.
+ */
+const Formatter = require("./formatter");
+
+//Mapping fields that make up the CEF header, in order
+const HEADER_FIELDS = [
+  "deviceVendor",
+  "deviceProduct",
+  "deviceVersion",
+  "signatureId",
+  "name",
+  "severity",
+];
+
+/**
+ * Default CEF mapping. Header fields are listed first, every other field is
+ * written as an extension.
+ */
+const DEFAULT_MAPPING = {
+  deviceVendor: () => "Vectra Networks",
+  deviceProduct: () => "Vectra AI",
+  deviceVersion: () => "3",
+  signatureId: (record) =>
+    record.name !== undefined ? `${record.type}:${record.name}` : record.type,
+  name: (record) => record.name,
+  severity: (record) => record.severity,
+  externalId: (record) => record.id,
+  rt: (record) => record.timestamp && Date.parse(record.timestamp),
+  cat: (record) => record.category,
+  src: (record) => record.srcIP,
+  shost: (record) => record.srcHost,
+  suser: (record) => record.account,
+  request: (record) => record.url,
+  cn1Label: (record) => (record.threat !== undefined ? "threat" : undefined),
+  cn1: (record) => record.threat,
+  cn2Label: (record) =>
+    record.certainty !== undefined ? "certainty" : undefined,
+  cn2: (record) => record.certainty,
+  cn3Label: (record) =>
+    record.detectionID !== undefined ? "detectionId" : undefined,
+  cn3: (record) => record.detectionID,
+  cs1Label: (record) => (record.state !== undefined ? "state" : undefined),
+  cs1: (record) => record.state,
+  cs2Label: (record) => (record.tags.length > 0 ? "tags" : undefined),
+  cs2: (record) => (record.tags.length > 0 ? record.tags.join(",") : undefined),
+};
+
+//Escape a header value
+function escapeHeader(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\|/g, "\\|");
+}
+
+//Escape an extension value
+function escapeExtension(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/=/g, "\\=")
+    .replace(/\r?\n|\r/g, "\\n");
+}
+
+class CefFormatter extends Formatter {
+  /**
+   * @param {object} [options] - Formatter options, see Formatter.
+   */
+  constructor(options) {
+    super(DEFAULT_MAPPING, options);
+  }
+
+  /**
+   * Format a record as a CEF line.
+   * @param {object} record - Object returned by the API.
+   * @returns {string} CEF line.
+   */
+  format(record) {
+    let fields = this.fields(record);
+    let header = HEADER_FIELDS.map((field) =>
+      escapeHeader(fields[field] === undefined ? "" : fields[field]),
+    );
+    let extension = Object.keys(fields)
+      .filter((field) => !HEADER_FIELDS.includes(field))
+      .map((field) => `${field}=${escapeExtension(fields[field])}`);
+    return `CEF:0|${header.join("|")}|${extension.join(" ")}`;
+  }
+}
+
+CefFormatter.DEFAULT_MAPPING = DEFAULT_MAPPING;
+
+module.exports = CefFormatter;
@@ -0,0 +1,75 @@
+/**
+ * Elastic Common Schema (ECS) JSON formatter.
+ */
+const Formatter = require("./formatter");
+const { setPath } = require("./paths");
+
+/**
+ * Default ECS mapping. Field names are dotted ECS paths.
+ */
+const DEFAULT_MAPPING = {
+  "@timestamp": (record) => record.timestamp,
+  "ecs.version": () => "8.11.0",
+  "event.kind": (record) =>
+    record.type === "account_scoring" ? "event" : "alert",
+  "event.category": () => ["intrusion_detection"],
+  "event.type": () => ["indicator"],
+  "event.dataset": (record) => `vectra.${record.type}`,
+  "event.id": (record) => record.id,
+  "event.severity": (record) => record.severity,
+  "event.risk_score": (record) => record.threat,
+  "event.reference": (record) => record.url,
+  "rule.name": (record) => record.name,
+  "rule.category": (record) => record.category,
+  "source.ip": (record) => record.srcIP,
+  "host.name": (record) => record.srcHost,
+  "user.name": (record) => record.account,
+  "observer.vendor": () => "Vectra Networks",
+  "observer.product": () => "Vectra AI",
+  "observer.type": () => "ids",
+  "vectra.detection_id": (record) => record.detectionID,
+  "vectra.threat": (record) => record.threat,
+  "vectra.certainty": (record) => record.certainty,
+  "vectra.state": (record) => record.state,
+  tags: (record) => (record.tags.length > 0 ? record.tags : undefined),
+};
+
+class EcsFormatter extends Formatter {
+  /**
+   * @param {object} [options] - Formatter options, see Formatter.
+   */
+  constructor(options) {
+    super(DEFAULT_MAPPING, options);
+  }
+
+  /**
+   * Map a record to an ECS document. "@timestamp" is kept as a single field.
+   * @param {object} record - Object returned by the API.
+   * @returns {object} ECS document.
+   */
+  toObject(record) {
+    let fields = this.fields(record);
+    let document = {};
+    for (let field of Object.keys(fields)) {
+      if (field.startsWith("@")) {
+        document[field] = fields[field];
+      } else {
+        setPath(document, field, fields[field]);
+      }
+    }
+    return document;
+  }
+
+  /**
+   * Format a record as an ECS JSON line.
+   * @param {object} record - Object returned by the API.
+   * @returns {string} ECS JSON.
+   */
+  format(record) {
+    return JSON.stringify(this.toObject(record));
+  }
+}
+
+EcsFormatter.DEFAULT_MAPPING = DEFAULT_MAPPING;
+
+module.exports = EcsFormatter;
@@ -0,0 +1,88 @@
+/**
+ * Base class for the SIEM formatters.
+ *
+ * A formatter has a mapping of output fields to values. Each value is a
+ * function called with the normalised record and the raw API record, or a
+ * dotted path into the raw record. Mappings passed to the constructor are
+ * merged over the defaults, and mapping a field to null removes it.
+ */
+const { Transform } = require("stream");
+const { normalize } = require("./normalize");
+const { getPath } = require("./paths");
+
+module.exports = class Formatter {
+  #mapping = null;
+  #type = null;
+
+  /**
+   * @param {object} defaults - Default mapping of the format.
+   * @param {object} [options] - Formatter options.
+   * @param {object} [options.mapping] - Output fields to add or override. Values are functions (normalised, raw) or dotted paths into the raw record.
+   * @param {string} [options.type] - Type of every record formatted, e.g. "account_scoring". Guessed per record when left out.
+   */
+  constructor(defaults, { mapping = {}, type } = {}) {
+    this.#mapping = { ...defaults, ...mapping };
+    this.#type = type;
+  }
+
+  /**
+   * Resolve the mapping for a record.
+   * @param {object} record - Object returned by the API.
+   * @returns {object} Output fields, in mapping order, without undefined or null values.
+   */
+  fields(record) {
+    let normalized = normalize(record, this.#type);
+    let fields = {};
+    for (let [field, source] of Object.entries(this.#mapping)) {
+      let value =
+        typeof source === "function"
+          ? source(normalized, record)
+          : typeof source === "string"
+            ? getPath(record, source)
+            : undefined;
+      if (value !== undefined && value !== null) {
+        fields[field] = value;
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * Format a record.
+   * @param {object} record - Object returned by the API.
+   * @returns {string} Formatted record.
+   */
+  format(record) {
+    throw new Error("Formatters must implement format(record).");
+  }
+
+  /**
+   * Format several records.
+   * @param {object[]} records - Objects returned by the API.
+   * @returns {string} Formatted records, one per line.
+   */
+  formatAll(records) {
+    return records.map((record) => this.format(record)).join("\n");
+  }
+
+  /**
+   * Create a transform stream that takes records, or arrays of records, and outputs formatted lines.
+   * @returns {Transform} Stream in object mode on its writable side.
+   */
+  stream() {
+    return new Transform({
+      writableObjectMode: true,
+      transform: (chunk, encoding, callback) => {
+        try {
+          let records = Array.isArray(chunk) ? chunk : [chunk];
+          callback(
+            null,
+            records.map((record) => `${this.format(record)}\n`).join(""),
+          );
+        } catch (err) {
+          callback(err);
+        }
+      },
+    });
+  }
+};
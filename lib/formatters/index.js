@@ -0,0 +1,47 @@
+/**
+ * Formatters that turn detections, accounts, hosts and events into SIEM
+ * formats.
+ */
+const Formatter = require("./formatter");
+const CefFormatter = require("./cef");
+const LeefFormatter = require("./leef");
+const EcsFormatter = require("./ecs");
+const OcsfFormatter = require("./ocsf");
+const { RECORD_TYPES, recordType, normalize } = require("./normalize");
+const { VectraValidationError } = require("../errors");
+
+//Formatter class for each format name
+const FORMATS = {
+  cef: CefFormatter,
+  leef: LeefFormatter,
+  ecs: EcsFormatter,
+  ocsf: OcsfFormatter,
+};
+
+/**
+ * Create a formatter by name.
+ * @param {string} format - One of cef, leef, ecs or ocsf.
+ * @param {object} [options] - Formatter options, e.g. { mapping, type }.
+ * @returns {Formatter} The formatter.
+ */
+function createFormatter(format, options) {
+  let FormatterClass = FORMATS[String(format).toLowerCase()];
+  if (!FormatterClass) {
+    throw new VectraValidationError(
+      `Unknown format ${format}. Expected one of ${Object.keys(FORMATS).join(", ")}.`,
+    );
+  }
+  return new FormatterClass(options);
+}
+
+module.exports = {
+  Formatter,
+  CefFormatter,
+  LeefFormatter,
+  EcsFormatter,
+  OcsfFormatter,
+  RECORD_TYPES,
+  recordType,
+  normalize,
+  createFormatter,
+};
@@ -0,0 +1,75 @@
+/**
+ * IBM QRadar Log Event Extended Format (LEEF 2.0) formatter.
+ */
+const Formatter = require("./formatter");
+
+//Mapping fields that make up the LEEF header, in order
+const HEADER_FIELDS = ["vendor", "product", "version", "eventId"];
+
+/**
+ * Default LEEF mapping. Header fields are listed first, every other field is
+ * written as a tab separated attribute.
+ */
+const DEFAULT_MAPPING = {
+  vendor: () => "Vectra Networks",
+  product: () => "Vectra AI",
+  version: () => "3",
+  eventId: (record) =>
+    record.name !== undefined ? `${record.type}:${record.name}` : record.type,
+  devTime: (record) => record.timestamp,
+  devTimeFormat: (record) =>
+    record.timestamp !== undefined ? "yyyy-MM-dd'T'HH:mm:ss.SSSX" : undefined,
+  cat: (record) => record.category,
+  sev: (record) => record.severity,
+  src: (record) => record.srcIP,
+  srcHostName: (record) => record.srcHost,
+  usrName: (record) => record.account,
+  externalId: (record) => record.id,
+  detectionName: (record) => record.name,
+  detectionId: (record) => record.detectionID,
+  threat: (record) => record.threat,
+  certainty: (record) => record.certainty,
+  state: (record) => record.state,
+  url: (record) => record.url,
+  tags: (record) =>
+    record.tags.length > 0 ? record.tags.join(",") : undefined,
+};
+
+//Escape a header value
+function escapeHeader(value) {
+  return String(value).replace(/\|/g, "\\|");
+}
+
+//Remove the tab delimiter and line breaks from an attribute value
+function escapeAttribute(value) {
+  return String(value).replace(/[\t\r\n]+/g, " ");
+}
+
+class LeefFormatter extends Formatter {
+  /**
+   * @param {object} [options] - Formatter options, see Formatter.
+   */
+  constructor(options) {
+    super(DEFAULT_MAPPING, options);
+  }
+
+  /**
+   * Format a record as a LEEF line.
+   * @param {object} record - Object returned by the API.
+   * @returns {string} LEEF line.
+   */
+  format(record) {
+    let fields = this.fields(record);
+    let header = HEADER_FIELDS.map((field) =>
+      escapeHeader(fields[field] === undefined ? "" : fields[field]),
+    );
+    let attributes = Object.keys(fields)
+      .filter((field) => !HEADER_FIELDS.includes(field))
+      .map((field) => `${field}=${escapeAttribute(fields[field])}`);
+    return `LEEF:2.0|${header.join("|")}|x09|${attributes.join("\t")}`;
+  }
+}
+
+LeefFormatter.DEFAULT_MAPPING = DEFAULT_MAPPING;
+
+module.exports = LeefFormatter;
@@ -0,0 +1,126 @@
+/**
+ * Normalises detections, accounts, hosts and events API records into one
+ * flat shape, so every formatter can map them the same way.
+ */
+
+/**
+ * Record types understood by the formatters.
+ */
+const RECORD_TYPES = [
+  "detection",
+  "account",
+  "host",
+  "account_detection",
+  "account_scoring",
+];
+
+/**
+ * Guess the type of a record from the fields it has.
+ * @param {object} record - Object returned by the API.
+ * @returns {string} One of RECORD_TYPES.
+ */
+function recordType(record) {
+  if (record.detection_id !== undefined && record.account_uid !== undefined) {
+    return "account_detection";
+  }
+  if (
+    record.account_uid !== undefined ||
+    record.active_detection_types !== undefined
+  ) {
+    return "account_scoring";
+  }
+  if (record.detection_set !== undefined || record.detection_ids) {
+    return record.ip !== undefined || record.last_source !== undefined
+      ? "host"
+      : "account";
+  }
+  return "detection";
+}
+
+//Convert an API timestamp to an ISO 8601 string
+function toISO(value) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  let date = new Date(value);
+  return isNaN(date) ? undefined : date.toISOString();
+}
+
+//Pick the first defined value
+function first(...values) {
+  return values.find((value) => value !== undefined && value !== null);
+}
+
+/**
+ * Normalise a record. The result has the fields type, id, name, category,
+ * threat, certainty, severity (threat scaled to 0-10), timestamp (ISO 8601),
+ * srcIP, srcHost, account, detectionID, state, url and tags. Fields the
+ * record does not have are undefined.
+ * @param {object} record - Object returned by the API.
+ * @param {string} [type] - Type of the record. Guessed when left out.
+ * @returns {object} Normalised record.
+ */
+function normalize(record, type = recordType(record)) {
+  let normalized = {
+    type: type,
+    id: record.id,
+    category: first(record.detection_category, record.category),
+    threat: first(record.threat, record.t_score),
+    certainty: first(record.certainty, record.c_score),
+    state: record.state,
+    url: record.url,
+    tags: Array.isArray(record.tags) ? record.tags : [],
+  };
+  if (type === "detection") {
+    Object.assign(normalized, {
+      name: first(record.detection, record.detection_type),
+      timestamp: toISO(
+        first(
+          record.last_timestamp,
+          record.first_timestamp,
+          record.created_timestamp,
+        ),
+      ),
+      srcIP: first(record.src_ip, record.src_host && record.src_host.ip),
+      srcHost: record.src_host && record.src_host.name,
+      account: record.src_account && record.src_account.name,
+      detectionID: record.id,
+    });
+  } else if (type === "account_detection") {
+    Object.assign(normalized, {
+      name: first(record.d_type_vname, record.detection_type),
+      timestamp: toISO(record.event_timestamp),
+      account: record.account_uid,
+      detectionID: record.detection_id,
+      url: first(record.url, record.detection_href),
+    });
+  } else if (type === "account_scoring") {
+    Object.assign(normalized, {
+      name: "Account Scoring",
+      timestamp: toISO(record.event_timestamp),
+      account: record.account_uid,
+      detectionID: record.last_detection && record.last_detection.id,
+    });
+  } else {
+    Object.assign(normalized, {
+      name: record.name,
+      timestamp: toISO(
+        first(record.last_detection_timestamp, record.last_modified),
+      ),
+      srcIP: type === "host" ? first(record.ip, record.last_source) : undefined,
+      srcHost: type === "host" ? record.name : undefined,
+      account: type === "account" ? record.name : undefined,
+    });
+  }
+  normalized.severity =
+    typeof normalized.threat === "number"
+      ? Math.min(10, Math.max(0, Math.round(normalized.threat / 10)))
+      : undefined;
+  return normalized;
+}
+
+module.exports = {
+  RECORD_TYPES,
+  recordType,
+  normalize,
+};
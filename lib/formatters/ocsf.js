@@ -0,0 +1,95 @@
+/**
+ * Open Cybersecurity Schema Framework (OCSF) JSON formatter. Records are
+ * mapped to the Detection Finding class (2004).
+ */
+const Formatter = require("./formatter");
+const { setPath } = require("./paths");
+
+//OCSF severity_id for a 0-10 severity
+function severityID(severity) {
+  if (severity === undefined) {
+    return 0;
+  }
+  if (severity >= 9) {
+    return 5;
+  }
+  if (severity >= 7) {
+    return 4;
+  }
+  if (severity >= 5) {
+    return 3;
+  }
+  if (severity >= 3) {
+    return 2;
+  }
+  return 1;
+}
+
+/**
+ * Default OCSF mapping. Field names are dotted OCSF paths.
+ */
+const DEFAULT_MAPPING = {
+  "metadata.version": () => "1.1.0",
+  "metadata.product.name": () => "Vectra AI",
+  "metadata.product.vendor_name": () => "Vectra Networks",
+  "metadata.uid": (record) =>
+    record.id !== undefined ? `${record.type}:${record.id}` : undefined,
+  category_uid: () => 2,
+  class_uid: () => 2004,
+  activity_id: () => 1,
+  type_uid: () => 200401,
+  time: (record) => record.timestamp && Date.parse(record.timestamp),
+  severity_id: (record) => severityID(record.severity),
+  risk_score: (record) => record.threat,
+  confidence_score: (record) => record.certainty,
+  message: (record) => record.name,
+  "finding_info.uid": (record) =>
+    record.detectionID !== undefined ? String(record.detectionID) : undefined,
+  "finding_info.title": (record) => record.name,
+  "finding_info.types": (record) =>
+    record.category !== undefined ? [record.category] : undefined,
+  "finding_info.src_url": (record) => record.url,
+  "src_endpoint.ip": (record) => record.srcIP,
+  "src_endpoint.hostname": (record) => record.srcHost,
+  "actor.user.name": (record) => record.account,
+  status: (record) => record.state,
+  "unmapped.vectra_type": (record) => record.type,
+  "unmapped.tags": (record) =>
+    record.tags.length > 0 ? record.tags : undefined,
+};
+
+class OcsfFormatter extends Formatter {
+  /**
+   * @param {object} [options] - Formatter options, see Formatter.
+   */
+  constructor(options) {
+    super(DEFAULT_MAPPING, options);
+  }
+
+  /**
+   * Map a record to an OCSF Detection Finding.
+   * @param {object} record - Object returned by the API.
+   * @returns {object} OCSF event.
+   */
+  toObject(record) {
+    let fields = this.fields(record);
+    let event = {};
+    for (let field of Object.keys(fields)) {
+      setPath(event, field, fields[field]);
+    }
+    return event;
+  }
+
+  /**
+   * Format a record as an OCSF JSON line.
+   * @param {object} record - Object returned by the API.
+   * @returns {string} OCSF JSON.
+   */
+  format(record) {
+    return JSON.stringify(this.toObject(record));
+  }
+}
+
+OcsfFormatter.DEFAULT_MAPPING = DEFAULT_MAPPING;
+
+module.exports = OcsfFormatter;
@@ -0,0 +1,42 @@
+/**
+ * Helpers for reading and writing dotted paths, e.g. "source.ip".
+ */
+
+/**
+ * Read a dotted path from an object.
+ * @param {object} object - Object to read from.
+ * @param {string} path - Dotted path.
+ * @returns {*} The value, or undefined if any part of the path is missing.
+ */
+function getPath(object, path) {
+  return path
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value === undefined || value === null ? undefined : value[key],
+      object,
+    );
+}
+
+/**
+ * Set a dotted path on an object, creating nested objects as needed.
+ * @param {object} object - Object to write to.
+ * @param {string} path - Dotted path.
+ * @param {*} value - Value to set.
+ */
+function setPath(object, path, value) {
+  let keys = path.split(".");
+  let last = keys.pop();
+  for (let key of keys) {
+    if (typeof object[key] !== "object" || object[key] === null) {
+      object[key] = {};
+    }
+    object = object[key];
+  }
+  object[last] = value;
+}
+
+module.exports = {
+  getPath,
+  setPath,
+};
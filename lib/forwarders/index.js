@@ -0,0 +1,10 @@
+/**
+ * Sinks that forward detections and events to other systems.
+ */
+const SyslogForwarder = require("./syslog");
+const WebhookForwarder = require("./webhook");
+
+module.exports = {
+  SyslogForwarder,
+  WebhookForwarder,
+};
@@ -0,0 +1,241 @@
+/**
+ * Forwards records to a syslog server as RFC 5424 messages over UDP, TCP or
+ * TLS. On TCP and TLS, messages are framed with octet counting (RFC 6587
+ * 3.4.1) or a trailing newline.
+ */
+const dgram = require("dgram");
+const net = require("net");
+const os = require("os");
+const tls = require("tls");
+const { createFormatter } = require("../formatters");
+const { normalize } = require("../formatters/normalize");
+const { VectraConfigError } = require("../errors");
+
+/**
+ * Default syslog settings.
+ */
+const DEFAULT_OPTIONS = {
+  host: "localhost",
+  protocol: "udp",
+  facility: 16,
+  appName: "vectra",
+  format: "cef",
+};
+
+//Default port for each protocol
+const PORTS = { udp: 514, tcp: 514, tls: 6514 };
+
+//Syslog severity for a 0-10 severity
+function syslogSeverity(severity) {
+  if (severity === undefined) {
+    return 6;
+  }
+  if (severity >= 9) {
+    return 2;
+  }
+  if (severity >= 7) {
+    return 3;
+  }
+  if (severity >= 5) {
+    return 4;
+  }
+  if (severity >= 3) {
+    return 5;
+  }
+  return 6;
+}
+
+//Make a header field safe: printable ASCII without spaces, or "-" when empty
+function headerField(value, maxLength) {
+  let field = String(value === undefined ? "" : value)
+    .replace(/[^\x21-\x7e]/g, "")
+    .slice(0, maxLength);
+  return field || "-";
+}
+
+module.exports = class SyslogForwarder {
+  #options = null;
+  #formatter = null;
+  #socket = null;
+  #connecting = null;
+
+  /**
+   * @param {object} [options] - Forwarder options.
+   * @param {string} [options.host] - Syslog server. Defaults to localhost.
+   * @param {number} [options.port] - Syslog port. Defaults to 514, or 6514 for TLS.
+   * @param {string} [options.protocol] - "udp", "tcp" or "tls". Defaults to "udp".
+   * @param {string} [options.framing] - "octet-counting" or "newline", for TCP and TLS. Defaults to "octet-counting".
+   * @param {number} [options.facility] - Syslog facility. Defaults to 16 (local0).
+   * @param {string} [options.appName] - APP-NAME of every message. Defaults to "vectra".
+   * @param {string} [options.hostname] - HOSTNAME of every message. Defaults to the local hostname.
+   * @param {string|object} [options.format] - Name of a formatter, or a formatter, for the message body. Defaults to "cef".
+   * @param {object} [options.tls] - Options passed to tls.connect, e.g. ca, cert, key and servername.
+   */
+  constructor(options = {}) {
+    this.#options = {
+      ...DEFAULT_OPTIONS,
+      hostname: os.hostname(),
+      ...options,
+    };
+    let { protocol, framing = "octet-counting" } = this.#options;
+    if (!PORTS[protocol]) {
+      throw new VectraConfigError(
+        `Unknown syslog protocol ${protocol}. Expected udp, tcp or tls.`,
+      );
+    }
+    if (framing !== "octet-counting" && framing !== "newline") {
+      throw new VectraConfigError(
+        `Unknown syslog framing ${framing}. Expected octet-counting or newline.`,
+      );
+    }
+    this.#options.framing = framing;
+    this.#options.port = this.#options.port || PORTS[protocol];
+    this.#formatter =
+      typeof this.#options.format === "string"
+        ? createFormatter(this.#options.format)
+        : this.#options.format;
+  }
+
+  /**
+   * Build the RFC 5424 message for a record.
+   * @param {object} record - Object returned by the API.
+   * @returns {string} Syslog message, without framing.
+   */
+  message(record) {
+    let normalized = normalize(record);
+    let priority =
+      this.#options.facility * 8 + syslogSeverity(normalized.severity);
+    let timestamp = normalized.timestamp || new Date().toISOString();
+    return [
+      `<${priority}>1`,
+      timestamp,
+      headerField(this.#options.hostname, 255),
+      headerField(this.#options.appName, 48),
+      headerField(process.pid, 128),
+      headerField(normalized.type, 32),
+      "-",
+      this.#formatter.format(record),
+    ].join(" ");
+  }
+
+  //Open the UDP socket or stream connection
+  async #connect() {
+    if (this.#socket) {
+      return this.#socket;
+    }
+    if (!this.#connecting) {
+      this.#connecting = new Promise((resolve, reject) => {
+        let { host, port, protocol } = this.#options;
+        let socket;
+        if (protocol === "udp") {
+          socket = dgram.createSocket(net.isIPv6(host) ? "udp6" : "udp4");
+          socket.connect(port, host);
+        } else if (protocol === "tcp") {
+          socket = net.connect({ host: host, port: port });
+        } else {
+          socket = tls.connect({
+            servername: net.isIP(host) ? undefined : host,
+            ...this.#options.tls,
+            host: host,
+            port: port,
+          });
+        }
+        let ready = protocol === "tls" ? "secureConnect" : "connect";
+        socket.once(ready, () => {
+          socket.off("error", reject);
+          //A broken connection is reopened by the next send
+          socket.on("error", () => this.#discard(socket));
+          socket.once("close", () => {
+            if (this.#socket === socket) {
+              this.#socket = null;
+            }
+          });
+          this.#socket = socket;
+          resolve(socket);
+        });
+        socket.once("error", reject);
+      }).finally(() => {
+        this.#connecting = null;
+      });
+    }
+    return await this.#connecting;
+  }
+
+  //Throw away a broken socket
+  #discard(socket) {
+    if (this.#socket === socket) {
+      this.#socket = null;
+    }
+    try {
+      if (this.#options.protocol === "udp") {
+        socket.close();
+      } else {
+        socket.destroy();
+      }
+    } catch (err) {
+      //Already closed
+    }
+  }
+
+  //Write one framed message
+  #write(socket, message) {
+    return new Promise((resolve, reject) => {
+      let callback = (err) => (err ? reject(err) : resolve());
+      if (this.#options.protocol === "udp") {
+        socket.send(Buffer.from(message), callback);
+      } else if (this.#options.framing === "octet-counting") {
+        socket.write(`${Buffer.byteLength(message)} ${message}`, callback);
+      } else {
+        socket.write(`${message.replace(/\n/g, " ")}\n`, callback);
+      }
+    });
+  }
+
+  /**
+   * Send records to the syslog server.
+   * @param {object[]} records - Objects returned by the API, e.g. the events of a page.
+   * @returns {Promise} Resolves once every message has been written.
+   */
+  async send(records) {
+    try {
+      let socket = await this.#connect();
+      for (let record of records) {
+        await this.#write(socket, this.message(record));
+      }
+    } catch (err) {
+      if (this.#socket) {
+        this.#discard(this.#socket);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Return a handler for subscribe(). A page's checkpoint is only saved once its events have been sent.
+   * @returns {Function} Async handler taking an array of events.
+   */
+  handler() {
+    return (events) => this.send(events);
+  }
+
+  /**
+   * Close the connection.
+   * @returns {Promise} Resolves once the connection is closed.
+   */
+  async close() {
+    let socket = this.#socket;
+    this.#socket = null;
+    if (!socket) {
+      return;
+    }
+    await new Promise((resolve) => {
+      if (this.#options.protocol === "udp") {
+        socket.close(resolve);
+      } else {
+        socket.end(resolve);
+      }
+    });
+  }
+};
+
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
@@ -0,0 +1,157 @@
+/**
+ * Forwards records to an HTTP endpoint as JSON batches. Failed batches are
+ * retried with backoff, and every request can be signed with HMAC-SHA256 so
+ * the receiver can check where it came from.
+ */
+const crypto = require("crypto");
+const retry = require("../retry");
+const errors = require("../errors");
+const { chunk } = require("../concurrency");
+const { createFormatter } = require("../formatters");
+const { AxiosTransport } = require("../transports");
+
+/**
+ * Default webhook settings.
+ */
+const DEFAULT_OPTIONS = {
+  method: "POST",
+  batchSize: 100,
+  timeout: 30000,
+  signatureHeader: "X-Vectra-Signature",
+  timestampHeader: "X-Vectra-Timestamp",
+};
+
+module.exports = class WebhookForwarder {
+  #options = null;
+  #retry = null;
+  #formatter = null;
+  #transport = null;
+
+  /**
+   * @param {object} options - Forwarder options.
+   * @param {string} options.url - URL to send batches to.
+   * @param {string} [options.method] - HTTP method. Defaults to POST.
+   * @param {number} [options.batchSize] - Maximum number of records per request. Defaults to 100.
+   * @param {object} [options.headers] - Extra request headers, e.g. an API key for the receiver.
+   * @param {string} [options.secret] - Key to sign requests with. Requests are unsigned when left out.
+   * @param {string} [options.signatureHeader] - Header holding the signature. Defaults to X-Vectra-Signature.
+   * @param {string} [options.timestampHeader] - Header holding the signing time. Defaults to X-Vectra-Timestamp.
+   * @param {string|object} [options.format] - Name of a formatter, or a formatter, to convert records with. Records are sent as returned by the API when left out.
+   * @param {object|boolean} [options.retry] - Retry policy, as for the client. Writes and 500 errors are retried by default.
+   * @param {number} [options.timeout] - Request timeout in milliseconds. Defaults to 30000. Not used with a transport object, which applies its own.
+   * @param {object} [options.transport] - Settings for the built-in axios transport, e.g. proxy and ca, or a transport object such as the one given to the client.
+   */
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new errors.VectraConfigError("A webhook url is required.");
+    }
+    this.#options = { ...DEFAULT_OPTIONS, ...options };
+    this.#retry =
+      options.retry === false
+        ? retry.normalizePolicy(false)
+        : retry.normalizePolicy({
+            retryWrites: true,
+            statuses: [429, 500, 502, 503, 504],
+            ...options.retry,
+          });
+    this.#transport =
+      options.transport && typeof options.transport.request === "function"
+        ? options.transport
+        : new AxiosTransport({
+            timeout: this.#options.timeout,
+            ...options.transport,
+          });
+    if (typeof options.format === "string") {
+      this.#formatter = createFormatter(options.format);
+    } else {
+      this.#formatter = options.format || null;
+    }
+  }
+
+  //Convert a record with the formatter, if there is one
+  #convert(record) {
+    if (!this.#formatter) {
+      return record;
+    }
+    return this.#formatter.toObject
+      ? this.#formatter.toObject(record)
+      : this.#formatter.format(record);
+  }
+
+  /**
+   * Sign a request body. The signature is "sha256=" followed by the hex
+   * HMAC-SHA256 of the timestamp, a dot and the body.
+   * @param {string} body - Request body.
+   * @param {number} timestamp - Unix time in seconds.
+   * @returns {string} Signature header value.
+   */
+  sign(body, timestamp) {
+    let hmac = crypto.createHmac("sha256", this.#options.secret);
+    hmac.update(`${timestamp}.${body}`);
+    return `sha256=${hmac.digest("hex")}`;
+  }
+
+  //Send one batch, retrying failures the retry policy allows
+  async #post(batch) {
+    let { url, method, headers, secret } = this.#options;
+    let body = JSON.stringify(batch);
+    for (let attempt = 1; ; attempt++) {
+      try {
+        let timestamp = Math.floor(Date.now() / 1000);
+        let signature = secret
+          ? {
+              [this.#options.signatureHeader]: this.sign(body, timestamp),
+              [this.#options.timestampHeader]: String(timestamp),
+            }
+          : {};
+        return await this.#transport.request({
+          url: url,
+          method: method,
+          headers: {
+            ...headers,
+            "Content-Type": "application/json",
+            ...signature,
+          },
+          data: body,
+        });
+      } catch (err) {
+        let error = errors.toVectraError(err, method, url);
+        if (!retry.shouldRetry(this.#retry, method, error, attempt)) {
+          throw error;
+        }
+        await new Promise((resolve) =>
+          setTimeout(resolve, retry.getDelay(this.#retry, error, attempt)),
+        );
+      }
+    }
+  }
+
+  /**
+   * Send records to the webhook in batches of batchSize.
+   * @param {object[]} records - Objects returned by the API, e.g. the events of a page.
+   * @returns {Promise} Resolves once every batch has been accepted.
+   */
+  async send(records) {
+    try {
+      let batches = chunk(
+        records.map((record) => this.#convert(record)),
+        this.#options.batchSize,
+      );
+      for (let batch of batches) {
+        await this.#post(batch);
+      }
+    } catch (err) {
+      throw err;
+    }
+  }
+
+  /**
+   * Return a handler for subscribe(). A page's checkpoint is only saved once its events have been sent.
+   * @returns {Function} Async handler taking an array of events.
+   */
+  handler() {
+    return (events) => this.send(events);
+  }
+};
+
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
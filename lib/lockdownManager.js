@@ -0,0 +1,325 @@
+/**
+ * Timed lockdowns: locks accounts and hosts for a fixed duration and releases
+ * them when it ends, keeping pending unlocks in a checkpoint store.
+ */
+const EventEmitter = require("events");
+const { MemoryCheckpointStore } = require("./checkpointStore");
+const { VectraValidationError } = require("./errors");
+
+//Entity types that can be locked down
+const ENTITY_TYPES = ["account", "host"];
+
+//Longest delay setTimeout accepts
+const MAX_TIMEOUT = 2147483647;
+
+/**
+ * Locks accounts and hosts for a fixed duration and unlocks them when it ends.
+ * Pending unlocks are kept in a checkpoint store, so they survive restarts,
+ * and are reconciled against the brain's lockdown list on start and at every
+ * reconcile interval.
+ *
+ * Emits:
+ * - "locked" (lock) when the manager locks an entity.
+ * - "expired" (lock) when a lock reaches its end and the entity is unlocked.
+ * - "unlocked" (lock) when unlock() releases an entity early.
+ * - "changed" ({ entityType, entityID, change }) when an entity is locked or unlocked outside the manager. change is "locked" or "unlocked".
+ * - "error" (err) when an unlock or reconciliation fails. Failed unlocks are retried.
+ */
+module.exports = class LockdownManager extends EventEmitter {
+  #client = null;
+  #store = null;
+  #storeKey = null;
+  #allowlist = {};
+  #reconcileInterval = 300000;
+  #retryInterval = 60000;
+  #locks = new Map();
+  #timers = new Map();
+  #known = null;
+  #reconcileTimer = null;
+  #running = false;
+
+  /**
+   * @param {SaasClient} client - Client to lock and unlock entities with.
+   * @param {object} [options] - Manager options.
+   * @param {object} [options.store] - Checkpoint store to keep pending unlocks in. Defaults to memory, which does not survive restarts.
+   * @param {string} [options.storeKey] - Key pending unlocks are saved under. Defaults to "lockdowns".
+   * @param {object} [options.allowlist] - Entities that must never be locked, as IDs or names by type, e.g. { host: [3, "dc01"] }.
+   * @param {number} [options.reconcileInterval] - Milliseconds between checks against the brain's lockdown list. Defaults to 300000. 0 only checks on start.
+   * @param {number} [options.retryInterval] - Milliseconds to wait before retrying a failed unlock. Defaults to 60000.
+   */
+  constructor(
+    client,
+    {
+      store,
+      storeKey = "lockdowns",
+      allowlist = {},
+      reconcileInterval = 300000,
+      retryInterval = 60000,
+    } = {},
+  ) {
+    super();
+    this.#client = client;
+    this.#store = store || new MemoryCheckpointStore();
+    this.#storeKey = storeKey;
+    this.#allowlist = allowlist;
+    this.#reconcileInterval = reconcileInterval;
+    this.#retryInterval = retryInterval;
+  }
+
+  /**
+   * Locks the manager is waiting to release.
+   * @returns {object[]} Locks with entityType, entityID, lockedAt and unlockAt.
+   */
+  get locks() {
+    return [...this.#locks.values()].map((lock) => ({ ...lock }));
+  }
+
+  /**
+   * Whether the manager has been started.
+   * @returns {boolean} True while running.
+   */
+  get running() {
+    return this.#running;
+  }
+
+  //Key of an entity in the lock map
+  #key(entityType, entityID) {
+    return `${entityType}:${entityID}`;
+  }
+
+  //Only emit errors when something is listening, so a failure never crashes the process
+  #emitError(err) {
+    if (this.listenerCount("error") > 0) {
+      this.emit("error", err);
+    }
+  }
+
+  //Save the pending unlocks
+  async #save() {
+    await this.#store.save(this.#storeKey, this.locks);
+  }
+
+  //Check that an entity may be locked
+  async #checkAllowed(entityType, entityID) {
+    if (!ENTITY_TYPES.includes(entityType)) {
+      throw new VectraValidationError(
+        `Invalid entity type ${entityType}. Expected account or host.`,
+      );
+    }
+    if (typeof entityID !== "number") {
+      throw new VectraValidationError("Entity IDs must be numbers.");
+    }
+    let allowed = this.#allowlist[entityType] || [];
+    let protectedEntity = allowed.includes(entityID);
+    let names = allowed.filter((entry) => typeof entry === "string");
+    if (!protectedEntity && names.length > 0) {
+      let entity =
+        entityType === "account"
+          ? await this.#client.getAccount(entityID)
+          : await this.#client.getHost(entityID);
+      protectedEntity = names.includes(entity.name);
+    }
+    if (protectedEntity) {
+      throw new VectraValidationError(
+        `Refusing to lock ${entityType} ${entityID}: it is on the allowlist.`,
+      );
+    }
+  }
+
+  //Schedule the unlock of a lock
+  #schedule(lock, delay = Date.parse(lock.unlockAt) - Date.now()) {
+    let key = this.#key(lock.entityType, lock.entityID);
+    clearTimeout(this.#timers.get(key));
+    if (!this.#running) {
+      return;
+    }
+    //Delays too long for setTimeout are covered in several steps
+    let timer = setTimeout(
+      () => {
+        this.#timers.delete(key);
+        if (Date.now() < Date.parse(lock.unlockAt)) {
+          this.#schedule(lock);
+        } else {
+          this.#expire(lock);
+        }
+      },
+      Math.min(Math.max(delay, 0), MAX_TIMEOUT),
+    );
+    this.#timers.set(key, timer);
+  }
+
+  //Unlock an entity whose lock has ended
+  async #expire(lock) {
+    let key = this.#key(lock.entityType, lock.entityID);
+    if (this.#locks.get(key) !== lock) {
+      return;
+    }
+    try {
+      await this.#client.applyLockStatus(
+        "unlock",
+        lock.entityType,
+        lock.entityID,
+      );
+      this.#locks.delete(key);
+      this.#known?.delete(key);
+      await this.#save();
+      this.emit("expired", { ...lock });
+    } catch (err) {
+      this.#emitError(err);
+      this.#schedule(lock, this.#retryInterval);
+    }
+  }
+
+  //Keys of every entity locked on the brain. The lockdown list also has
+  //recent unlocks, whose unlock_event_timestamp has passed
+  async #lockedOnBrain() {
+    let locked = new Set();
+    for (let entityType of ENTITY_TYPES) {
+      let lockdowns = (await this.#client.getLockStatus(entityType)) || [];
+      for (let lockdown of lockdowns) {
+        let unlockAt = Date.parse(lockdown.unlock_event_timestamp);
+        if (isNaN(unlockAt) || unlockAt > Date.now()) {
+          locked.add(this.#key(entityType, lockdown.entity_id));
+        }
+      }
+    }
+    return locked;
+  }
+
+  /**
+   * Compare pending unlocks with the brain's lockdown list. Locks released
+   * outside the manager are dropped, and entities locked outside it are reported.
+   * @returns {Promise} Resolves once reconciled.
+   */
+  async reconcile() {
+    let locked = await this.#lockedOnBrain();
+    for (let [key, lock] of [...this.#locks]) {
+      if (!locked.has(key)) {
+        clearTimeout(this.#timers.get(key));
+        this.#timers.delete(key);
+        this.#locks.delete(key);
+        this.emit("changed", {
+          entityType: lock.entityType,
+          entityID: lock.entityID,
+          change: "unlocked",
+        });
+      }
+    }
+    if (this.#known) {
+      for (let key of locked) {
+        if (!this.#known.has(key) && !this.#locks.has(key)) {
+          let [entityType, entityID] = key.split(":");
+          this.emit("changed", {
+            entityType: entityType,
+            entityID: Number(entityID),
+            change: "locked",
+          });
+        }
+      }
+    }
+    this.#known = locked;
+    await this.#save();
+  }
+
+  /**
+   * Load pending unlocks, reconcile them against the brain and schedule them.
+   * Locks that ended while the manager was stopped are released straight away.
+   * @returns {Promise} Resolves once the manager is running.
+   */
+  async start() {
+    if (this.#running) {
+      return this;
+    }
+    let saved = (await this.#store.load(this.#storeKey)) || [];
+    for (let lock of saved) {
+      this.#locks.set(this.#key(lock.entityType, lock.entityID), lock);
+    }
+    await this.reconcile();
+    this.#running = true;
+    for (let lock of this.#locks.values()) {
+      this.#schedule(lock);
+    }
+    if (this.#reconcileInterval > 0) {
+      this.#reconcileTimer = setInterval(() => {
+        this.reconcile().catch((err) => this.#emitError(err));
+      }, this.#reconcileInterval);
+    }
+    return this;
+  }
+
+  /**
+   * Stop scheduling unlocks. Pending unlocks stay in the store for the next start.
+   */
+  stop() {
+    this.#running = false;
+    clearInterval(this.#reconcileTimer);
+    this.#reconcileTimer = null;
+    for (let timer of this.#timers.values()) {
+      clearTimeout(timer);
+    }
+    this.#timers.clear();
+  }
+
+  /**
+   * Lock an entity and schedule its unlock.
+   * @param {string} entityType - "account" or "host".
+   * @param {number} entityID - ID of the entity.
+   * @param {number} duration - Milliseconds to keep the entity locked.
+   * @returns {Promise} The lock, with entityType, entityID, lockedAt and unlockAt.
+   */
+  async lock(entityType, entityID, duration) {
+    if (!this.#running) {
+      throw new VectraValidationError(
+        "The lockdown manager must be started before locking entities.",
+      );
+    }
+    if (typeof duration !== "number" || !(duration > 0)) {
+      throw new VectraValidationError(
+        "Lock durations must be a positive number of milliseconds.",
+      );
+    }
+    await this.#checkAllowed(entityType, entityID);
+    await this.#client.applyLockStatus("lock", entityType, entityID);
+    let now = Date.now();
+    let lock = {
+      entityType: entityType,
+      entityID: entityID,
+      lockedAt: new Date(now).toISOString(),
+      unlockAt: new Date(now + duration).toISOString(),
+    };
+    let key = this.#key(entityType, entityID);
+    this.#locks.set(key, lock);
+    this.#known?.add(key);
+    await this.#save();
+    this.#schedule(lock);
+    this.emit("locked", { ...lock });
+    return { ...lock };
+  }
+
+  /**
+   * Unlock an entity before its lock ends.
+   * @param {string} entityType - "account" or "host".
+   * @param {number} entityID - ID of the entity.
+   * @returns {Promise} Object containing details of the updated item.
+   */
+  async unlock(entityType, entityID) {
+    let key = this.#key(entityType, entityID);
+    let result = await this.#client.applyLockStatus(
+      "unlock",
+      entityType,
+      entityID,
+    );
+    clearTimeout(this.#timers.get(key));
+    this.#timers.delete(key);
+    this.#known?.delete(key);
+    let lock = this.#locks.get(key);
+    if (lock) {
+      this.#locks.delete(key);
+      await this.#save();
+      this.emit("unlocked", { ...lock });
+    }
+    return result;
+  }
+};
+
+module.exports.ENTITY_TYPES = ENTITY_TYPES;
@@ -0,0 +1,57 @@
+/**
+ * Wraps a user supplied logger with level filtering and redaction.
+ *
+ * Loggers are called pino style, as logger[level](fields, message). Winston
+ * loggers, recognised by their transports, are called as
+ * logger.log(level, message, fields) instead, with trace logged as silly. Fields are always scrubbed of
+ * tokens and secrets before the logger sees them.
+ */
+const { scrub } = require("./scrub");
+const { VectraConfigError } = require("./errors");
+
+/**
+ * Log levels, from most to least verbose.
+ */
+const LEVELS = ["trace", "debug", "info", "warn", "error", "silent"];
+
+/**
+ * Create a logger for the client.
+ * @param {object} [logger] - pino, winston or any object with trace, debug, info, warn and error methods. Nothing is logged when left out.
+ * @param {object} [options] - Logging options.
+ * @param {string} [options.level] - Least severe level to log. Defaults to "info".
+ * @param {string[]} [options.redact] - More field names to redact.
+ * @returns {object} Logger with trace, debug, info, warn and error methods taking (fields, message).
+ */
+function createLogger(logger, { level = "info", redact = [] } = {}) {
+  let threshold = LEVELS.indexOf(level);
+  if (threshold === -1) {
+    throw new VectraConfigError(
+      `Unknown log level ${level}. Expected one of ${LEVELS.join(", ")}.`,
+    );
+  }
+  let winston =
+    !!logger &&
+    typeof logger.log === "function" &&
+    Array.isArray(logger.transports);
+  let wrapped = {};
+  for (let name of LEVELS.slice(0, -1)) {
+    let enabled = !!logger && LEVELS.indexOf(name) >= threshold;
+    wrapped[name] = (fields, message) => {
+      if (!enabled) {
+        return;
+      }
+      let safe = scrub(fields, redact);
+      if (winston) {
+        logger.log(name === "trace" ? "silly" : name, message, safe);
+      } else if (typeof logger[name] === "function") {
+        logger[name](safe, message);
+      }
+    };
+  }
+  return wrapped;
+}
+
+module.exports = {
+  LEVELS,
+  createLogger,
+};
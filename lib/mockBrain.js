@@ -0,0 +1,729 @@
+/**
+ * In-process mock of a Vectra Detect SaaS brain, for testing the client and
+ * automations built on it without a live brain.
+ *
+ * Implements /oauth2/token and the detections, accounts, hosts, notes, tagging,
+ * rules, assignments, users, lockdown and events endpoints used by the client,
+ * backed by in-memory fixtures with paginated results and event checkpoints.
+ * Errors such as 401, 429 and 500 can be injected into any endpoint.
+ */
+const http = require("http");
+
+//Query parameters that control paging and output rather than filtering
+const CONTROL_PARAMS = ["page", "page_size", "ordering", "fields"];
+
+//Score filters and the fields they compare against
+const SCORE_FILTERS = {
+  t_score: "t_score",
+  threat: "t_score",
+  c_score: "c_score",
+  certainty: "c_score",
+  privilege_level: "privilege_level",
+};
+
+//Map a URL collection name to its tagging entity name
+const ENTITIES = {
+  detections: "detection",
+  accounts: "account",
+  hosts: "host",
+};
+
+//Error raised by route handlers to send a specific response
+class HttpError extends Error {
+  constructor(status, body) {
+    super(`HTTP ${status}`);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+module.exports = class MockBrain {
+  #clientID = null;
+  #secret = null;
+  #version = null;
+  #pageSize = 50;
+  #tokenTTL = 3600;
+  #server = null;
+  #url = null;
+  #tokens = new Set();
+  #tokenCount = 0;
+  #errors = [];
+  #requests = [];
+  #data = null;
+  #nextID = 1;
+
+  /**
+   * @param {object} [options] - Mock settings.
+   * @param {string} [options.clientID] - OAuth client ID the mock accepts. Defaults to "client".
+   * @param {string} [options.secret] - OAuth secret the mock accepts. Defaults to "secret".
+   * @param {number|string} [options.version] - API version served, e.g. 3 or "3.3". Defaults to 3.3.
+   * @param {number} [options.pageSize] - Default number of results per page. Defaults to 50.
+   * @param {number} [options.tokenTTL] - Lifetime of issued tokens in seconds. Defaults to 3600.
+   */
+  constructor({
+    clientID = "client",
+    secret = "secret",
+    version = 3.3,
+    pageSize = 50,
+    tokenTTL = 3600,
+  } = {}) {
+    this.#clientID = clientID;
+    this.#secret = secret;
+    this.#version = `v${String(version).replace(/^v/i, "")}`;
+    this.#pageSize = pageSize;
+    this.#tokenTTL = tokenTTL;
+    this.reset();
+  }
+
+  /**
+   * Base URL of the running mock, to be passed to the client as its siteURL.
+   * @returns {string|null} URL, or null when the mock is not running.
+   */
+  get url() {
+    return this.#url;
+  }
+
+  /**
+   * Every request received so far, oldest first.
+   * @returns {object[]} Requests with method, path, query and body.
+   */
+  get requests() {
+    return this.#requests;
+  }
+
+  /**
+   * Start listening on localhost.
+   * @param {number} [port] - Port to listen on. Defaults to a free port.
+   * @returns {Promise} Resolves with the base URL of the mock.
+   */
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.#server = http.createServer((req, res) => this.#handle(req, res));
+      this.#server.once("error", reject);
+      this.#server.listen(port, "127.0.0.1", () => {
+        this.#url = `http://127.0.0.1:${this.#server.address().port}`;
+        resolve(this.#url);
+      });
+    });
+  }
+
+  /**
+   * Stop listening and close open connections.
+   * @returns {Promise} Resolves once the mock has stopped.
+   */
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.#server) {
+        return resolve();
+      }
+      this.#server.close(() => resolve());
+      this.#server.closeAllConnections?.();
+      this.#server = null;
+      this.#url = null;
+    });
+  }
+
+  /**
+   * Remove all fixtures, injected errors, issued tokens and logged requests.
+   */
+  reset() {
+    this.#data = {
+      detections: new Map(),
+      accounts: new Map(),
+      hosts: new Map(),
+      rules: new Map(),
+      assignments: new Map(),
+      users: new Map(),
+      lockdowns: [],
+      events: { account_detection: [], account_scoring: [] },
+    };
+    this.#errors = [];
+    this.#requests = [];
+    this.#tokens.clear();
+    this.#nextID = 1;
+  }
+
+  /**
+   * Load fixtures. Objects without an id are given one.
+   * @param {object} fixtures - Arrays of detections, accounts, hosts, rules, assignments, users and lockdowns, and events keyed by type.
+   * @returns {MockBrain} This mock.
+   */
+  seed(fixtures = {}) {
+    for (let name of [
+      "detections",
+      "accounts",
+      "hosts",
+      "rules",
+      "assignments",
+      "users",
+    ]) {
+      for (let item of fixtures[name] || []) {
+        this.#store(name, item);
+      }
+    }
+    for (let lock of fixtures.lockdowns || []) {
+      this.#data.lockdowns.push({ ...lock });
+    }
+    for (let type of Object.keys(fixtures.events || {})) {
+      for (let event of fixtures.events[type]) {
+        this.addEvent(type, event);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Append an event to an events feed. Its checkpoint is assigned automatically.
+   * @param {string} type - Event feed, "account_detection" or "account_scoring".
+   * @param {object} event - Event fields.
+   * @returns {object} The stored event, including its id.
+   */
+  addEvent(type, event) {
+    let feed = this.#data.events[type];
+    if (!feed) {
+      throw new Error(`Unknown event type "${type}".`);
+    }
+    let stored = { ...event, id: feed.length + 1 };
+    feed.push(stored);
+    return stored;
+  }
+
+  /**
+   * Make matching requests fail.
+   * @param {object} error - Error to inject.
+   * @param {number} error.status - HTTP status to respond with.
+   * @param {string} [error.method] - Only fail requests with this method.
+   * @param {string|RegExp} [error.path] - Only fail requests whose path starts with this string or matches this pattern.
+   * @param {number} [error.times] - Number of requests to fail. Defaults to 1. Use Infinity to fail until reset.
+   * @param {object} [error.headers] - Response headers, e.g. { "Retry-After": "1" }.
+   * @param {*} [error.body] - Response body.
+   * @returns {MockBrain} This mock.
+   */
+  injectError({ status, method, path, times = 1, headers = {}, body }) {
+    this.#errors.push({ status, method, path, times, headers, body });
+    return this;
+  }
+
+  /**
+   * Invalidate every token issued so far, as if revoked on the brain.
+   */
+  revokeTokens() {
+    this.#tokens.clear();
+  }
+
+  /**
+   * Number of tokens issued so far.
+   * @returns {number} Token count.
+   */
+  get tokensIssued() {
+    return this.#tokenCount;
+  }
+
+  /**
+   * Read a stored fixture.
+   * @param {string} collection - Collection name, e.g. "detections".
+   * @param {number} id - ID of the object.
+   * @returns {object|undefined} The stored object.
+   */
+  get(collection, id) {
+    return this.#data[collection].get(Number(id));
+  }
+
+  //Store an object in a collection, giving it an id and default fields
+  #store(collection, item) {
+    let id = item.id !== undefined ? Number(item.id) : this.#nextID;
+    this.#nextID = Math.max(this.#nextID, id + 1);
+    let stored = { ...item, id: id };
+    if (ENTITIES[collection]) {
+      stored.state = stored.state || "active";
+      stored.tags = stored.tags || [];
+      stored.notes = stored.notes || [];
+    }
+    this.#data[collection].set(id, stored);
+    return stored;
+  }
+
+  //Find the first injected error that matches a request, and use it up
+  #takeError(method, path) {
+    let index = this.#errors.findIndex(
+      (error) =>
+        error.times > 0 &&
+        (!error.method || error.method.toUpperCase() === method) &&
+        (!error.path ||
+          (error.path instanceof RegExp
+            ? error.path.test(path)
+            : path.startsWith(error.path))),
+    );
+    if (index === -1) {
+      return null;
+    }
+    let error = this.#errors[index];
+    error.times--;
+    if (error.times <= 0) {
+      this.#errors.splice(index, 1);
+    }
+    return error;
+  }
+
+  //Write a JSON response
+  #send(res, status, body, headers = {}) {
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(body === undefined ? "" : JSON.stringify(body));
+  }
+
+  //Read and parse the request body
+  #readBody(req) {
+    return new Promise((resolve, reject) => {
+      let chunks = [];
+      req.on("data", (chunk) => chunks.push(chunk));
+      req.on("error", reject);
+      req.on("end", () => {
+        let text = Buffer.concat(chunks).toString("utf8");
+        if (!text) {
+          return resolve(undefined);
+        }
+        try {
+          resolve(JSON.parse(text));
+        } catch (err) {
+          resolve(text);
+        }
+      });
+    });
+  }
+
+  //Handle a single request
+  async #handle(req, res) {
+    let url = new URL(req.url, "http://localhost");
+    let query = Object.fromEntries(url.searchParams);
+    let body = await this.#readBody(req);
+    this.#requests.push({
+      method: req.method,
+      path: url.pathname,
+      query: query,
+      body: body,
+    });
+    try {
+      let error = this.#takeError(req.method, url.pathname);
+      if (error) {
+        let errorBody =
+          error.body !== undefined
+            ? error.body
+            : { detail: `Injected ${error.status} error.` };
+        return this.#send(res, error.status, errorBody, error.headers);
+      }
+      if (url.pathname === "/oauth2/token" && req.method === "POST") {
+        return this.#send(res, 200, this.#issueToken(req));
+      }
+      let prefix = `/api/${this.#version}/`;
+      if (!url.pathname.startsWith(prefix)) {
+        throw new HttpError(404, { detail: "Not found." });
+      }
+      let auth = req.headers.authorization || "";
+      if (!this.#tokens.has(auth.replace(/^Bearer /, ""))) {
+        throw new HttpError(401, {
+          detail: "Authentication credentials were not provided.",
+        });
+      }
+      let parts = url.pathname.slice(prefix.length).split("/").filter(Boolean);
+      let result = this.#route(req.method, parts, query, body);
+      this.#send(res, result.status || 200, result.body);
+    } catch (err) {
+      if (err instanceof HttpError) {
+        return this.#send(res, err.status, err.body);
+      }
+      this.#send(res, 500, { detail: err.message });
+    }
+  }
+
+  //Check client credentials and issue a token
+  #issueToken(req) {
+    let auth = (req.headers.authorization || "").replace(/^Basic /, "");
+    let expected = Buffer.from(`${this.#clientID}:${this.#secret}`).toString(
+      "base64",
+    );
+    if (auth !== expected) {
+      throw new HttpError(401, { error: "invalid_client" });
+    }
+    let token = `mock-token-${++this.#tokenCount}`;
+    this.#tokens.add(token);
+    return {
+      access_token: token,
+      token_type: "Bearer",
+      expires_in: this.#tokenTTL,
+    };
+  }
+
+  //Dispatch an API request to the handler for its path
+  #route(method, parts, query, body) {
+    if (parts[0] === "tagging" && parts.length === 3) {
+      if (method !== "GET" && method !== "PATCH") {
+        throw new HttpError(405, { detail: "Method not allowed." });
+      }
+      return { body: this.#tagging(method, parts[1], parts[2], body) };
+    }
+    let [collection, id, sub, subID, extra] = parts;
+    let key = `${method} ${collection}${id !== undefined ? "/:id" : ""}${
+      sub !== undefined ? `/${sub}` : ""
+    }${subID !== undefined ? "/:sub" : ""}${extra !== undefined ? "/x" : ""}`;
+    if (ENTITIES[collection]) {
+      switch (key) {
+        case `GET ${collection}`:
+          return this.#list(collection, query);
+        case `GET ${collection}/:id`:
+          return { body: this.#find(collection, id) };
+        case `GET ${collection}/:id/notes`:
+          return { body: this.#find(collection, id).notes };
+        case `POST ${collection}/:id/notes`:
+          return { status: 201, body: this.#addNote(collection, id, body) };
+        case `GET ${collection}/:id/notes/:sub`:
+          return { body: this.#findNote(collection, id, subID) };
+        case `PATCH ${collection}/:id/notes/:sub`: {
+          let note = this.#findNote(collection, id, subID);
+          note.note = this.#require(body, "note");
+          note.date_modified = new Date().toISOString();
+          return { body: note };
+        }
+        case `DELETE ${collection}/:id/notes/:sub`: {
+          let entity = this.#find(collection, id);
+          let note = this.#findNote(collection, id, subID);
+          entity.notes = entity.notes.filter((n) => n !== note);
+          return { status: 204 };
+        }
+        case "PATCH detections":
+          return { body: this.#markAsFixed(body) };
+      }
+    }
+    switch (key) {
+      case "GET rules":
+        return this.#list("rules", query);
+      case "GET rules/:id":
+        return { body: this.#find("rules", id) };
+      case "POST rules":
+        return { status: 201, body: this.#createRule(body) };
+      case "PUT rules/:id":
+        this.#find("rules", id);
+        return { body: this.#store("rules", { ...body, id: Number(id) }) };
+      case "DELETE rules/:id":
+        this.#find("rules", id);
+        this.#data.rules.delete(Number(id));
+        return { status: 204 };
+      case "DELETE rules":
+        return { body: this.#unfilter(body) };
+      case "GET assignments":
+        return this.#list("assignments", query, (a) =>
+          this.#assignmentMatches(a, query),
+        );
+      case "GET assignments/:id":
+        return { body: this.#find("assignments", id) };
+      case "POST assignments":
+        return { status: 201, body: this.#assign(body) };
+      case "PUT assignments/:id":
+        return { body: this.#reassign(id, body) };
+      case "PUT assignments/:id/resolve":
+        return { body: this.#resolve(id, body) };
+      case "DELETE assignments/:id":
+        this.#find("assignments", id);
+        this.#data.assignments.delete(Number(id));
+        return { status: 204 };
+      case "GET users":
+        return this.#list("users", query);
+      case "GET users/:id":
+        return { body: this.#find("users", id) };
+      case "GET lockdown":
+        return {
+          body: {
+            data: this.#data.lockdowns.filter(
+              (lock) =>
+                !query.entity_type || lock.entity_type === query.entity_type,
+            ),
+          },
+        };
+      case "POST lockdown":
+        return { body: this.#lock(body) };
+      case "GET events/:id":
+        return { body: this.#events(id, query) };
+    }
+    throw new HttpError(404, { detail: "Not found." });
+  }
+
+  //Find an object or fail with 404
+  #find(collection, id) {
+    let item = this.#data[collection].get(Number(id));
+    if (!item) {
+      throw new HttpError(404, { detail: "Not found." });
+    }
+    return item;
+  }
+
+  //Read a required field from a request body or fail with 400
+  #require(body, field) {
+    if (!body || body[field] === undefined || body[field] === "") {
+      throw new HttpError(400, { [field]: ["This field is required."] });
+    }
+    return body[field];
+  }
+
+  //Check whether an object matches a single query filter
+  #matches(item, name, value) {
+    let [field, op] = name.match(/^(.*?)(?:_(gte|lte))?$/).slice(1);
+    field = SCORE_FILTERS[field] || field;
+    if (name === "id") {
+      return value.split(",").map(Number).includes(item.id);
+    }
+    //Detections name their host in src_host
+    if (name === "host_id") {
+      let host = item.src_host ? item.src_host.id : item.host_id;
+      return String(host) === value;
+    }
+    if (name === "tags") {
+      return value.split(",").some((tag) => (item.tags || []).includes(tag));
+    }
+    if (!(field in item)) {
+      return true;
+    }
+    let actual = item[field];
+    if (op === "gte" || op === "lte") {
+      let [a, b] =
+        typeof actual === "number"
+          ? [actual, Number(value)]
+          : [String(actual), value];
+      return op === "gte" ? a >= b : a <= b;
+    }
+    return String(actual).toLowerCase() === value.toLowerCase();
+  }
+
+  //Return a filtered, ordered and paginated list
+  #list(collection, query, extraFilter) {
+    let filters = Object.keys(query).filter(
+      (name) => !CONTROL_PARAMS.includes(name),
+    );
+    let items = [...this.#data[collection].values()].filter(
+      (item) =>
+        filters.every((name) => this.#matches(item, name, query[name])) &&
+        (!extraFilter || extraFilter(item)),
+    );
+    if (query.ordering) {
+      let field = query.ordering.replace(/^-/, "");
+      let direction = query.ordering.startsWith("-") ? -1 : 1;
+      items.sort((a, b) =>
+        a[field] > b[field] ? direction : a[field] < b[field] ? -direction : 0,
+      );
+    }
+    let page = Number(query.page) || 1;
+    let size = Number(query.page_size) || this.#pageSize;
+    let link = (number) => {
+      let params = new URLSearchParams({ ...query, page: number });
+      return `${this.#url}/api/${this.#version}/${collection}?${params}`;
+    };
+    let results = items.slice((page - 1) * size, page * size);
+    if (query.fields) {
+      let fields = query.fields.split(",");
+      results = results.map((item) =>
+        Object.fromEntries(fields.map((f) => [f, item[f]])),
+      );
+    }
+    return {
+      body: {
+        count: items.length,
+        next: page * size < items.length ? link(page + 1) : null,
+        previous: page > 1 ? link(page - 1) : null,
+        results: results,
+      },
+    };
+  }
+
+  //Find a note on an entity or fail with 404
+  #findNote(collection, id, noteID) {
+    let note = this.#find(collection, id).notes.find(
+      (n) => n.id === Number(noteID),
+    );
+    if (!note) {
+      throw new HttpError(404, { detail: "Not found." });
+    }
+    return note;
+  }
+
+  //Add a note to an entity
+  #addNote(collection, id, body) {
+    let entity = this.#find(collection, id);
+    let note = {
+      id: this.#nextID++,
+      date_created: new Date().toISOString(),
+      date_modified: null,
+      created_by: this.#clientID,
+      note: this.#require(body, "note"),
+    };
+    entity.notes.push(note);
+    return note;
+  }
+
+  //Read or replace the tags of an entity
+  #tagging(method, entityType, id, body) {
+    let collection = Object.keys(ENTITIES).find(
+      (name) => ENTITIES[name] === entityType,
+    );
+    if (!collection) {
+      throw new HttpError(404, { detail: "Not found." });
+    }
+    let entity = this.#find(collection, id);
+    if (method === "PATCH") {
+      let tags = this.#require(body, "tags");
+      if (!Array.isArray(tags)) {
+        throw new HttpError(400, { tags: ["Expected a list of items."] });
+      }
+      entity.tags = [...new Set(tags)];
+    }
+    return { status: "success", tag_id: entity.id, tags: entity.tags };
+  }
+
+  //Mark or unmark detections as fixed
+  #markAsFixed(body) {
+    let ids = this.#require(body, "detectionIdList");
+    let fixed = String(this.#require(body, "mark_as_fixed")) === "True";
+    for (let id of ids) {
+      this.#find("detections", id).state = fixed ? "fixed" : "active";
+    }
+    return {
+      _meta: { level: "Success", message: "Successfully marked detections" },
+    };
+  }
+
+  //Create a triage rule, or filter detections when given a detection list
+  #createRule(body) {
+    if (body && body.detectionIdList) {
+      for (let id of body.detectionIdList) {
+        let detection = this.#find("detections", id);
+        detection.triage_rule_id = this.#nextID;
+        detection.filtered_by_rule = true;
+      }
+      return this.#store("rules", {
+        triage_category: this.#require(body, "triage_category"),
+        detection_ids: body.detectionIdList,
+      });
+    }
+    this.#require(body, "detection_category");
+    this.#require(body, "detection");
+    return this.#store("rules", {
+      ...body,
+      created_timestamp: new Date().toISOString(),
+    });
+  }
+
+  //Remove the filter from detections
+  #unfilter(body) {
+    for (let id of this.#require(body, "detectionIdList")) {
+      let detection = this.#find("detections", id);
+      delete detection.triage_rule_id;
+      detection.filtered_by_rule = false;
+    }
+    return { _meta: { level: "Success", message: "Successfully unfiltered" } };
+  }
+
+  //Check whether an assignment matches the accounts, hosts and resolved filters
+  #assignmentMatches(assignment, query) {
+    let listed = (value, id) =>
+      value === undefined || value.split(",").map(Number).includes(id);
+    return (
+      listed(query.accounts, assignment.account_id) &&
+      listed(query.hosts, assignment.host_id) &&
+      (query.resolved === undefined ||
+        String(Boolean(assignment.outcome)) === query.resolved)
+    );
+  }
+
+  //Create an assignment
+  #assign(body) {
+    let userID = this.#require(body, "assign_to_user_id");
+    this.#find("users", userID);
+    if (!body.assign_account_id && !body.assign_host_id) {
+      throw new HttpError(400, {
+        assign_account_id: ["Either an account or a host is required."],
+      });
+    }
+    if (body.assign_account_id) {
+      this.#find("accounts", body.assign_account_id);
+    }
+    if (body.assign_host_id) {
+      this.#find("hosts", body.assign_host_id);
+    }
+    return {
+      assignment: this.#store("assignments", {
+        account_id: body.assign_account_id || null,
+        host_id: body.assign_host_id || null,
+        assigned_to: { id: Number(userID) },
+        date_assigned: new Date().toISOString(),
+        outcome: null,
+      }),
+    };
+  }
+
+  //Reassign an assignment
+  #reassign(id, body) {
+    let assignment = this.#find("assignments", id);
+    let userID = this.#require(body, "assign_to_user_id");
+    this.#find("users", userID);
+    assignment.assigned_to = { id: Number(userID) };
+    if (body.assign_account_id) {
+      assignment.account_id = body.assign_account_id;
+    }
+    return { assignment: assignment };
+  }
+
+  //Resolve an assignment
+  #resolve(id, body) {
+    let assignment = this.#find("assignments", id);
+    assignment.outcome = { id: Number(this.#require(body, "outcome")) };
+    assignment.date_resolved = new Date().toISOString();
+    return { assignment: assignment };
+  }
+
+  //Lock or unlock an account or host
+  #lock(body) {
+    let status = this.#require(body, "lock_status");
+    let type = this.#require(body, "entity_type");
+    let id = Number(this.#require(body, "id"));
+    if (!["lock", "unlock"].includes(status)) {
+      throw new HttpError(400, { lock_status: ["Must be lock or unlock."] });
+    }
+    this.#find(`${type}s`, id);
+    let now = new Date().toISOString();
+    let current = this.#data.lockdowns.find(
+      (lock) =>
+        lock.entity_type === type &&
+        lock.entity_id === id &&
+        !lock.unlock_event_timestamp,
+    );
+    if (status === "lock" && !current) {
+      this.#data.lockdowns.push({
+        id: this.#nextID++,
+        entity_id: id,
+        entity_type: type,
+        lock_event_timestamp: now,
+        unlock_event_timestamp: null,
+        locked_by: this.#clientID,
+      });
+    }
+    //Unlocked entities stay in the list as recent unlocks
+    if (status === "unlock" && current) {
+      current.unlock_event_timestamp = now;
+    }
+    return { lock_status: status, entity_type: type, id: id };
+  }
+
+  //Return the events of a feed after a checkpoint
+  #events(type, query) {
+    let feed = this.#data.events[type];
+    if (!feed) {
+      throw new HttpError(404, { detail: "Not found." });
+    }
+    let from = Math.min(Number(query.from) || 0, feed.length);
+    let limit = Number(query.limit) || 500;
+    let events = feed.slice(from, from + limit);
+    let next = from + events.length;
+    return {
+      events: events,
+      next_checkpoint: next,
+      remaining_count: feed.length - next,
+    };
+  }
+};
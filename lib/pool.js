@@ -0,0 +1,228 @@
+/**
+ * Manages SaaS clients for several brains, e.g. one per customer tenant.
+ *
+ * Every tenant gets its own client, so rate limits, tokens and errors stay
+ * isolated: a slow or broken brain never holds up calls to the others.
+ */
+const SaasClient = require("../index");
+const { anySignal, withDeadline } = require("./abort");
+const { mapWithConcurrency } = require("./concurrency");
+const { VectraConfigError, VectraValidationError } = require("./errors");
+
+//Position of the callOptions argument of each client method that takes one.
+//Function.length cannot find it, as it stops at the first default value.
+const CALL_OPTIONS = {
+  getAccountChanges: 1,
+  getLatestAccountCheckpoint: 0,
+  getLatestDetectionCheckpoint: 0,
+  getDetectionChanges: 1,
+  getDetection: 1,
+  getDetections: 1,
+  getAllDetections: 1,
+  getDetectionNotes: 1,
+  getDetectionNote: 2,
+  addDetectionNote: 2,
+  updateDetectionNote: 3,
+  deleteDetectionNote: 2,
+  getDetectionTags: 1,
+  addDetectionTags: 2,
+  deleteDetectionTag: 2,
+  clearDetectionTags: 1,
+  markAsFixed: 1,
+  unmarkAsFixed: 1,
+  filterDetection: 2,
+  unfilterDetection: 1,
+  getAccount: 1,
+  getAccounts: 1,
+  getAllAccounts: 1,
+  addAccountNote: 2,
+  getAccountNotes: 1,
+  getAccountNote: 2,
+  updateAccountNote: 3,
+  deleteAccountNote: 2,
+  getHost: 1,
+  getHosts: 1,
+  getAllHosts: 1,
+  getHostDetections: 2,
+  addHostNote: 2,
+  getHostNotes: 1,
+  getHostNote: 2,
+  updateHostNote: 3,
+  deleteHostNote: 2,
+  getAccountTags: 1,
+  addAccountTags: 2,
+  deleteAccountTag: 2,
+  clearAccountTags: 1,
+  getHostTags: 1,
+  addHostTags: 2,
+  deleteHostTag: 2,
+  clearHostTags: 1,
+  getTriageRules: 1,
+  getTriageRule: 1,
+  createTriageRule: 1,
+  updateTriageRule: 2,
+  deleteTriageRule: 1,
+  cloneTriageRule: 2,
+  getAssignments: 0,
+  getAssignment: 1,
+  getAccountAssignment: 2,
+  getHostAssignment: 2,
+  resolveAssignment: 2,
+  getUsers: 0,
+  getUser: 1,
+  assignAccount: 2,
+  assignHost: 2,
+  modifyAssignment: 3,
+  removeAssignment: 1,
+  applyLockStatus: 3,
+  getLockStatus: 1,
+};
+
+module.exports = class SaasClientPool {
+  #clients = new Map();
+  #clientOptions = {};
+  #concurrency = 4;
+
+  /**
+   * @param {object} [tenants] - Tenants keyed by name, each with siteURL, clientID, secret, and optionally version and options.
+   * @param {object} [options] - Additional pool options.
+   * @param {object} [options.clientOptions] - Options passed to every tenant's client. A tenant's own options override them.
+   * @param {number} [options.concurrency] - Maximum number of tenants called at once. Defaults to 4.
+   */
+  constructor(tenants = {}, { clientOptions = {}, concurrency = 4 } = {}) {
+    this.#clientOptions = clientOptions;
+    this.#concurrency = concurrency;
+    for (let name of Object.keys(tenants)) {
+      this.add(name, tenants[name]);
+    }
+  }
+
+  /**
+   * Names of every tenant in the pool.
+   * @returns {string[]} Tenant names.
+   */
+  get tenants() {
+    return [...this.#clients.keys()];
+  }
+
+  /**
+   * Add a tenant to the pool.
+   * @param {string} name - Name of the tenant.
+   * @param {object} tenant - Connection settings for the tenant's brain.
+   * @param {string} tenant.siteURL - The URL where the tenant's brain is located.
+   * @param {string} tenant.clientID - OAuth Client ID.
+   * @param {string} tenant.secret - OAuth Secret.
+   * @param {number|string} [tenant.version] - API Version. Defaults to 3.
+   * @param {object} [tenant.options] - Client options for this tenant only.
+   * @returns {SaasClient} The tenant's client.
+   */
+  add(name, tenant) {
+    if (this.#clients.has(name)) {
+      throw new VectraConfigError(`Tenant ${name} is already in the pool.`);
+    }
+    let missing = ["siteURL", "clientID", "secret"].filter(
+      (field) => !tenant || !tenant[field],
+    );
+    if (missing.length) {
+      throw new VectraConfigError(
+        `Tenant ${name} is missing ${missing.join(", ")}.`,
+      );
+    }
+    let client = new SaasClient(
+      tenant.siteURL,
+      tenant.clientID,
+      tenant.secret,
+      tenant.version,
+      { ...this.#clientOptions, ...tenant.options },
+    );
+    this.#clients.set(name, client);
+    return client;
+  }
+
+  /**
+   * Remove a tenant from the pool.
+   * @param {string} name - Name of the tenant.
+   * @returns {boolean} True if the tenant was in the pool.
+   */
+  remove(name) {
+    return this.#clients.delete(name);
+  }
+
+  /**
+   * Return a tenant's client.
+   * @param {string} name - Name of the tenant.
+   * @returns {SaasClient} The tenant's client.
+   */
+  get(name) {
+    let client = this.#clients.get(name);
+    if (!client) {
+      throw new VectraValidationError(`Unknown tenant ${name}.`);
+    }
+    return client;
+  }
+
+  /**
+   * Call a client method on every tenant, or on selected tenants, and merge the results.
+   * Arrays are merged into one, and each object is tagged with a _tenant property.
+   * A failing tenant is reported in errors and does not stop the others.
+   * @param {string} method - Name of the async client method, e.g. "getAllDetections".
+   * @param {Array} [args] - Arguments passed to the method.
+   * @param {object} [options] - Additional call options.
+   * @param {string[]} [options.tenants] - Names of the tenants to call. Defaults to every tenant.
+   * @param {number} [options.concurrency] - Maximum number of tenants called at once.
+   * @param {AbortSignal} [options.signal] - Signal that cancels the call on every tenant.
+   * @param {number} [options.timeout] - Milliseconds the call may take across every tenant.
+   * @param {Date|number} [options.deadline] - Time the call must finish by on every tenant.
+   * @returns {Promise} Object with the merged results, the errors as [{ tenant, error }] and the raw results by tenant.
+   */
+  async call(method, args = [], options = {}) {
+    try {
+      if (typeof SaasClient.prototype[method] !== "function") {
+        throw new VectraValidationError(`Unknown client method ${method}.`);
+      }
+      let names = options.tenants || this.tenants;
+      let clients = names.map((name) => this.get(name));
+      let { signal } = withDeadline(options);
+      if (signal) {
+        let position = CALL_OPTIONS[method];
+        if (position === undefined) {
+          throw new VectraValidationError(
+            `Client method ${method} cannot be cancelled.`,
+          );
+        }
+        //Optional arguments that are left out are passed as undefined
+        let callOptions = args[position] || {};
+        args = [...args];
+        args[position] = {
+          ...callOptions,
+          signal: anySignal([callOptions.signal, signal]),
+        };
+      }
+      let settled = await mapWithConcurrency(
+        clients,
+        options.concurrency || this.#concurrency,
+        (client) => client[method](...args),
+      );
+      let merged = { results: [], errors: [], byTenant: {} };
+      settled.forEach((result, index) => {
+        let tenant = names[index];
+        if (result.status === "rejected") {
+          merged.errors.push({ tenant: tenant, error: result.reason });
+          return;
+        }
+        merged.byTenant[tenant] = result.value;
+        let items = Array.isArray(result.value) ? result.value : [result.value];
+        for (let item of items) {
+          merged.results.push(
+            item !== null && typeof item === "object"
+              ? { ...item, _tenant: tenant }
+              : { value: item, _tenant: tenant },
+          );
+        }
+      });
+      return merged;
+    } catch (err) {
+      throw err;
+    }
+  }
+};
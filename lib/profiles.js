@@ -0,0 +1,94 @@
+/**
+ * Reads named connection profiles from the Vectra config file.
+ *
+ * The file uses INI syntax with one section per profile:
+ *
+ *   [default]
+ *   url = https://000000000000.foo.portal.vectra.ai
+ *   client_id = ...
+ *   secret = ...
+ *   api_version = 3.3
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { VectraConfigError } = require("./errors");
+
+/**
+ * Location of the config file when none is given.
+ */
+const DEFAULT_CONFIG_FILE = path.join(os.homedir(), ".vectra", "config");
+
+//Config file keys and the client settings they map to
+const KEYS = {
+  url: "siteURL",
+  site_url: "siteURL",
+  client_id: "clientID",
+  secret: "secret",
+  client_secret: "secret",
+  version: "version",
+  api_version: "version",
+};
+
+/**
+ * Parse the text of a config file.
+ * @param {string} text - Contents of the config file.
+ * @returns {object} Map of profile names to their raw key/value pairs.
+ */
+function parseConfig(text) {
+  let profiles = {};
+  let current = null;
+  text.split(/\r?\n/).forEach((line, index) => {
+    line = line.trim();
+    if (!line || line.startsWith("#") || line.startsWith(";")) {
+      return;
+    }
+    let section = line.match(/^\[\s*(?:profile\s+)?([^\]]+?)\s*\]$/);
+    if (section) {
+      current = profiles[section[1]] = profiles[section[1]] || {};
+      return;
+    }
+    let pair = line.match(/^([^=]+?)\s*=\s*(.*)$/);
+    if (!pair || !current) {
+      throw new VectraConfigError(
+        `Invalid config file: cannot parse line ${index + 1}.`,
+      );
+    }
+    current[pair[1].toLowerCase()] = pair[2].replace(/^(["'])(.*)\1$/, "$2");
+  });
+  return profiles;
+}
+
+/**
+ * Load a named profile from the config file.
+ * @param {string} [name] - Name of the profile. Defaults to "default".
+ * @param {string} [file] - Path of the config file. Defaults to ~/.vectra/config.
+ * @returns {object} Client settings from the profile: siteURL, clientID, secret and version.
+ */
+function loadProfile(name = "default", file = DEFAULT_CONFIG_FILE) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    throw new VectraConfigError(
+      `Cannot read config file ${file}: ${err.message}`,
+    );
+  }
+  let profile = parseConfig(text)[name];
+  if (!profile) {
+    throw new VectraConfigError(`Profile "${name}" not found in ${file}.`);
+  }
+  let settings = {};
+  for (let key of Object.keys(profile)) {
+    if (KEYS[key]) {
+      settings[KEYS[key]] = profile[key];
+    }
+  }
+  return settings;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  parseConfig,
+  loadProfile,
+};
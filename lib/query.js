@@ -0,0 +1,243 @@
+/**
+ * Builds query strings for the search endpoints from plain option objects.
+ * Values are type checked and URL encoded, and unknown filters are rejected
+ * before a request goes out.
+ */
+const { VectraValidationError } = require("./errors");
+
+//Filters shared by every paginated endpoint
+const COMMON = {
+  ordering: "string",
+  fields: "list",
+};
+
+//Parameters the client sets itself while walking the pages of a list
+const PAGING = ["page", "page_size"];
+
+//Threat and certainty score filters shared by detections, accounts and hosts
+const SCORES = {
+  t_score: "number",
+  t_score_gte: "number",
+  threat: "number",
+  threat_gte: "number",
+  c_score: "number",
+  c_score_gte: "number",
+  certainty: "number",
+  certainty_gte: "number",
+};
+
+//Privilege filters shared by accounts and hosts
+const PRIVILEGE = {
+  privilege_level: "number",
+  privilege_level_gte: "number",
+  privilege_category: "string",
+};
+
+/**
+ * Supported filters for each search endpoint, and their types.
+ */
+const FILTERS = {
+  detections: {
+    ...COMMON,
+    ...SCORES,
+    id: "list",
+    min_id: "number",
+    max_id: "number",
+    name: "string",
+    state: "string",
+    category: "string",
+    detection_category: "string",
+    type: "string",
+    detection_type: "string",
+    detection: "string",
+    src_ip: "string",
+    host_id: "number",
+    destination: "string",
+    proto: "string",
+    tags: "list",
+    is_targeting_key_asset: "boolean",
+    is_triaged: "boolean",
+    last_timestamp: "date",
+    last_timestamp_gte: "date",
+    last_timestamp_lte: "date",
+    note_modified_timestamp_gte: "date",
+  },
+  accounts: {
+    ...COMMON,
+    ...SCORES,
+    ...PRIVILEGE,
+    id: "list",
+    min_id: "number",
+    max_id: "number",
+    all: "boolean",
+    name: "string",
+    state: "string",
+    tags: "list",
+    last_detection_timestamp: "date",
+    last_detection_timestamp_gte: "date",
+    last_detection_timestamp_lte: "date",
+    note_modified_timestamp_gte: "date",
+  },
+  hosts: {
+    ...COMMON,
+    ...SCORES,
+    ...PRIVILEGE,
+    id: "list",
+    min_id: "number",
+    max_id: "number",
+    all: "boolean",
+    name: "string",
+    state: "string",
+    tags: "list",
+    active_traffic: "boolean",
+    has_active_traffic: "boolean",
+    is_key_asset: "boolean",
+    key_asset: "boolean",
+    is_targeting_key_asset: "boolean",
+    last_source: "string",
+    mac_address: "string",
+    last_detection_timestamp: "date",
+    last_detection_timestamp_gte: "date",
+    last_detection_timestamp_lte: "date",
+    note_modified_timestamp_gte: "date",
+  },
+  rules: {
+    ...COMMON,
+    contains: "string",
+    include_templates: "boolean",
+  },
+};
+
+//Format a Date the way the API expects, in UTC without milliseconds
+function formatDate(date) {
+  return date.toISOString().slice(0, 19);
+}
+
+//Check and convert a single value, returning undefined when it has the wrong type
+function convert(type, value) {
+  switch (type) {
+    case "number":
+      if (typeof value === "string" && value.trim() !== "") {
+        value = Number(value);
+      }
+      return typeof value === "number" && isFinite(value)
+        ? String(value)
+        : undefined;
+    case "boolean":
+      if (typeof value === "boolean") {
+        return String(value);
+      }
+      return /^(true|false)$/i.test(value) ? value.toLowerCase() : undefined;
+    case "date":
+      if (value instanceof Date) {
+        return isNaN(value) ? undefined : formatDate(value);
+      }
+      return typeof value === "string" && !isNaN(Date.parse(value))
+        ? value
+        : undefined;
+    case "list":
+      if (Array.isArray(value)) {
+        let items = value.map((item) =>
+          typeof item === "string" || typeof item === "number"
+            ? String(item)
+            : undefined,
+        );
+        return items.includes(undefined) ? undefined : items.join(",");
+      }
+      return typeof value === "string" || typeof value === "number"
+        ? String(value)
+        : undefined;
+    default:
+      return typeof value === "string" ? value : undefined;
+  }
+}
+
+//Describe a type for error messages
+function describe(type) {
+  return {
+    number: "a number",
+    boolean: "a boolean",
+    date: "a Date or date string",
+    list: "an array or comma separated string",
+    string: "a string",
+  }[type];
+}
+
+/**
+ * Build a URL encoded query string from search options.
+ * A range can be given as an object, e.g. { last_timestamp: { gte: start, lte: end } },
+ * which becomes last_timestamp_gte and last_timestamp_lte.
+ * @param {string} resource - Endpoint the options are for: detections, accounts, hosts or rules.
+ * @param {object} [options] - Search options. Undefined and null values are left out.
+ * @param {object} [settings] - Builder settings.
+ * @param {boolean} [settings.strict] - Reject unknown filters. Defaults to true. When false they are sent as strings.
+ * page and page_size are always rejected, as the client pages through results itself.
+ * @returns {string} Query string without a leading "?" or "&".
+ * @throws {VectraValidationError} Listing every unknown or mistyped filter.
+ */
+function buildQuery(resource, options = {}, { strict = true } = {}) {
+  let filters = FILTERS[resource] || {};
+  let params = new URLSearchParams();
+  let problems = {};
+  let add = (name, value) => {
+    if (value === undefined || value === null) {
+      return;
+    }
+    if (PAGING.includes(name)) {
+      problems[name] = [
+        "is set by the client, use the pageSize option instead",
+      ];
+      return;
+    }
+    let type = filters[name];
+    if (!type) {
+      if (strict) {
+        problems[name] = [`is not a supported ${resource} filter`];
+        return;
+      }
+      type = "string";
+      value = String(value);
+    }
+    let converted = convert(type, value);
+    if (converted === undefined) {
+      problems[name] = [`must be ${describe(type)}`];
+      return;
+    }
+    params.append(name, converted);
+  };
+  for (let name of Object.keys(options || {})) {
+    let value = options[name];
+    //Expand { gte, lte } ranges into their _gte and _lte filters
+    if (
+      value !== null &&
+      typeof value === "object" &&
+      !Array.isArray(value) &&
+      !(value instanceof Date)
+    ) {
+      for (let op of Object.keys(value)) {
+        if (op !== "gte" && op !== "lte") {
+          problems[name] = [`has unknown range "${op}", expected gte or lte`];
+        } else {
+          add(`${name}_${op}`, value[op]);
+        }
+      }
+      continue;
+    }
+    add(name, value);
+  }
+  let names = Object.keys(problems);
+  if (names.length > 0) {
+    throw new VectraValidationError(
+      `Invalid ${resource} search options: ${names
+        .map((name) => `${name} ${problems[name].join(" and ")}`)
+        .join("; ")}.`,
+      { body: problems },
+    );
+  }
+  return params.toString();
+}
+
+module.exports = {
+  FILTERS,
+  buildQuery,
+};
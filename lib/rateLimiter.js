@@ -0,0 +1,146 @@
+/**
+ * Token bucket rate limiter shared by every request a client sends.
+ * Lowers its own rate when the brain answers with 429 and slowly recovers afterwards.
+ */
+const { abortError, throwIfAborted } = require("./abort");
+const { VectraConfigError } = require("./errors");
+
+module.exports = class RateLimiter {
+  #rate = 0;
+  #maxRate = 0;
+  #minRate = 0;
+  #burst = 0;
+  #maxConcurrency = Infinity;
+  #tokens = 0;
+  #lastRefill = 0;
+  #pausedUntil = 0;
+  #active = 0;
+  #queue = [];
+  #timer = null;
+
+  /**
+   * @param {object} [options] - Limiter settings.
+   * @param {number} [options.requestsPerSecond] - Sustained request rate. Defaults to 2.
+   * @param {number} [options.burst] - Number of requests that may be sent back to back. Defaults to 1.
+   * @param {number} [options.maxConcurrency] - Maximum number of requests in flight. Unlimited by default.
+   * @param {number} [options.minRequestsPerSecond] - Lowest rate the limiter will back off to. Defaults to 0.1.
+   * @throws {VectraConfigError} When a setting is out of range.
+   */
+  constructor({
+    requestsPerSecond = 2,
+    burst = 1,
+    maxConcurrency = Infinity,
+    minRequestsPerSecond = 0.1,
+  } = {}) {
+    if (!(requestsPerSecond > 0) || !(burst >= 1) || !(maxConcurrency >= 1)) {
+      throw new VectraConfigError(
+        "Invalid rate limit: requestsPerSecond must be above 0, burst and maxConcurrency at least 1.",
+      );
+    }
+    this.#rate = requestsPerSecond;
+    this.#maxRate = requestsPerSecond;
+    this.#minRate = Math.min(minRequestsPerSecond, requestsPerSecond);
+    this.#burst = burst;
+    this.#maxConcurrency = maxConcurrency;
+    this.#tokens = burst;
+    this.#lastRefill = Date.now();
+  }
+
+  /**
+   * Current request rate, after any back off.
+   * @returns {number} Requests per second.
+   */
+  get requestsPerSecond() {
+    return this.#rate;
+  }
+
+  //Add the tokens earned since the last refill
+  #refill() {
+    let now = Date.now();
+    this.#tokens = Math.min(
+      this.#burst,
+      this.#tokens + ((now - this.#lastRefill) / 1000) * this.#rate,
+    );
+    this.#lastRefill = now;
+  }
+
+  //Let queued requests through while tokens and concurrency allow
+  #drain() {
+    if (this.#timer) {
+      return;
+    }
+    while (this.#queue.length > 0 && this.#active < this.#maxConcurrency) {
+      this.#refill();
+      let wait = Math.max(this.#pausedUntil - Date.now(), 0);
+      if (wait === 0 && this.#tokens < 1) {
+        wait = Math.ceil(((1 - this.#tokens) / this.#rate) * 1000);
+      }
+      if (wait > 0) {
+        this.#timer = setTimeout(() => {
+          this.#timer = null;
+          this.#drain();
+        }, wait);
+        return;
+      }
+      this.#tokens -= 1;
+      this.#active++;
+      this.#queue.shift()();
+    }
+  }
+
+  /**
+   * Wait until a request may be sent. Every call that resolves must be paired with release().
+   * @param {AbortSignal} [signal] - Signal that gives up the place in the queue.
+   * @returns {Promise} Resolves once the request may go out, or rejects with a VectraAbortError.
+   */
+  acquire(signal) {
+    throwIfAborted(signal);
+    return new Promise((resolve, reject) => {
+      let onAbort = () => {
+        let index = this.#queue.indexOf(grant);
+        if (index >= 0) {
+          this.#queue.splice(index, 1);
+          reject(abortError(signal));
+        }
+      };
+      let grant = () => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      this.#queue.push(grant);
+      this.#drain();
+    });
+  }
+
+  /**
+   * Mark a request acquired with acquire() as finished.
+   */
+  release() {
+    this.#active = Math.max(this.#active - 1, 0);
+    this.#drain();
+  }
+
+  /**
+   * Halve the request rate after the brain reported too many requests.
+   * @param {number} [retryAfter] - Milliseconds the brain asked us to wait.
+   */
+  onRateLimit(retryAfter) {
+    this.#refill();
+    this.#rate = Math.max(this.#rate / 2, this.#minRate);
+    this.#tokens = 0;
+    if (retryAfter > 0) {
+      this.#pausedUntil = Math.max(this.#pausedUntil, Date.now() + retryAfter);
+    }
+  }
+
+  /**
+   * Recover part of the configured rate after a successful request.
+   */
+  onSuccess() {
+    if (this.#rate < this.#maxRate) {
+      this.#refill();
+      this.#rate = Math.min(this.#maxRate, this.#rate + this.#maxRate / 20);
+    }
+  }
+};
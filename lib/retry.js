@@ -0,0 +1,101 @@
+/**
+ * Retry policy helpers used by the private request layer of the SaaS client.
+ */
+const { VectraConfigError, parseRetryAfter } = require("./errors");
+
+/**
+ * Policy used when none (or only part of one) is supplied to the client.
+ */
+const DEFAULT_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 30000,
+  jitter: true,
+  statuses: [429, 502, 503, 504],
+  errorCodes: ["ECONNRESET", "ETIMEDOUT", "ECONNABORTED", "EPIPE", "EAI_AGAIN"],
+  retryWrites: false,
+};
+
+//Methods that are safe to send more than once without being told to
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Merge a user supplied retry policy with the defaults.
+ * @param {object|boolean} [policy] - Partial retry policy, or false to disable retries.
+ * @returns {object} Complete retry policy.
+ */
+function normalizePolicy(policy) {
+  if (policy === false) {
+    return { ...DEFAULT_POLICY, maxAttempts: 1 };
+  }
+  let merged = { ...DEFAULT_POLICY, ...(policy || {}) };
+  if (!Number.isInteger(merged.maxAttempts) || merged.maxAttempts < 1) {
+    throw new VectraConfigError(
+      "Invalid retry policy: maxAttempts must be an integer of 1 or more.",
+    );
+  }
+  return merged;
+}
+
+/**
+ * Read how long the brain asked us to wait before retrying.
+ * @param {Error} err - Error raised by the request.
+ * @returns {number|null} Milliseconds to wait, or null when the brain did not say.
+ */
+function getRetryAfter(err) {
+  return err && typeof err.retryAfter === "number" ? err.retryAfter : null;
+}
+
+/**
+ * Decide whether a failed request should be sent again.
+ * @param {object} policy - Normalized retry policy.
+ * @param {string} method - HTTP method of the failed request.
+ * @param {Error} err - Error raised by the request.
+ * @param {number} attempt - Number of attempts made so far (starting at 1).
+ * @returns {boolean} True if the request should be retried.
+ */
+function shouldRetry(policy, method, err, attempt) {
+  if (attempt >= policy.maxAttempts) {
+    return false;
+  }
+  if (!SAFE_METHODS.includes(method.toUpperCase()) && !policy.retryWrites) {
+    return false;
+  }
+  let retryable = err.status
+    ? policy.statuses.includes(err.status)
+    : policy.errorCodes.includes(err.code);
+  if (!retryable) {
+    return false;
+  }
+  //Give up rather than wait longer than the policy allows
+  let retryAfter = getRetryAfter(err);
+  return retryAfter === null || retryAfter <= policy.maxDelay;
+}
+
+/**
+ * Work out how long to wait before the next attempt.
+ * @param {object} policy - Normalized retry policy.
+ * @param {Error} err - Error raised by the request.
+ * @param {number} attempt - Number of attempts made so far (starting at 1).
+ * @returns {number} Milliseconds to wait.
+ */
+function getDelay(policy, err, attempt) {
+  let retryAfter = getRetryAfter(err);
+  if (retryAfter !== null) {
+    return retryAfter;
+  }
+  let delay = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  if (policy.jitter) {
+    delay = delay / 2 + Math.random() * (delay / 2);
+  }
+  return Math.round(delay);
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  normalizePolicy,
+  parseRetryAfter,
+  getRetryAfter,
+  shouldRetry,
+  getDelay,
+};
@@ -0,0 +1,40 @@
+/**
+ * Removes secrets from request and response data before it is stored or logged.
+ */
+
+/**
+ * Placeholder written in place of secret values.
+ */
+const REDACTED = "[REDACTED]";
+
+//Names of fields and headers whose values are secret
+const SECRET_NAMES =
+  /token|secret|password|authorization|cookie|api[-_]?key|credential/i;
+
+/**
+ * Deep copy a value, replacing the values of secret fields.
+ * @param {*} value - Value to scrub, e.g. a parsed JSON body or a headers object.
+ * @param {string[]} [extraNames] - More field names to redact, matched case insensitively.
+ * @returns {*} Scrubbed copy of the value.
+ */
+function scrub(value, extraNames = []) {
+  if (Array.isArray(value)) {
+    return value.map((item) => scrub(item, extraNames));
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  let copy = {};
+  for (let key of Object.keys(value)) {
+    let secret =
+      SECRET_NAMES.test(key) ||
+      extraNames.some((name) => name.toLowerCase() === key.toLowerCase());
+    copy[key] = secret ? REDACTED : scrub(value[key], extraNames);
+  }
+  return copy;
+}
+
+module.exports = {
+  REDACTED,
+  scrub,
+};
@@ -0,0 +1,188 @@
+const EventEmitter = require("events");
+
+/**
+ * Polls one of the events API feeds and emits each event as it arrives.
+ * The checkpoint only moves forward once every event of a page has been handled,
+ * so polling can continue through errors without skipping events.
+ * With a checkpoint store the checkpoint is committed after every page, giving
+ * at-least-once delivery that resumes where it left off after a restart.
+ *
+ * Emits:
+ * - "event" (event) for every event received.
+ * - "checkpoint" (checkpoint, previous) whenever the checkpoint moves forward and has been committed.
+ * - "error" (err) when a poll fails. Polling carries on at the next interval.
+ */
+module.exports = class EventSubscription extends EventEmitter {
+  #type = null;
+  #fetchPage = null;
+  #getLatestCheckpoint = null;
+  #interval = 60000;
+  #checkpoint = undefined;
+  #handler = null;
+  #store = null;
+  #storeKey = null;
+  #loaded = false;
+  #running = false;
+  #timer = null;
+  #polling = null;
+  #run = 0;
+  #signal = null;
+  #timeout = undefined;
+
+  /**
+   * @param {string} type - Event feed to poll, e.g. "account_detection" or "account_scoring".
+   * @param {Function} fetchPage - Async function returning the page of events starting at a checkpoint. Also passed call options.
+   * @param {Function} getLatestCheckpoint - Async function returning the latest checkpoint of the feed. Passed call options.
+   * @param {object} [options] - Subscription options.
+   * @param {number} [options.interval] - Milliseconds to wait between polls. Defaults to 60000.
+   * @param {number} [options.fromCheckpoint] - Checkpoint to start from when the store has none. Defaults to the latest checkpoint.
+   * @param {Function} [options.handler] - Async function called with the events of each page. The page is retried if it throws.
+   * @param {object} [options.store] - Checkpoint store to resume from and commit to.
+   * @param {string} [options.storeKey] - Key the checkpoint is saved under. Defaults to the event type.
+   * @param {AbortSignal} [options.signal] - Signal that stops the subscription and cancels a poll in progress.
+   * @param {number} [options.timeout] - Milliseconds each request of a poll may take.
+   */
+  constructor(
+    type,
+    fetchPage,
+    getLatestCheckpoint,
+    {
+      interval = 60000,
+      fromCheckpoint,
+      handler,
+      store,
+      storeKey,
+      signal,
+      timeout,
+    } = {},
+  ) {
+    super();
+    this.#type = type;
+    this.#fetchPage = fetchPage;
+    this.#getLatestCheckpoint = getLatestCheckpoint;
+    this.#interval = interval;
+    this.#checkpoint = fromCheckpoint;
+    this.#handler = handler || null;
+    this.#store = store || null;
+    this.#storeKey = storeKey || type;
+    this.#signal = signal || null;
+    this.#timeout = timeout;
+    if (signal) {
+      signal.addEventListener("abort", () => this.stop(), { once: true });
+    }
+  }
+
+  /**
+   * Event feed this subscription polls.
+   * @returns {string} Event type.
+   */
+  get type() {
+    return this.#type;
+  }
+
+  /**
+   * Checkpoint the next poll will start from.
+   * @returns {number|undefined} Checkpoint, or undefined until the first poll has found the latest one.
+   */
+  get checkpoint() {
+    return this.#checkpoint;
+  }
+
+  /**
+   * Whether the subscription is polling.
+   * @returns {boolean} True between start() and stop().
+   */
+  get running() {
+    return this.#running;
+  }
+
+  /**
+   * Start polling. The first poll happens straight away. Does nothing once the signal has been aborted.
+   * @returns {EventSubscription} This subscription.
+   */
+  start() {
+    if (!this.#running && !(this.#signal && this.#signal.aborted)) {
+      this.#running = true;
+      let run = ++this.#run;
+      //A poll left over from before stop() finishes first, so two never overlap
+      Promise.resolve(this.#polling).then(() => {
+        if (this.#running && run === this.#run) {
+          this.#schedule(0, run);
+        }
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Stop polling. Resolves once any poll in progress has finished emitting its events.
+   * @returns {Promise} Resolves when the subscription has stopped.
+   */
+  async stop() {
+    this.#running = false;
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    await this.#polling;
+  }
+
+  //Queue the next poll of a run, unless the subscription was stopped or restarted since
+  #schedule(delay, run) {
+    this.#timer = setTimeout(() => {
+      this.#timer = null;
+      let polling = this.#poll().finally(() => {
+        if (this.#polling === polling) {
+          this.#polling = null;
+        }
+        if (this.#running && run === this.#run) {
+          this.#schedule(this.#interval, run);
+        }
+      });
+      this.#polling = polling;
+    }, delay);
+  }
+
+  //Read every page available since the checkpoint
+  async #poll() {
+    let callOptions = { signal: this.#signal, timeout: this.#timeout };
+    try {
+      //Resume from the store the first time round
+      if (!this.#loaded && this.#store) {
+        let stored = await this.#store.load(this.#storeKey);
+        if (stored !== undefined && stored !== null) {
+          this.#checkpoint = stored;
+        }
+      }
+      this.#loaded = true;
+      if (this.#checkpoint === undefined) {
+        this.#checkpoint = await this.#getLatestCheckpoint(callOptions);
+      }
+      let data = null;
+      do {
+        data = await this.#fetchPage(this.#checkpoint, callOptions);
+        if (this.#handler && data.events.length > 0) {
+          await this.#handler(data.events, data.next_checkpoint);
+        }
+        for (let event of data.events) {
+          this.emit("event", event);
+        }
+        if (data.next_checkpoint !== this.#checkpoint) {
+          if (this.#store) {
+            await this.#store.save(this.#storeKey, data.next_checkpoint);
+          }
+          let previous = this.#checkpoint;
+          this.#checkpoint = data.next_checkpoint;
+          this.emit("checkpoint", this.#checkpoint, previous);
+        }
+      } while (this.#running && data.remaining_count > 0);
+    } catch (err) {
+      //Cancelling through the signal stops the subscription, it is not a failed poll
+      if (this.#signal && this.#signal.aborted) {
+        return;
+      }
+      //Without a listener an "error" event would crash the process
+      if (this.listenerCount("error") > 0) {
+        this.emit("error", err);
+      }
+    }
+  }
+};
@@ -0,0 +1,219 @@
+/**
+ * Optional OpenTelemetry instrumentation.
+ *
+ * When @opentelemetry/api can be required, public client methods, token
+ * refreshes, pages and retries get spans, and requests, rate limit waits and
+ * token refreshes are recorded as metrics. Spans and metrics go to whatever
+ * providers the application registers. Without the API every function here
+ * does nothing.
+ */
+const { version } = require("../package.json");
+
+const NAME = "vectra-saas-api-client";
+
+let loaded = false;
+let api = null;
+let tracer = null;
+let meterProvider = null;
+let instruments = null;
+
+//Load the OpenTelemetry API the first time it is needed
+function otel() {
+  if (!loaded) {
+    loaded = true;
+    try {
+      api = require("@opentelemetry/api");
+      tracer = api.trace.getTracer(NAME, version);
+    } catch (err) {
+      api = null;
+    }
+  }
+  return api;
+}
+
+//Create the metric instruments, again if the meter provider has changed
+function getInstruments() {
+  let provider = api.metrics.getMeterProvider();
+  if (provider !== meterProvider) {
+    meterProvider = provider;
+    let meter = api.metrics.getMeter(NAME, version);
+    instruments = {
+      requests: meter.createCounter("vectra.client.requests", {
+        description: "HTTP requests sent to the brain.",
+      }),
+      duration: meter.createHistogram("vectra.client.request.duration", {
+        description: "Duration of HTTP requests to the brain.",
+        unit: "ms",
+      }),
+      rateLimitWait: meter.createHistogram("vectra.client.rate_limit.wait", {
+        description: "Time requests waited for the rate limiter.",
+        unit: "ms",
+      }),
+      tokenRefreshes: meter.createCounter("vectra.client.token.refreshes", {
+        description: "OAuth tokens fetched from the brain or the token cache.",
+      }),
+      retries: meter.createCounter("vectra.client.retries", {
+        description: "Requests retried after a failure.",
+      }),
+    };
+  }
+  return instruments;
+}
+
+/**
+ * Whether the OpenTelemetry API is available.
+ * @returns {boolean} True if instrumentation is active.
+ */
+function enabled() {
+  return !!otel();
+}
+
+/**
+ * Turn a URL into a low cardinality endpoint name, e.g. /detections/:id/notes.
+ * @param {string} url - URL, or path relative to the API root.
+ * @returns {string} Endpoint name.
+ */
+function endpoint(url) {
+  let path = url.replace(/^[a-z]+:\/\/[^/]+/i, "").split("?")[0];
+  return path
+    .replace(/^\/api\/v[^/]*/, "")
+    .split("/")
+    .map((part) => (/^\d+$/.test(part) ? ":id" : part))
+    .join("/");
+}
+
+/**
+ * Run a function inside a span. The span records the function's error, if any.
+ * @param {string} name - Span name.
+ * @param {object} attributes - Span attributes.
+ * @param {Function} fn - Async function to run, called with the span or undefined.
+ * @returns {Promise} The function's result.
+ */
+async function withSpan(name, attributes, fn) {
+  if (!otel()) {
+    return await fn();
+  }
+  return await tracer.startActiveSpan(
+    name,
+    { attributes: attributes },
+    async (span) => {
+      try {
+        return await fn(span);
+      } catch (err) {
+        span.recordException(err);
+        span.setStatus({
+          code: api.SpanStatusCode.ERROR,
+          message: err.message,
+        });
+        //axios errors carry the status on their response
+        let status = err.status || (err.response && err.response.status);
+        if (status) {
+          span.setAttribute("http.response.status_code", status);
+        }
+        throw err;
+      } finally {
+        span.end();
+      }
+    },
+  );
+}
+
+/**
+ * Record a finished HTTP request.
+ * @param {string} method - HTTP method.
+ * @param {string} url - Full URL of the request.
+ * @param {number} [status] - Response status, if a response arrived.
+ * @param {number} duration - Milliseconds the request took.
+ */
+function recordRequest(method, url, status, duration) {
+  if (!otel()) {
+    return;
+  }
+  let attributes = {
+    "http.request.method": method,
+    "vectra.endpoint": endpoint(url),
+  };
+  if (status) {
+    attributes["http.response.status_code"] = status;
+  }
+  let { requests, duration: histogram } = getInstruments();
+  requests.add(1, attributes);
+  histogram.record(duration, attributes);
+}
+
+/**
+ * Record time spent waiting for the rate limiter.
+ * @param {number} wait - Milliseconds waited.
+ */
+function recordRateLimitWait(wait) {
+  if (otel()) {
+    getInstruments().rateLimitWait.record(wait);
+  }
+}
+
+/**
+ * Record a token refresh.
+ * @param {string} source - "oauth" or "cache".
+ */
+function recordTokenRefresh(source) {
+  if (otel()) {
+    getInstruments().tokenRefreshes.add(1, { "vectra.token.source": source });
+  }
+}
+
+/**
+ * Record a retry.
+ * @param {string} method - HTTP method.
+ * @param {string} url - URL relative to the API root.
+ */
+function recordRetry(method, url) {
+  if (otel()) {
+    getInstruments().retries.add(1, {
+      "http.request.method": method,
+      "vectra.endpoint": endpoint(url),
+    });
+  }
+}
+
+/**
+ * Wrap every public async method of a class in a span named after it.
+ * Does nothing without the OpenTelemetry API.
+ * @param {Function} Class - Class to instrument, e.g. SaasClient.
+ */
+function instrument(Class) {
+  if (!otel()) {
+    return;
+  }
+  let prototype = Class.prototype;
+  for (let name of Object.getOwnPropertyNames(prototype)) {
+    let descriptor = Object.getOwnPropertyDescriptor(prototype, name);
+    let method = descriptor.value;
+    if (
+      typeof method !== "function" ||
+      method.constructor.name !== "AsyncFunction"
+    ) {
+      continue;
+    }
+    let spanName = `${Class.name}.${name}`;
+    let wrapped = async function (...args) {
+      return await withSpan(spanName, { "code.function": name }, () =>
+        method.apply(this, args),
+      );
+    };
+    //Keep the method's name and length, as a plain wrapper's length is 0
+    Object.defineProperty(wrapped, "name", { value: name });
+    Object.defineProperty(wrapped, "length", { value: method.length });
+    Object.defineProperty(prototype, name, { ...descriptor, value: wrapped });
+  }
+}
+
+module.exports = {
+  enabled,
+  endpoint,
+  withSpan,
+  recordRequest,
+  recordRateLimitWait,
+  recordTokenRefresh,
+  recordRetry,
+  instrument,
+};
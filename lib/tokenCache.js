@@ -0,0 +1,31 @@
+/**
+ * Caches OAuth2 tokens so several clients, or several processes, using the
+ * same API client share one token instead of each requesting their own.
+ * A token cache is any store with async load(key) and save(key, value)
+ * methods, the same interface as the checkpoint stores.
+ */
+const os = require("os");
+const path = require("path");
+const { FileCheckpointStore } = require("./checkpointStore");
+
+/**
+ * Default location of the file token cache.
+ */
+const DEFAULT_TOKEN_FILE = path.join(os.homedir(), ".vectra", "tokens.json");
+
+/**
+ * Keeps tokens in a JSON file readable only by the current user.
+ */
+class FileTokenCache extends FileCheckpointStore {
+  /**
+   * @param {string} [file] - Path of the JSON file. Defaults to ~/.vectra/tokens.json.
+   */
+  constructor(file = DEFAULT_TOKEN_FILE) {
+    super(file, { mode: 0o600 });
+  }
+}
+
+module.exports = {
+  DEFAULT_TOKEN_FILE,
+  FileTokenCache,
+};
@@ -0,0 +1,214 @@
+/**
+ * Default transport, sending requests with axios over keep-alive agents.
+ */
+const axios = require("axios");
+const http = require("http");
+const https = require("https");
+const { proxyFor } = require("./proxy");
+
+//Error for a connection that took longer than connectTimeout
+function connectTimeoutError(connectTimeout) {
+  let err = new Error(`Connection timed out after ${connectTimeout}ms`);
+  err.code = "ETIMEDOUT";
+  return err;
+}
+
+//Destroy sockets that take longer than connectTimeout to connect
+function limitConnect(socket, connectTimeout, event) {
+  if (!connectTimeout) {
+    return socket;
+  }
+  let timer = setTimeout(() => {
+    socket.destroy(connectTimeoutError(connectTimeout));
+  }, connectTimeout);
+  socket.once(event, () => clearTimeout(timer));
+  socket.once("close", () => clearTimeout(timer));
+  return socket;
+}
+
+//Agents that apply a connect timeout to every new connection
+class HttpAgent extends http.Agent {
+  createConnection(options, callback) {
+    return limitConnect(
+      super.createConnection(options, callback),
+      this.options.connectTimeout,
+      "connect",
+    );
+  }
+}
+
+class HttpsAgent extends https.Agent {
+  createConnection(options, callback) {
+    return limitConnect(
+      super.createConnection(options, callback),
+      this.options.connectTimeout,
+      "secureConnect",
+    );
+  }
+}
+
+let ProxyAgent = null;
+
+//Proxy agent that applies the connect timeout to the connection to the proxy,
+//including the CONNECT handshake. Loaded only when a proxy is in use.
+function proxyAgent(proxy, options) {
+  if (!ProxyAgent) {
+    const { HttpsProxyAgent } = require("https-proxy-agent");
+    ProxyAgent = class extends HttpsProxyAgent {
+      async connect(req, opts) {
+        let connectTimeout = this.options.connectTimeout;
+        if (!connectTimeout) {
+          return await super.connect(req, opts);
+        }
+        let controller = new AbortController();
+        let timer = setTimeout(() => controller.abort(), connectTimeout);
+        //The socket to the proxy is opened from connectOpts before connect()
+        //first waits, so the signal only reaches this connection
+        let connectOpts = this.connectOpts;
+        this.connectOpts = { ...connectOpts, signal: controller.signal };
+        let connecting = super.connect(req, opts);
+        this.connectOpts = connectOpts;
+        try {
+          return await connecting;
+        } catch (err) {
+          throw controller.signal.aborted
+            ? connectTimeoutError(connectTimeout)
+            : err;
+        } finally {
+          clearTimeout(timer);
+        }
+      }
+    };
+  }
+  let agent = new ProxyAgent(proxy, options);
+  //The proxy agent only applies its own options to the proxy connection,
+  //so TLS settings for the brain are added as request defaults
+  Object.assign(agent.options, options);
+  return agent;
+}
+
+/**
+ * A transport is any object with an async request(config) method. config
+ * has url, method, headers, data and signal. It resolves with an object
+ * with status, statusText, headers and data, and rejects like axios: with
+ * the response attached as err.response for error statuses, and with a
+ * code such as ECONNRESET for network errors.
+ */
+module.exports = class AxiosTransport {
+  #axios = null;
+  #options = null;
+  #agents = new Map();
+
+  /**
+   * @param {object} [options] - Transport options.
+   * @param {string|boolean} [options.proxy] - Proxy URL, or false to ignore HTTPS_PROXY and HTTP_PROXY.
+   * @param {string|string[]} [options.noProxy] - Hosts to connect to directly. Defaults to NO_PROXY.
+   * @param {string|Buffer|Array} [options.ca] - CA certificates to trust, e.g. a corporate bundle.
+   * @param {string|Buffer} [options.cert] - Client certificate.
+   * @param {string|Buffer} [options.key] - Client certificate key.
+   * @param {string} [options.passphrase] - Passphrase of the key.
+   * @param {boolean} [options.rejectUnauthorized] - Reject invalid server certificates. Defaults to true.
+   * @param {number} [options.timeout] - Milliseconds to wait for a response. Defaults to no limit.
+   * @param {number} [options.connectTimeout] - Milliseconds to wait for a connection. Defaults to no limit.
+   * @param {boolean} [options.keepAlive] - Reuse connections between requests. Defaults to true.
+   * @param {number} [options.maxSockets] - Maximum connections per host. Defaults to no limit.
+   * @param {boolean} [options.compression] - Ask for gzip or deflate compressed responses. Defaults to true.
+   */
+  constructor(options = {}) {
+    this.#options = {
+      keepAlive: true,
+      compression: true,
+      ...options,
+    };
+    this.#axios = axios.create({
+      timeout: this.#options.timeout || 0,
+      decompress: true,
+      //Proxies are handled by the agents, so axios must not add its own
+      proxy: false,
+    });
+  }
+
+  //Return the agent for a URL, creating it the first time
+  #agentFor(url) {
+    let secure = url.startsWith("https:");
+    let proxy = proxyFor(url, this.#options);
+    let key = `${secure}|${proxy || ""}`;
+    if (!this.#agents.has(key)) {
+      let {
+        ca,
+        cert,
+        key: privateKey,
+        passphrase,
+        rejectUnauthorized,
+        keepAlive,
+        maxSockets,
+        connectTimeout,
+      } = this.#options;
+      let agentOptions = {
+        keepAlive: keepAlive,
+        maxSockets: maxSockets || Infinity,
+        connectTimeout: connectTimeout,
+      };
+      if (secure) {
+        Object.assign(agentOptions, {
+          ca: ca,
+          cert: cert,
+          key: privateKey,
+          passphrase: passphrase,
+          rejectUnauthorized: rejectUnauthorized !== false,
+        });
+      }
+      let agent;
+      if (proxy) {
+        agent = proxyAgent(proxy, agentOptions);
+      } else {
+        agent = secure
+          ? new HttpsAgent(agentOptions)
+          : new HttpAgent(agentOptions);
+      }
+      this.#agents.set(key, agent);
+    }
+    return this.#agents.get(key);
+  }
+
+  /**
+   * Send a request.
+   * @param {object} config - Request with url, method, headers, data and signal.
+   * @returns {Promise} Resolves with the response, or rejects like axios.
+   */
+  async request(config) {
+    let agent = this.#agentFor(config.url);
+    let headers = { ...config.headers };
+    if (this.#options.compression && !headers["Accept-Encoding"]) {
+      headers["Accept-Encoding"] = "gzip, deflate";
+    }
+    let start = Date.now();
+    try {
+      return await this.#axios({
+        ...config,
+        headers: headers,
+        httpAgent: agent,
+        httpsAgent: agent,
+      });
+    } catch (err) {
+      //axios reports a body cut off by a reset, or by its own timeout, as
+      //ERR_REQUEST_ABORTED. Give it the network code so it can be retried.
+      if (err.code === "ERR_REQUEST_ABORTED") {
+        let timeout = this.#options.timeout;
+        err.code =
+          timeout && Date.now() - start >= timeout ? "ETIMEDOUT" : "ECONNRESET";
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Close idle keep-alive connections.
+   */
+  close() {
+    for (let agent of this.#agents.values()) {
+      agent.destroy();
+    }
+    this.#agents.clear();
+  }
+};
@@ -0,0 +1,113 @@
+/**
+ * Transport built on the fetch API, e.g. Node's global fetch or undici's.
+ * Shows how to replace axios. Proxies and TLS settings are configured on the
+ * fetch implementation itself, e.g. with an undici dispatcher.
+ */
+const { anySignal } = require("../abort");
+
+//Turn fetch response headers into a plain object with lower case names
+function headersObject(headers) {
+  let object = {};
+  headers.forEach((value, name) => {
+    object[name.toLowerCase()] = value;
+  });
+  return object;
+}
+
+//undici error codes and the Node codes axios would report for the same failure
+const UNDICI_CODES = {
+  UND_ERR_SOCKET: "ECONNRESET",
+  UND_ERR_CONNECT_TIMEOUT: "ETIMEDOUT",
+  UND_ERR_HEADERS_TIMEOUT: "ETIMEDOUT",
+  UND_ERR_BODY_TIMEOUT: "ETIMEDOUT",
+};
+
+//Find the network error code, which undici nests in the cause chain
+function errorCode(err) {
+  for (let cause = err; cause; cause = cause.cause) {
+    //DOMExceptions have numeric codes, which are not network error codes
+    if (typeof cause.code === "string") {
+      return UNDICI_CODES[cause.code] || cause.code;
+    }
+  }
+  return undefined;
+}
+
+module.exports = class FetchTransport {
+  #fetch = null;
+  #timeout = 0;
+  #init = null;
+
+  /**
+   * @param {object} [options] - Transport options.
+   * @param {Function} [options.fetch] - fetch implementation. Defaults to the global fetch.
+   * @param {number} [options.timeout] - Milliseconds to wait for a response. Defaults to no limit.
+   * @param {object} [options.init] - Extra options for every fetch call, e.g. an undici dispatcher.
+   */
+  constructor({ fetch = globalThis.fetch, timeout = 0, init = {} } = {}) {
+    this.#fetch = fetch;
+    this.#timeout = timeout;
+    this.#init = init;
+  }
+
+  /**
+   * Send a request.
+   * @param {object} config - Request with url, method, headers, data and signal.
+   * @returns {Promise} Resolves with the response, or rejects like axios.
+   */
+  async request(config) {
+    let headers = { ...config.headers };
+    let body = config.data;
+    if (body !== undefined && typeof body !== "string") {
+      body = JSON.stringify(body);
+      headers["Content-Type"] = headers["Content-Type"] || "application/json";
+    }
+    let signals = [config.signal];
+    if (this.#timeout) {
+      signals.push(AbortSignal.timeout(this.#timeout));
+    }
+    let response;
+    let text;
+    try {
+      response = await this.#fetch(config.url, {
+        ...this.#init,
+        method: config.method,
+        headers: headers,
+        body: body,
+        signal: anySignal(signals),
+      });
+      //The connection can still fail or time out while the body arrives
+      text = await response.text();
+    } catch (err) {
+      //Cancellations by the caller are left for the client to report
+      if (config.signal && config.signal.aborted) {
+        throw err;
+      }
+      let timedOut = err.name === "TimeoutError";
+      let error = new Error(
+        timedOut ? `Timed out after ${this.#timeout}ms` : err.message,
+        { cause: err },
+      );
+      error.code = timedOut ? "ETIMEDOUT" : errorCode(err);
+      throw error;
+    }
+    let data = text;
+    try {
+      data = text ? JSON.parse(text) : text;
+    } catch (err) {
+      //Bodies that are not JSON are returned as text
+    }
+    let result = {
+      status: response.status,
+      statusText: response.statusText,
+      headers: headersObject(response.headers),
+      data: data,
+    };
+    if (response.status < 200 || response.status >= 300) {
+      let err = new Error(`Request failed with status code ${response.status}`);
+      err.response = result;
+      throw err;
+    }
+    return result;
+  }
+};
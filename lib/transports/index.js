@@ -0,0 +1,12 @@
+/**
+ * HTTP transports the client can send requests with.
+ */
+const AxiosTransport = require("./axios");
+const FetchTransport = require("./fetch");
+const { proxyFor } = require("./proxy");
+
+module.exports = {
+  AxiosTransport,
+  FetchTransport,
+  proxyFor,
+};
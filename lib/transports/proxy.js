@@ -0,0 +1,70 @@
+/**
+ * Chooses the proxy for a URL from an explicit setting or the standard
+ * HTTPS_PROXY, HTTP_PROXY and NO_PROXY environment variables.
+ */
+
+//Read an environment variable in upper or lower case
+function fromEnv(env, name) {
+  return env[name] || env[name.toLowerCase()] || "";
+}
+
+/**
+ * Check whether NO_PROXY excludes a URL. Entries are separated by commas or
+ * spaces, and are "*", a host, a domain suffix such as ".example.com" or
+ * "example.com", each with an optional port.
+ * @param {URL} url - Request URL.
+ * @param {string} noProxy - Value of NO_PROXY.
+ * @returns {boolean} True if the URL must not be proxied.
+ */
+function isExcluded(url, noProxy) {
+  let host = url.hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  let port = url.port || (url.protocol === "https:" ? "443" : "80");
+  return noProxy
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .some((entry) => {
+      if (entry === "*") {
+        return true;
+      }
+      let [, entryHost, entryPort] = entry
+        .toLowerCase()
+        .match(/^\[?(.*?)\]?(?::(\d+))?$/);
+      if (entryPort && entryPort !== port) {
+        return false;
+      }
+      let domain = entryHost.replace(/^\*?\./, "");
+      return host === domain || host.endsWith(`.${domain}`);
+    });
+}
+
+/**
+ * Return the proxy to use for a URL.
+ * @param {string} url - Request URL.
+ * @param {object} [options] - Proxy options.
+ * @param {string|boolean} [options.proxy] - Proxy URL, or false to never use a proxy. Read from HTTPS_PROXY or HTTP_PROXY when left out.
+ * @param {string|string[]} [options.noProxy] - Hosts to connect to directly. Read from NO_PROXY when left out.
+ * @param {object} [env] - Environment variables. Defaults to process.env.
+ * @returns {string|null} Proxy URL, or null to connect directly.
+ */
+function proxyFor(url, { proxy, noProxy } = {}, env = process.env) {
+  if (proxy === false) {
+    return null;
+  }
+  let target = new URL(url);
+  let chosen =
+    proxy ||
+    fromEnv(env, target.protocol === "https:" ? "HTTPS_PROXY" : "HTTP_PROXY");
+  if (!chosen) {
+    return null;
+  }
+  let exclusions = noProxy === undefined ? fromEnv(env, "NO_PROXY") : noProxy;
+  if (Array.isArray(exclusions)) {
+    exclusions = exclusions.join(",");
+  }
+  return isExcluded(target, exclusions) ? null : chosen;
+}
+
+module.exports = {
+  isExcluded,
+  proxyFor,
+};
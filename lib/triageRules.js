@@ -0,0 +1,157 @@
+/**
+ * Client-side checks for triage rules, so mistakes are caught before a request goes out.
+ */
+const { VectraValidationError } = require("./errors");
+
+/**
+ * Detection categories a triage rule can apply to.
+ */
+const DETECTION_CATEGORIES = [
+  "command & control",
+  "botnet activity",
+  "reconnaissance",
+  "lateral movement",
+  "exfiltration",
+  "info",
+];
+
+//Fields that can be sent when creating or updating a rule, and their types
+const WRITABLE_FIELDS = {
+  detection_category: "string",
+  detection: "string",
+  triage_category: "string",
+  description: "string",
+  is_whitelist: "boolean",
+  priority: "number",
+  source_conditions: "conditions",
+  additional_conditions: "conditions",
+};
+
+//Fields returned by the brain that are never sent back to it
+const READ_ONLY_FIELDS = [
+  "id",
+  "url",
+  "enabled",
+  "created_timestamp",
+  "last_timestamp",
+  "active_detections",
+  "total_detections",
+  "template",
+];
+
+//Check a condition tree such as { OR: [{ AND: [...] }] }
+function checkConditions(value) {
+  if (value === null) {
+    return null;
+  }
+  if (typeof value !== "object" || Array.isArray(value)) {
+    return "must be an object";
+  }
+  for (let key of Object.keys(value)) {
+    if (key !== "OR" && key !== "AND") {
+      return `has unknown operator "${key}", expected "OR" or "AND"`;
+    }
+    if (!Array.isArray(value[key])) {
+      return `operator "${key}" must contain an array`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check that a triage rule has the shape the brain expects.
+ * Read-only fields, such as those returned by getTriageRule, are ignored.
+ * @param {object} rule - Triage rule to check.
+ * @throws {VectraValidationError} Listing every problem found, with a per field breakdown in its body.
+ */
+function validateTriageRule(rule) {
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+    throw new VectraValidationError("Invalid triage rule: must be an object.");
+  }
+  let problems = {};
+  let add = (field, message) => {
+    problems[field] = (problems[field] || []).concat(message);
+  };
+  for (let field of ["detection_category", "detection"]) {
+    if (rule[field] === undefined || rule[field] === "") {
+      add(field, "is required");
+    }
+  }
+  if (!rule.is_whitelist && !rule.triage_category) {
+    add("triage_category", "is required unless is_whitelist is true");
+  }
+  for (let field of Object.keys(rule)) {
+    let type = WRITABLE_FIELDS[field];
+    let value = rule[field];
+    if (READ_ONLY_FIELDS.includes(field) || value === undefined) {
+      continue;
+    }
+    if (!type) {
+      add(field, "is not a triage rule field");
+    } else if (type === "conditions") {
+      let problem = checkConditions(value);
+      if (problem) {
+        add(field, problem);
+      }
+    } else if (typeof value !== type) {
+      add(field, `must be a ${type}`);
+    }
+  }
+  if (
+    typeof rule.detection_category === "string" &&
+    rule.detection_category &&
+    !DETECTION_CATEGORIES.includes(rule.detection_category.toLowerCase())
+  ) {
+    add(
+      "detection_category",
+      `must be one of ${DETECTION_CATEGORIES.map((c) => `"${c}"`).join(", ")}`,
+    );
+  }
+  let fields = Object.keys(problems);
+  if (fields.length > 0) {
+    let summary = fields
+      .map((field) => `${field} ${problems[field].join(" and ")}`)
+      .join("; ");
+    throw new VectraValidationError(`Invalid triage rule: ${summary}.`, {
+      body: problems,
+    });
+  }
+}
+
+/**
+ * Copy only the fields of a rule that can be sent to the brain.
+ * @param {object} rule - Triage rule, possibly as returned by the brain.
+ * @returns {object} Rule without read-only fields.
+ */
+function toRuleBody(rule) {
+  let body = {};
+  for (let field of Object.keys(rule)) {
+    if (!READ_ONLY_FIELDS.includes(field) && rule[field] !== undefined) {
+      body[field] = rule[field];
+    }
+  }
+  return body;
+}
+
+/**
+ * Check whether a rule matches a detection category and type, ignoring case.
+ * @param {object} rule - Triage rule.
+ * @param {object} filter - Filter with optional detection_category and detection values.
+ * @returns {boolean} True if the rule matches every given value.
+ */
+function matchesRule(rule, { detection_category, detection } = {}) {
+  let same = (a, b) =>
+    String(a || "").toLowerCase() === String(b).toLowerCase();
+  return (
+    (detection_category === undefined ||
+      same(rule.detection_category, detection_category)) &&
+    (detection === undefined || same(rule.detection, detection))
+  );
+}
+
+module.exports = {
+  DETECTION_CATEGORIES,
+  validateTriageRule,
+  toRuleBody,
+  matchesRule,
+};
@@ -0,0 +1,161 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const SaasClient = require("..");
+
+describe("bulk operations", () => {
+  let brain;
+  let client;
+
+  before(async () => {
+    brain = new SaasClient.MockBrain();
+    await brain.start();
+  });
+
+  after(async () => {
+    await brain.stop();
+  });
+
+  beforeEach(() => {
+    brain.reset();
+    brain.seed({
+      detections: [1, 2, 3, 4, 5].map((id) => ({ id: id, state: "active" })),
+      accounts: [{ id: 10, tags: [] }],
+      hosts: [{ id: 20, tags: [] }],
+    });
+    client = new SaasClient(brain.url, "client", "secret", 3.3, {
+      rateLimit: { requestsPerSecond: 1000, burst: 100 },
+      retry: { baseDelay: 1 },
+    });
+  });
+
+  //Bodies of the requests sent with a method to a path
+  function bodiesSentTo(method, path) {
+    return brain.requests
+      .filter((request) => request.method === method && request.path === path)
+      .map((request) => request.body);
+  }
+
+  //Items of a report part
+  function items(entries) {
+    return entries.map((entry) => entry.item);
+  }
+
+  it("splits IDs into chunks", async () => {
+    let report = await client.bulk.markAsFixed([1, 2, 3, 4, 5], {
+      chunkSize: 2,
+      concurrency: 1,
+    });
+    assert.deepEqual(
+      bodiesSentTo("PATCH", "/api/v3.3/detections").map(
+        (body) => body.detectionIdList,
+      ),
+      [[1, 2], [3, 4], [5]],
+    );
+    assert.deepEqual(items(report.succeeded), [1, 2, 3, 4, 5]);
+    assert.deepEqual(report.failed, []);
+    assert.equal(brain.get("detections", 5).state, "fixed");
+  });
+
+  it("fails every ID of a failed chunk and carries on with the rest", async () => {
+    brain.injectError({ status: 400, method: "PATCH", path: /detections$/ });
+    let report = await client.bulk.markAsFixed([1, 2, 3, 4, 5], {
+      chunkSize: 2,
+      concurrency: 1,
+    });
+    assert.deepEqual(items(report.failed), [1, 2]);
+    assert.ok(
+      report.failed.every(
+        ({ error }) => error instanceof SaasClient.VectraValidationError,
+      ),
+    );
+    assert.deepEqual(items(report.succeeded), [3, 4, 5]);
+    assert.equal(brain.get("detections", 1).state, "active");
+  });
+
+  it("runs at most concurrency requests at once", async () => {
+    let running = 0;
+    let most = 0;
+    client.use({
+      onRequest: async (request) => {
+        if (request.kind !== "token") {
+          most = Math.max(most, ++running);
+          await new Promise((resolve) => setTimeout(resolve, 5));
+        }
+      },
+      onResponse: (response, request) => {
+        if (request.kind !== "token") {
+          running--;
+        }
+      },
+    });
+    await client.bulk.markAsFixed([1, 2, 3, 4, 5], {
+      chunkSize: 1,
+      concurrency: 2,
+    });
+    assert.equal(most, 2);
+  });
+
+  it("reports IDs the brain did not return as not found", async () => {
+    let report = await client.bulk.getDetections([1, 99, 2], {
+      chunkSize: 2,
+    });
+    assert.deepEqual(items(report.succeeded).sort(), [1, 2]);
+    assert.equal(report.succeeded[0].result.id, report.succeeded[0].item);
+    assert.deepEqual(items(report.failed), [99]);
+    assert.ok(report.failed[0].error instanceof SaasClient.VectraNotFoundError);
+  });
+
+  it("reports the result or error for every entity", async () => {
+    let report = await client.bulk.addTags(
+      [
+        { type: "account", id: 10 },
+        { type: "host", id: 20 },
+        { type: "host", id: 99 },
+        { type: "widget", id: 1 },
+      ],
+      ["Investigating"],
+    );
+    assert.deepEqual(
+      report.succeeded.map(({ item }) => item.id),
+      [10, 20],
+    );
+    assert.deepEqual(brain.get("accounts", 10).tags, ["Investigating"]);
+    let [missing, unknown] = report.failed;
+    assert.equal(missing.item.id, 99);
+    assert.ok(missing.error instanceof SaasClient.VectraNotFoundError);
+    assert.equal(unknown.item.type, "widget");
+    assert.ok(unknown.error instanceof SaasClient.VectraValidationError);
+  });
+
+  it("fails items not finished when the signal is aborted", async () => {
+    let report = await client.bulk.addNotes(
+      [
+        { type: "detection", id: 1 },
+        { type: "detection", id: 2 },
+      ],
+      "Checked",
+      { signal: AbortSignal.abort() },
+    );
+    assert.deepEqual(report.succeeded, []);
+    assert.ok(
+      report.failed.every(
+        ({ error }) => error instanceof SaasClient.VectraAbortError,
+      ),
+    );
+  });
+
+  it("rejects invalid input with VectraValidationError", async () => {
+    await assert.rejects(
+      client.bulk.markAsFixed(1),
+      SaasClient.VectraValidationError,
+    );
+    await assert.rejects(
+      client.bulk.markAsFixed([1], { chunkSize: 0 }),
+      SaasClient.VectraValidationError,
+    );
+    await assert.rejects(
+      client.bulk.markAsFixed([1], { concurrency: 1.5 }),
+      SaasClient.VectraValidationError,
+    );
+  });
+});
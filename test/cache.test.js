@@ -0,0 +1,137 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("node:timers/promises");
+const SaasClient = require("..");
+
+describe("response cache", () => {
+  let brain;
+
+  before(async () => {
+    brain = new SaasClient.MockBrain({ pageSize: 2 });
+    await brain.start();
+  });
+
+  after(async () => {
+    await brain.stop();
+  });
+
+  beforeEach(() => {
+    brain.reset();
+    brain.seed({
+      detections: [1, 2, 3].map((id) => ({ id: id, state: "active" })),
+      accounts: [{ id: 10, name: "O365:user@example.com" }],
+    });
+  });
+
+  function createClient(cache = true) {
+    return new SaasClient(brain.url, "client", "secret", 3.3, {
+      rateLimit: { requestsPerSecond: 1000, burst: 100 },
+      retry: false,
+      cache: cache,
+    });
+  }
+
+  //Requests the brain received for a path
+  function requestsTo(path) {
+    return brain.requests.filter(
+      (request) => request.method === "GET" && request.path === path,
+    );
+  }
+
+  it("serves repeated reads from the cache", async () => {
+    let client = createClient();
+    await client.getDetection(1);
+    await client.getDetection(1);
+    await Promise.all([client.getAccount(10), client.getAccount(10)]);
+    assert.equal(requestsTo("/api/v3.3/detections/1").length, 1);
+    assert.equal(requestsTo("/api/v3.3/accounts/10").length, 1);
+  });
+
+  it("gives every caller its own copy", async () => {
+    let client = createClient();
+    let first = await client.getDetection(1);
+    first.state = "changed";
+    let second = await client.getDetection(1);
+    assert.equal(second.state, "active");
+  });
+
+  it("sends every request when the cache is off", async () => {
+    let client = createClient(false);
+    await client.getDetection(1);
+    await client.getDetection(1);
+    assert.equal(requestsTo("/api/v3.3/detections/1").length, 2);
+  });
+
+  it("fetches again once the TTL has passed", async () => {
+    let client = createClient({ ttl: 20 });
+    await client.getDetection(1);
+    await sleep(40);
+    await client.getDetection(1);
+    assert.equal(requestsTo("/api/v3.3/detections/1").length, 2);
+  });
+
+  it("does not cache paths with a TTL of 0", async () => {
+    let client = createClient({ ttls: { "/accounts": 0 } });
+    await client.getAccount(10);
+    await client.getAccount(10);
+    assert.equal(requestsTo("/api/v3.3/accounts/10").length, 2);
+  });
+
+  it("does not cache paginated lists", async () => {
+    let client = createClient();
+    await client.getAllDetections();
+    await client.getAllDetections();
+    assert.equal(requestsTo("/api/v3.3/detections").length, 4);
+  });
+
+  it("caches the triage rule list until a rule is written", async () => {
+    brain.seed({
+      rules: [1, 2, 3].map((id) => ({
+        id: id,
+        detection_category: "reconnaissance",
+        detection: "Port Scan",
+        triage_category: `Scanner ${id}`,
+      })),
+    });
+    let client = createClient();
+    assert.equal((await client.getTriageRules()).length, 3);
+    let filtered = await client.getTriageRules({ detection: "port scan" });
+    assert.equal(filtered.length, 3);
+    assert.equal(requestsTo("/api/v3.3/rules").length, 2);
+    await client.deleteTriageRule(3);
+    assert.equal((await client.getTriageRules()).length, 2);
+    assert.equal(requestsTo("/api/v3.3/rules").length, 3);
+  });
+
+  it("drops cached responses a write changes", async () => {
+    let client = createClient();
+    await client.getDetection(1);
+    await client.getAccount(10);
+    await client.markAsFixed([1]);
+    let detection = await client.getDetection(1);
+    await client.getAccount(10);
+    assert.equal(detection.state, "fixed");
+    assert.equal(requestsTo("/api/v3.3/detections/1").length, 2);
+    assert.equal(requestsTo("/api/v3.3/accounts/10").length, 1);
+  });
+
+  it("drops every cached response on clearCache()", async () => {
+    let client = createClient();
+    await client.getDetection(1);
+    await client.clearCache();
+    await client.getDetection(1);
+    assert.equal(requestsTo("/api/v3.3/detections/1").length, 2);
+  });
+
+  it("ignores a failing backend", async () => {
+    let failing = async () => {
+      throw new Error("Backend unavailable");
+    };
+    let client = createClient({
+      backend: { get: failing, set: failing, deletePrefix: failing },
+    });
+    assert.equal((await client.getDetection(1)).id, 1);
+    await client.markAsFixed([1]);
+    assert.equal(brain.get("detections", 1).state, "fixed");
+  });
+});
@@ -0,0 +1,125 @@
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const SaasClient = require("..");
+
+const REPLAY_URL = "https://replay.invalid";
+
+describe("cassettes", () => {
+  let brain;
+  let dir;
+  let file;
+
+  before(async () => {
+    brain = new SaasClient.MockBrain({ secret: "s3cr3t-value" });
+    await brain.start();
+  });
+
+  after(async () => {
+    await brain.stop();
+  });
+
+  beforeEach(async () => {
+    brain.reset();
+    brain.seed({
+      detections: [
+        { id: 1, state: "active", password: "hunter2" },
+        { id: 2, state: "fixed" },
+      ],
+    });
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "vectra-"));
+    file = path.join(dir, "cassettes", "session.json");
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  function createClient(mode, siteURL = brain.url) {
+    return new SaasClient(siteURL, "client", "s3cr3t-value", 3.3, {
+      rateLimit: { requestsPerSecond: 1000, burst: 100 },
+      retry: { baseDelay: 1 },
+      cassette: { file: file, mode: mode },
+    });
+  }
+
+  it("records requests without secrets or the brain URL", async () => {
+    await createClient("record").getDetection(1);
+    let text = await fs.promises.readFile(file, "utf8");
+    assert.doesNotMatch(text, /s3cr3t-value|hunter2|mock-token/);
+    assert.ok(!text.includes(brain.url));
+    let { interactions } = JSON.parse(text);
+    assert.deepEqual(
+      interactions.map(({ request }) => request.url),
+      ["{{siteURL}}/oauth2/token", "{{siteURL}}/api/v3.3/detections/1"],
+    );
+    assert.equal(interactions[0].response.data.access_token, "[REDACTED]");
+    assert.equal(interactions[1].response.data.password, "[REDACTED]");
+    assert.ok(interactions.every(({ request }) => !("headers" in request)));
+  });
+
+  it("replays a recording against any site URL without a brain", async () => {
+    let recorder = createClient("record");
+    let recorded = await recorder.getAllDetections({ state: "active" });
+    let requests = brain.requests.length;
+    let replayer = createClient("replay", REPLAY_URL);
+    let replayed = await replayer.getAllDetections({ state: "active" });
+    //Replayed bodies are scrubbed like the file
+    assert.deepEqual(replayed, [{ ...recorded[0], password: "[REDACTED]" }]);
+    assert.equal(brain.requests.length, requests);
+  });
+
+  it("answers repeated requests in order and then reuses the last answer", async () => {
+    let recorder = createClient("record");
+    await recorder.getDetection(1);
+    await recorder.markAsFixed([1]);
+    await recorder.getDetection(1);
+    let replayer = createClient("replay", REPLAY_URL);
+    assert.equal((await replayer.getDetection(1)).state, "active");
+    assert.equal((await replayer.getDetection(1)).state, "fixed");
+    assert.equal((await replayer.getDetection(1)).state, "fixed");
+  });
+
+  it("throws recorded error responses as Vectra errors", async () => {
+    await assert.rejects(
+      createClient("record").getDetection(99),
+      SaasClient.VectraNotFoundError,
+    );
+    await assert.rejects(
+      createClient("replay", REPLAY_URL).getDetection(99),
+      SaasClient.VectraNotFoundError,
+    );
+  });
+
+  it("fails a request that was never recorded", async () => {
+    await createClient("record").getDetection(1);
+    await assert.rejects(
+      createClient("replay", REPLAY_URL).getDetection(2),
+      (err) => {
+        assert.ok(err instanceof SaasClient.VectraError);
+        assert.equal(err.code, "ERR_CASSETTE_MISS");
+        return true;
+      },
+    );
+  });
+
+  it("rejects invalid settings and missing files with VectraConfigError", () => {
+    assert.throws(
+      () =>
+        new SaasClient(brain.url, "client", "secret", 3.3, {
+          cassette: { file: file, mode: "rewind" },
+        }),
+      SaasClient.VectraConfigError,
+    );
+    assert.throws(() => createClient("replay"), SaasClient.VectraConfigError);
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { execFile } = require("node:child_process");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { MemoryCheckpointStore, FileCheckpointStore } = require("..");
+
+//Save count keys named prefix0, prefix1, ... into file from a child process
+function saveInChild(file, prefix, count) {
+  let script = `
+    const { FileCheckpointStore } = require(${JSON.stringify(path.join(__dirname, ".."))});
+    const store = new FileCheckpointStore(${JSON.stringify(file)});
+    (async () => {
+      for (let i = 0; i < ${count}; i++) {
+        await store.save(${JSON.stringify(prefix)} + i, i);
+      }
+    })();
+  `;
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ["-e", script], (err) =>
+      err ? reject(err) : resolve(),
+    );
+  });
+}
+
+describe("MemoryCheckpointStore", () => {
+  it("loads what was saved", async () => {
+    let store = new MemoryCheckpointStore();
+    assert.equal(await store.load("account_detection"), undefined);
+    await store.save("account_detection", 3);
+    await store.save("account_scoring", { checkpoint: 5 });
+    assert.equal(await store.load("account_detection"), 3);
+    assert.deepEqual(await store.load("account_scoring"), { checkpoint: 5 });
+  });
+});
+
+describe("FileCheckpointStore", () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "vectra-"));
+    file = path.join(dir, "state", "checkpoints.json");
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  it("creates the file on the first save and keeps values between instances", async () => {
+    let store = new FileCheckpointStore(file, { mode: 0o600 });
+    assert.equal(await store.load("account_detection"), undefined);
+    await store.save("account_detection", 3);
+    assert.equal(
+      await new FileCheckpointStore(file).load("account_detection"),
+      3,
+    );
+    if (process.platform !== "win32") {
+      assert.equal((await fs.promises.stat(file)).mode & 0o777, 0o600);
+    }
+  });
+
+  it("leaves no temporary or lock files behind", async () => {
+    let store = new FileCheckpointStore(file);
+    await Promise.all([store.save("a", 1), store.save("b", 2)]);
+    assert.deepEqual(await fs.promises.readdir(path.dirname(file)), [
+      "checkpoints.json",
+    ]);
+  });
+
+  it("keeps every key when two stores save to one file at once", async () => {
+    let first = new FileCheckpointStore(file);
+    let second = new FileCheckpointStore(file);
+    let saves = [];
+    for (let i = 0; i < 10; i++) {
+      saves.push(first.save(`first${i}`, i), second.save(`second${i}`, i));
+    }
+    await Promise.all(saves);
+    let values = JSON.parse(await fs.promises.readFile(file, "utf8"));
+    assert.equal(Object.keys(values).length, 20);
+  });
+
+  it("keeps every key when two processes save to one file at once", async () => {
+    await Promise.all([
+      saveInChild(file, "first", 10),
+      saveInChild(file, "second", 10),
+    ]);
+    let values = JSON.parse(await fs.promises.readFile(file, "utf8"));
+    assert.equal(Object.keys(values).length, 20);
+  });
+
+  it("takes over a lock left behind by a crashed process", async () => {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(`${file}.lock`, "");
+    let old = new Date(Date.now() - 60000);
+    await fs.promises.utimes(`${file}.lock`, old, old);
+    let store = new FileCheckpointStore(file);
+    await store.save("account_detection", 3);
+    assert.equal(await store.load("account_detection"), 3);
+  });
+});
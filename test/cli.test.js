@@ -0,0 +1,126 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { execFile } = require("node:child_process");
+const path = require("node:path");
+const SaasClient = require("..");
+
+const CLI = path.join(__dirname, "..", "bin", "vectra-saas.js");
+
+//Run the CLI in a child process, without the caller's VECTRA_* settings or config file
+function run(args, env = {}) {
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [CLI, ...args],
+      {
+        env: {
+          PATH: process.env.PATH,
+          VECTRA_CONFIG_FILE: path.join(__dirname, "missing-config"),
+          ...env,
+        },
+      },
+      (err, stdout, stderr) => {
+        resolve({ code: err ? err.code : 0, stdout: stdout, stderr: stderr });
+      },
+    );
+  });
+}
+
+describe("command line interface", () => {
+  let brain;
+  let env;
+
+  before(async () => {
+    brain = new SaasClient.MockBrain();
+    await brain.start();
+  });
+
+  after(async () => {
+    await brain.stop();
+  });
+
+  beforeEach(() => {
+    brain.reset();
+    brain.seed({
+      detections: [
+        { id: 1, state: "active", detection: "Port Scan" },
+        { id: 2, state: "fixed", detection: "Port Sweep" },
+      ],
+    });
+    env = {
+      VECTRA_URL: brain.url,
+      VECTRA_CLIENT_ID: "client",
+      VECTRA_SECRET: "secret",
+      VECTRA_API_VERSION: "3.3",
+    };
+  });
+
+  it("prints usage and exits 0 for --help", async () => {
+    let { code, stdout } = await run(["--help"]);
+    assert.equal(code, 0);
+    assert.match(stdout, /^Usage: vectra-saas/);
+  });
+
+  it("exits 1 without a command", async () => {
+    let { code, stderr } = await run([], env);
+    assert.equal(code, 1);
+    assert.match(stderr, /Usage: vectra-saas/);
+  });
+
+  it("exits 1 for an unknown command before looking for credentials", async () => {
+    let { code } = await run(["widgets", "list"]);
+    assert.equal(code, 1);
+  });
+
+  it("exits 2 when no credentials are configured", async () => {
+    let { code, stderr } = await run(["detections", "get", "1"]);
+    assert.equal(code, 2);
+    assert.match(stderr, /No url configured/);
+  });
+
+  it("prints the result as JSON and exits 0", async () => {
+    let { code, stdout } = await run(["detections", "get", "1"], env);
+    assert.equal(code, 0);
+    assert.equal(JSON.parse(stdout).id, 1);
+  });
+
+  it("passes options on as search filters", async () => {
+    let { code, stdout } = await run(
+      ["detections", "list", "--state", "active"],
+      env,
+    );
+    assert.equal(code, 0);
+    assert.deepEqual(
+      JSON.parse(stdout).map((detection) => detection.id),
+      [1],
+    );
+  });
+
+  it("prints csv with the chosen fields", async () => {
+    let { code, stdout } = await run(
+      ["detections", "list", "--output", "csv", "--fields", "id,state"],
+      env,
+    );
+    assert.equal(code, 0);
+    assert.equal(stdout, "id,state\n1,active\n2,fixed\n");
+  });
+
+  it("exits 3 when the credentials are rejected", async () => {
+    let { code } = await run(["detections", "get", "1"], {
+      ...env,
+      VECTRA_SECRET: "wrong",
+    });
+    assert.equal(code, 3);
+  });
+
+  it("exits 4 when the object does not exist", async () => {
+    let { code } = await run(["detections", "get", "99"], env);
+    assert.equal(code, 4);
+  });
+
+  it("exits 7 on a server error", async () => {
+    brain.injectError({ status: 500, path: "/api/v3.3/detections/1" });
+    let { code } = await run(["detections", "get", "1"], env);
+    assert.equal(code, 7);
+  });
+});
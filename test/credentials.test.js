@@ -0,0 +1,351 @@
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const SaasClient = require("..");
+const { parseConfig, loadProfile } = require("../lib/profiles");
+const { fromEnv, resolveSettings } = require("../lib/credentials");
+
+const { VectraConfigError } = SaasClient;
+
+describe("config file profiles", () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "vectra-"));
+    file = path.join(dir, "config");
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  it("parses sections, comments and quoted values", () => {
+    let text = [
+      "# Vectra brains",
+      "[default]",
+      "url = https://default.example.com",
+      "; staging is not used yet",
+      "",
+      "[profile production]",
+      'CLIENT_ID = "production client"',
+      "secret='s3cr=t'",
+    ].join("\r\n");
+    assert.deepEqual(parseConfig(text), {
+      default: { url: "https://default.example.com" },
+      production: { client_id: "production client", secret: "s3cr=t" },
+    });
+  });
+
+  it("rejects lines it cannot parse with the line number", () => {
+    assert.throws(() => parseConfig("[default]\nurl\n"), {
+      name: "VectraConfigError",
+      message: "Invalid config file: cannot parse line 2.",
+    });
+    assert.throws(
+      () => parseConfig("url = https://brain.example.com\n"),
+      VectraConfigError,
+    );
+  });
+
+  it("maps keys and their aliases to client settings", () => {
+    fs.writeFileSync(
+      file,
+      [
+        "[default]",
+        "url = https://default.example.com",
+        "client_id = client",
+        "secret = secret",
+        "api_version = 3.3",
+        "[other]",
+        "site_url = https://other.example.com",
+        "client_secret = other",
+        "version = 3",
+        "region = eu",
+      ].join("\n"),
+    );
+    assert.deepEqual(loadProfile(undefined, file), {
+      siteURL: "https://default.example.com",
+      clientID: "client",
+      secret: "secret",
+      version: "3.3",
+    });
+    assert.deepEqual(loadProfile("other", file), {
+      siteURL: "https://other.example.com",
+      secret: "other",
+      version: "3",
+    });
+  });
+
+  it("reports a missing profile or file with VectraConfigError", () => {
+    fs.writeFileSync(file, "[default]\nurl = https://brain.example.com\n");
+    assert.throws(() => loadProfile("production", file), {
+      name: "VectraConfigError",
+      message: `Profile "production" not found in ${file}.`,
+    });
+    assert.throws(
+      () => loadProfile("default", path.join(dir, "missing")),
+      /^VectraConfigError: Cannot read config file/,
+    );
+  });
+});
+
+describe("settings chain", () => {
+  let dir;
+  let configFile;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "vectra-"));
+    configFile = path.join(dir, "config");
+    fs.writeFileSync(
+      configFile,
+      [
+        "[default]",
+        "url = https://profile.example.com",
+        "client_id = profile client",
+        "secret = profile secret",
+        "api_version = 3",
+        "[production]",
+        "url = https://production.example.com",
+        "client_id = production client",
+        "secret = production secret",
+      ].join("\n"),
+    );
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  it("reads only the VECTRA_* environment variables that are set", () => {
+    assert.deepEqual(
+      fromEnv({
+        VECTRA_URL: "https://env.example.com",
+        VECTRA_API_VERSION: "3.3",
+        VECTRA_SECRET: "",
+        HOME: "/root",
+      }),
+      { siteURL: "https://env.example.com", version: "3.3" },
+    );
+  });
+
+  it("takes each setting from the options, then the environment, then the profile", () => {
+    let settings = resolveSettings({
+      secret: "option secret",
+      configFile: configFile,
+      env: {
+        VECTRA_CLIENT_ID: "env client",
+        VECTRA_SECRET: "env secret",
+      },
+    });
+    assert.deepEqual(settings, {
+      secret: "option secret",
+      clientID: "env client",
+      siteURL: "https://profile.example.com",
+      version: "3",
+    });
+  });
+
+  it("does not read the config file once the connection settings are complete", () => {
+    let settings = resolveSettings({
+      siteURL: "https://brain.example.com",
+      clientID: "client",
+      secret: "secret",
+      env: { VECTRA_CONFIG_FILE: path.join(dir, "missing") },
+      profile: "missing",
+    });
+    assert.equal(settings.version, undefined);
+  });
+
+  it("chooses the profile and file from the environment", () => {
+    let settings = resolveSettings({
+      env: { VECTRA_PROFILE: "production", VECTRA_CONFIG_FILE: configFile },
+    });
+    assert.equal(settings.siteURL, "https://production.example.com");
+    assert.equal(
+      resolveSettings({
+        profile: "default",
+        configFile: configFile,
+        env: { VECTRA_PROFILE: "production" },
+      }).siteURL,
+      "https://profile.example.com",
+    );
+  });
+
+  it("skips sources that are turned off", () => {
+    let env = { VECTRA_URL: "https://env.example.com" };
+    assert.equal(
+      resolveSettings({ env: false, configFile: configFile }).siteURL,
+      "https://profile.example.com",
+    );
+    assert.deepEqual(resolveSettings({ env: env, profile: false }), {
+      siteURL: "https://env.example.com",
+    });
+  });
+
+  it("ignores a missing default config file but not a missing named profile", () => {
+    let missing = path.join(dir, "missing");
+    assert.deepEqual(resolveSettings({ env: {}, configFile: missing }), {});
+    assert.throws(
+      () =>
+        resolveSettings({ env: {}, configFile: missing, profile: "default" }),
+      VectraConfigError,
+    );
+  });
+});
+
+describe("creating clients from credentials", () => {
+  let brain;
+  let dir;
+  let configFile;
+  let env;
+
+  before(async () => {
+    brain = new SaasClient.MockBrain();
+    await brain.start();
+  });
+
+  after(async () => {
+    await brain.stop();
+  });
+
+  beforeEach(async () => {
+    brain.reset();
+    brain.seed({ detections: [{ id: 1 }] });
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "vectra-"));
+    configFile = path.join(dir, "config");
+    fs.writeFileSync(
+      configFile,
+      [
+        "[default]",
+        `url = ${brain.url}`,
+        "client_id = client",
+        "secret = secret",
+        "api_version = 3.3",
+        "[stale]",
+        `url = ${brain.url}`,
+        "client_id = client",
+        "secret = rotated",
+        "api_version = 3.3",
+      ].join("\n"),
+    );
+    env = {
+      VECTRA_URL: brain.url,
+      VECTRA_CLIENT_ID: "client",
+      VECTRA_SECRET: "secret",
+      VECTRA_API_VERSION: "3.3",
+      VECTRA_CONFIG_FILE: configFile,
+    };
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  //Options that keep retries and rate limiting out of the way
+  const FAST = {
+    rateLimit: { requestsPerSecond: 1000, burst: 100 },
+    retry: false,
+  };
+
+  it("fromEnv() reads the environment and never the config file", async () => {
+    let client = SaasClient.fromEnv({ ...FAST, env: env });
+    assert.equal((await client.getDetection(1)).id, 1);
+
+    delete env.VECTRA_SECRET;
+    assert.throws(() => SaasClient.fromEnv({ ...FAST, env: env }), {
+      name: "VectraConfigError",
+      message:
+        "No secret configured. Pass secret, set VECTRA_SECRET or add it to a profile in the config file.",
+    });
+  });
+
+  it("fromProfile() reads the profile and never the environment", async () => {
+    let client = SaasClient.fromProfile("default", {
+      ...FAST,
+      configFile: configFile,
+      env: { ...env, VECTRA_SECRET: "wrong" },
+    });
+    assert.equal((await client.getDetection(1)).id, 1);
+  });
+
+  it("lets options given to fromProfile() override the profile", async () => {
+    let stale = SaasClient.fromProfile("stale", {
+      ...FAST,
+      configFile: configFile,
+    });
+    await assert.rejects(stale.getDetection(1), SaasClient.VectraAuthError);
+    let client = SaasClient.fromProfile("stale", {
+      ...FAST,
+      configFile: configFile,
+      secret: "secret",
+    });
+    assert.equal((await client.getDetection(1)).id, 1);
+  });
+
+  it("reports an unknown profile when the client is created", () => {
+    assert.throws(
+      () => SaasClient.fromProfile("production", { configFile: configFile }),
+      VectraConfigError,
+    );
+  });
+
+  it("asks the credentials provider for each new token", async () => {
+    let calls = 0;
+    let client = new SaasClient({
+      ...FAST,
+      siteURL: brain.url,
+      version: 3.3,
+      env: false,
+      profile: false,
+      credentials: async () => {
+        calls++;
+        return { clientID: "client", secret: "secret" };
+      },
+    });
+    await client.getDetection(1);
+    await client.getDetection(1);
+    assert.equal(calls, 1);
+    brain.revokeTokens();
+    await client.getDetection(1);
+    assert.equal(calls, 2);
+  });
+
+  it("does not ask the provider when the secret is configured", async () => {
+    let client = new SaasClient({
+      ...FAST,
+      env: env,
+      profile: false,
+      credentials: async () => assert.fail("Provider called"),
+    });
+    assert.equal((await client.getDetection(1)).id, 1);
+  });
+
+  it("rejects a provider that fails or returns no secret", async () => {
+    for (let credentials of [
+      async () => ({ clientID: "client" }),
+      async () => {
+        throw new Error("Vault sealed");
+      },
+    ]) {
+      let client = new SaasClient({
+        ...FAST,
+        siteURL: brain.url,
+        version: 3.3,
+        env: false,
+        profile: false,
+        credentials: credentials,
+      });
+      await assert.rejects(client.getDetection(1), VectraConfigError);
+    }
+  });
+});
@@ -0,0 +1,164 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const SaasClient = require("..");
+
+const {
+  CefFormatter,
+  LeefFormatter,
+  EcsFormatter,
+  OcsfFormatter,
+  createFormatter,
+} = SaasClient;
+
+const DETECTION = {
+  id: 7,
+  detection: "Port Scan",
+  detection_category: "reconnaissance",
+  threat: 62,
+  certainty: 80,
+  state: "active",
+  last_timestamp: "2024-03-01T12:00:00Z",
+  src_ip: "10.0.0.5",
+  src_host: { name: "web01" },
+  tags: ["a=b", "R&D"],
+  url: "https://brain.example.com/detections/7",
+  assigned_to: "analyst",
+};
+
+const SCORING_EVENT = {
+  id: 12,
+  account_uid: "O365:alice@example.com",
+  threat: 30,
+  certainty: 40,
+  event_timestamp: "2024-03-01T12:00:00Z",
+  active_detection_types: ["Azure AD Suspicious Sign-On"],
+  last_detection: { id: 7 },
+};
+
+describe("formatters", () => {
+  describe("CEF", () => {
+    it("writes the header and extensions", () => {
+      assert.equal(
+        new CefFormatter().format(DETECTION),
+        "CEF:0|Vectra Networks|Vectra AI|3|detection:Port Scan|Port Scan|6|" +
+          "externalId=7 rt=1709294400000 cat=reconnaissance src=10.0.0.5 shost=web01 " +
+          "request=https://brain.example.com/detections/7 cn1Label=threat cn1=62 " +
+          "cn2Label=certainty cn2=80 cn3Label=detectionId cn3=7 cs1Label=state cs1=active " +
+          "cs2Label=tags cs2=a\\=b,R&D",
+      );
+    });
+
+    it("escapes pipes in the header and line breaks in extensions", () => {
+      let line = new CefFormatter().format({
+        id: 1,
+        detection: "Scan|Sweep",
+        state: "line\nbreak",
+      });
+      assert.match(line, /\|detection:Scan\\\|Sweep\|Scan\\\|Sweep\|/);
+      assert.match(line, /cs1=line\\nbreak/);
+    });
+
+    it("falls back to the record type for a record without a name", () => {
+      let fields = new CefFormatter().fields({ id: 1 });
+      assert.equal(fields.signatureId, "detection");
+      assert.equal(fields.name, undefined);
+    });
+
+    it("adds, overrides and removes mapped fields", () => {
+      let cef = new CefFormatter({
+        mapping: {
+          deviceVersion: () => "3.3",
+          cs3Label: () => "assignedTo",
+          cs3: "assigned_to",
+          cs2: null,
+          cs2Label: null,
+        },
+      });
+      let line = cef.format(DETECTION);
+      assert.match(line, /^CEF:0\|Vectra Networks\|Vectra AI\|3\.3\|/);
+      assert.match(line, / cs3Label=assignedTo cs3=analyst$/);
+      assert.doesNotMatch(line, /cs2/);
+    });
+  });
+
+  describe("LEEF", () => {
+    it("writes tab separated attributes", () => {
+      let line = new LeefFormatter().format(DETECTION);
+      let [header, attributes] = line.split("|x09|");
+      assert.equal(
+        header,
+        "LEEF:2.0|Vectra Networks|Vectra AI|3|detection:Port Scan",
+      );
+      let values = Object.fromEntries(
+        attributes.split("\t").map((pair) => pair.split(/=(.*)/s).slice(0, 2)),
+      );
+      assert.equal(values.devTime, "2024-03-01T12:00:00.000Z");
+      assert.equal(values.sev, "6");
+      assert.equal(values.srcHostName, "web01");
+      assert.equal(values.tags, "a=b,R&D");
+    });
+
+    it("falls back to the record type for a record without a name", () => {
+      assert.equal(new LeefFormatter().fields({ id: 1 }).eventId, "detection");
+    });
+  });
+
+  describe("ECS", () => {
+    it("nests dotted fields and keeps @timestamp whole", () => {
+      let document = new EcsFormatter().toObject(DETECTION);
+      assert.equal(document["@timestamp"], "2024-03-01T12:00:00.000Z");
+      assert.equal(document.event.kind, "alert");
+      assert.equal(document.event.dataset, "vectra.detection");
+      assert.equal(document.rule.name, "Port Scan");
+      assert.equal(document.source.ip, "10.0.0.5");
+      assert.deepEqual(document.tags, ["a=b", "R&D"]);
+    });
+
+    it("maps account scoring events", () => {
+      let ecs = createFormatter("ecs", { type: "account_scoring" });
+      let document = JSON.parse(ecs.format(SCORING_EVENT));
+      assert.equal(document.event.kind, "event");
+      assert.equal(document.user.name, "O365:alice@example.com");
+      assert.equal(document.vectra.detection_id, 7);
+    });
+  });
+
+  describe("OCSF", () => {
+    it("maps records to detection findings", () => {
+      let event = new OcsfFormatter({
+        mapping: { "unmapped.assigned_to": "assigned_to" },
+      }).toObject(DETECTION);
+      assert.equal(event.class_uid, 2004);
+      assert.equal(event.severity_id, 3);
+      assert.equal(event.metadata.uid, "detection:7");
+      assert.equal(event.finding_info.uid, "7");
+      assert.deepEqual(event.finding_info.types, ["reconnaissance"]);
+      assert.equal(event.unmapped.assigned_to, "analyst");
+    });
+
+    it("guesses the type of events", () => {
+      let event = new OcsfFormatter().toObject(SCORING_EVENT);
+      assert.equal(event.unmapped.vectra_type, "account_scoring");
+      assert.equal(event.actor.user.name, "O365:alice@example.com");
+    });
+  });
+
+  it("formats several records as lines and through a stream", async () => {
+    let cef = createFormatter("CEF");
+    assert.equal(cef.formatAll([DETECTION, DETECTION]).split("\n").length, 2);
+    let stream = cef.stream();
+    let output = "";
+    stream.on("data", (chunk) => (output += chunk));
+    stream.write([DETECTION, DETECTION]);
+    stream.end(DETECTION);
+    await new Promise((resolve) => stream.on("end", resolve));
+    assert.equal(output, `${cef.format(DETECTION)}\n`.repeat(3));
+  });
+
+  it("rejects unknown formats", () => {
+    assert.throws(
+      () => createFormatter("xml"),
+      SaasClient.VectraValidationError,
+    );
+  });
+});
@@ -0,0 +1,281 @@
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const dgram = require("node:dgram");
+const http = require("node:http");
+const net = require("node:net");
+const SaasClient = require("..");
+
+const { SyslogForwarder, WebhookForwarder } = SaasClient;
+
+const DETECTION = {
+  id: 7,
+  detection: "Port Scan",
+  threat: 62,
+  last_timestamp: "2024-03-01T12:00:00Z",
+};
+
+//Wait until check() is true, failing after a second
+async function until(check) {
+  let deadline = Date.now() + 1000;
+  while (!check()) {
+    assert.ok(Date.now() < deadline, "Timed out waiting for the server");
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+describe("SyslogForwarder", () => {
+  let forwarder;
+
+  afterEach(async () => {
+    await forwarder?.close();
+    forwarder = null;
+  });
+
+  it("sends one RFC 5424 datagram per record over UDP", async () => {
+    let server = dgram.createSocket("udp4");
+    let messages = [];
+    server.on("message", (message) => messages.push(message.toString()));
+    await new Promise((resolve) => server.bind(0, "127.0.0.1", resolve));
+    try {
+      forwarder = new SyslogForwarder({
+        host: "127.0.0.1",
+        port: server.address().port,
+        hostname: "collector one",
+      });
+      await forwarder.send([DETECTION, { ...DETECTION, id: 8 }]);
+      await until(() => messages.length === 2);
+      assert.equal(
+        messages[0],
+        `<132>1 2024-03-01T12:00:00.000Z collectorone vectra ${process.pid} detection - ` +
+          new SaasClient.CefFormatter().format(DETECTION),
+      );
+      assert.match(messages[1], /externalId=8/);
+    } finally {
+      server.close();
+    }
+  });
+
+  describe("over TCP", () => {
+    let server;
+    let sockets;
+    let received;
+
+    beforeEach(async () => {
+      received = Buffer.alloc(0);
+      sockets = new Set();
+      server = net.createServer((socket) => {
+        sockets.add(socket);
+        socket.on("data", (data) => {
+          received = Buffer.concat([received, data]);
+        });
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    });
+
+    //Drop every connection the forwarder has open
+    function disconnect() {
+      for (let socket of sockets) {
+        socket.destroy();
+      }
+    }
+
+    afterEach(async () => {
+      disconnect();
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    //Create a TCP forwarder whose messages are just the given text
+    function createForwarder(framing) {
+      return new SyslogForwarder({
+        host: "127.0.0.1",
+        port: server.address().port,
+        protocol: "tcp",
+        framing: framing,
+        format: { format: (record) => record.text },
+      });
+    }
+
+    it("frames messages with their length in bytes", async () => {
+      forwarder = createForwarder();
+      let records = [
+        { text: "Café", last_timestamp: DETECTION.last_timestamp },
+        { text: "two\nlines", last_timestamp: DETECTION.last_timestamp },
+      ];
+      await forwarder.send(records);
+      let expected = records
+        .map((record) => forwarder.message(record))
+        .map((message) => `${Buffer.byteLength(message)} ${message}`)
+        .join("");
+      await until(() => received.length >= Buffer.byteLength(expected));
+      assert.equal(received.toString(), expected);
+      //The length counts bytes, not characters
+      let [length, rest] = received.toString().split(/ (.*)/s);
+      assert.equal(
+        Buffer.from(rest).subarray(0, Number(length)).toString(),
+        forwarder.message(records[0]),
+      );
+    });
+
+    it("ends messages with a newline, replacing newlines inside them", async () => {
+      forwarder = createForwarder("newline");
+      await forwarder.send([{ text: "one" }, { text: "two\nlines" }]);
+      await until(() => received.toString().split("\n").length === 3);
+      let lines = received.toString().split("\n");
+      assert.equal(lines.length, 3);
+      assert.match(lines[0], / - one$/);
+      assert.match(lines[1], / - two lines$/);
+      assert.equal(lines[2], "");
+    });
+
+    it("reopens the connection after the server closes it", async () => {
+      forwarder = createForwarder("newline");
+      await forwarder.send([{ text: "one" }]);
+      await until(() => received.length > 0);
+      disconnect();
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      await forwarder.send([{ text: "two" }]);
+      await until(() => received.toString().endsWith(" - two\n"));
+    });
+  });
+
+  it("rejects a send when the server cannot be reached", async () => {
+    let server = net.createServer();
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    let port = server.address().port;
+    await new Promise((resolve) => server.close(resolve));
+    forwarder = new SyslogForwarder({
+      host: "127.0.0.1",
+      port,
+      protocol: "tcp",
+    });
+    await assert.rejects(forwarder.send([DETECTION]), { code: "ECONNREFUSED" });
+  });
+
+  it("rejects unknown protocols and framings with VectraConfigError", () => {
+    assert.throws(
+      () => new SyslogForwarder({ protocol: "http" }),
+      SaasClient.VectraConfigError,
+    );
+    assert.throws(
+      () => new SyslogForwarder({ protocol: "tcp", framing: "nul" }),
+      SaasClient.VectraConfigError,
+    );
+  });
+});
+
+describe("WebhookForwarder", () => {
+  let server;
+  let url;
+  let requests;
+  let statuses;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (data) => (body += data));
+      req.on("end", () => {
+        requests.push({ headers: req.headers, body: body });
+        res.statusCode = statuses.shift() || 200;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    statuses = [];
+  });
+
+  function createForwarder(options) {
+    return new WebhookForwarder({
+      url: url,
+      retry: { baseDelay: 1 },
+      transport: { keepAlive: false },
+      ...options,
+    });
+  }
+
+  it("sends records in batches of batchSize", async () => {
+    let records = [1, 2, 3, 4, 5].map((id) => ({ id: id }));
+    await createForwarder({ batchSize: 2 }).send(records);
+    assert.deepEqual(
+      requests.map((request) => JSON.parse(request.body)),
+      [[{ id: 1 }, { id: 2 }], [{ id: 3 }, { id: 4 }], [{ id: 5 }]],
+    );
+    assert.equal(requests[0].headers["content-type"], "application/json");
+  });
+
+  it("converts records with a formatter", async () => {
+    await createForwarder({ format: "ecs" }).send([DETECTION]);
+    let [document] = JSON.parse(requests[0].body);
+    assert.equal(document.rule.name, "Port Scan");
+  });
+
+  it("signs the timestamp and body with HMAC-SHA256", async () => {
+    let forwarder = createForwarder({
+      secret: "shared-key",
+      headers: { "X-Api-Key": "receiver" },
+    });
+    await forwarder.send([DETECTION]);
+    let { headers, body } = requests[0];
+    let timestamp = headers["x-vectra-timestamp"];
+    assert.ok(Math.abs(Number(timestamp) - Date.now() / 1000) < 5);
+    let expected = crypto
+      .createHmac("sha256", "shared-key")
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+    assert.equal(headers["x-vectra-signature"], `sha256=${expected}`);
+    assert.equal(headers["x-api-key"], "receiver");
+  });
+
+  it("leaves requests unsigned without a secret", async () => {
+    await createForwarder().send([DETECTION]);
+    assert.equal(requests[0].headers["x-vectra-signature"], undefined);
+  });
+
+  it("retries a batch the receiver could not take", async () => {
+    statuses = [503, 500];
+    await createForwarder().send([DETECTION]);
+    assert.equal(requests.length, 3);
+    assert.equal(requests[2].body, requests[0].body);
+  });
+
+  it("does not retry a batch the receiver rejects", async () => {
+    statuses = [400];
+    await assert.rejects(
+      createForwarder().send([DETECTION]),
+      SaasClient.VectraValidationError,
+    );
+    assert.equal(requests.length, 1);
+  });
+
+  it("stops after the last retry", async () => {
+    statuses = [503, 503, 503, 503];
+    await assert.rejects(
+      createForwarder({ retry: { baseDelay: 1, maxAttempts: 2 } }).send([
+        DETECTION,
+      ]),
+      SaasClient.VectraServerError,
+    );
+    assert.equal(requests.length, 2);
+  });
+
+  it("requires a url", () => {
+    assert.throws(() => new WebhookForwarder(), SaasClient.VectraConfigError);
+  });
+});
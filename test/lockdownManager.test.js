@@ -0,0 +1,211 @@
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const SaasClient = require("..");
+
+const { LockdownManager, MemoryCheckpointStore } = SaasClient;
+
+//Wait for the next time a manager emits an event. Unlike events.once, "error" events do not reject
+function next(manager, event) {
+  return new Promise((resolve) => manager.once(event, resolve));
+}
+
+describe("LockdownManager", () => {
+  let brain;
+  let client;
+  let managers = [];
+
+  before(async () => {
+    brain = new SaasClient.MockBrain();
+    await brain.start();
+  });
+
+  after(async () => {
+    await brain.stop();
+  });
+
+  beforeEach(() => {
+    brain.reset();
+    brain.seed({
+      accounts: [{ id: 10, name: "O365:alice@example.com" }],
+      hosts: [
+        { id: 3, name: "dc01" },
+        { id: 4, name: "web01" },
+      ],
+    });
+    client = new SaasClient(brain.url, "client", "secret", 3.3, {
+      rateLimit: { requestsPerSecond: 1000, burst: 100 },
+      retry: false,
+    });
+  });
+
+  //A failed test must not leave timers running
+  afterEach(() => {
+    for (let manager of managers) {
+      manager.stop();
+    }
+    managers = [];
+  });
+
+  function createManager(options) {
+    let manager = new LockdownManager(client, {
+      reconcileInterval: 0,
+      ...options,
+    });
+    managers.push(manager);
+    return manager;
+  }
+
+  //Keys of the entities the brain has locked, ignoring recent unlocks
+  async function lockedOnBrain() {
+    let keys = [];
+    for (let type of ["account", "host"]) {
+      for (let lockdown of await client.getLockStatus(type)) {
+        if (!lockdown.unlock_event_timestamp) {
+          keys.push(`${type}:${lockdown.entity_id}`);
+        }
+      }
+    }
+    return keys;
+  }
+
+  it("locks an entity and unlocks it when the duration ends", async () => {
+    let manager = await createManager().start();
+    let locked = next(manager, "locked");
+    let expired = next(manager, "expired");
+    let lock = await manager.lock("account", 10, 30);
+    assert.deepEqual(await locked, lock);
+    assert.equal(Date.parse(lock.unlockAt) - Date.parse(lock.lockedAt), 30);
+    assert.deepEqual(await lockedOnBrain(), ["account:10"]);
+    assert.deepEqual(await expired, lock);
+    assert.deepEqual(await lockedOnBrain(), []);
+    assert.deepEqual(manager.locks, []);
+  });
+
+  it("unlocks early and cancels the scheduled unlock", async () => {
+    let manager = await createManager().start();
+    await manager.lock("host", 4, 60000);
+    let unlocked = next(manager, "unlocked");
+    await manager.unlock("host", 4);
+    assert.equal((await unlocked).entityID, 4);
+    assert.deepEqual(manager.locks, []);
+    assert.deepEqual(await lockedOnBrain(), []);
+  });
+
+  it("refuses to lock entities on the allowlist, by ID or name", async () => {
+    let manager = await createManager({
+      allowlist: { host: [4, "dc01"], account: ["O365:alice@example.com"] },
+    }).start();
+    for (let [type, id] of [
+      ["host", 4],
+      ["host", 3],
+      ["account", 10],
+    ]) {
+      await assert.rejects(
+        manager.lock(type, id, 60000),
+        SaasClient.VectraValidationError,
+      );
+    }
+    assert.equal(
+      brain.requests.filter(
+        (request) =>
+          request.method === "POST" && request.path === "/api/v3.3/lockdown",
+      ).length,
+      0,
+    );
+  });
+
+  it("rejects invalid locks", async () => {
+    let manager = createManager();
+    await assert.rejects(manager.lock("host", 4, 60000), /must be started/);
+    await manager.start();
+    for (let args of [
+      ["host", 4, 0],
+      ["printer", 4, 60000],
+      ["host", "4", 60000],
+    ]) {
+      await assert.rejects(
+        manager.lock(...args),
+        SaasClient.VectraValidationError,
+      );
+    }
+  });
+
+  it("picks up pending unlocks after a restart", async () => {
+    let store = new MemoryCheckpointStore();
+    let first = await createManager({ store }).start();
+    let lock = await first.lock("host", 4, 60000);
+    first.stop();
+
+    let second = await createManager({ store }).start();
+    assert.deepEqual(second.locks, [lock]);
+  });
+
+  it("releases locks that ended while the manager was stopped", async () => {
+    let store = new MemoryCheckpointStore();
+    let first = await createManager({ store }).start();
+    await first.lock("host", 4, 20);
+    first.stop();
+    await new Promise((resolve) => setTimeout(resolve, 30));
+
+    let second = createManager({ store });
+    let expired = next(second, "expired");
+    await second.start();
+    assert.equal((await expired).entityID, 4);
+    assert.deepEqual(await lockedOnBrain(), []);
+    assert.deepEqual(await store.load("lockdowns"), []);
+  });
+
+  it("drops locks released outside the manager", async () => {
+    let manager = await createManager().start();
+    await manager.lock("account", 10, 60000);
+    await client.applyLockStatus("unlock", "account", 10);
+    //The brain still lists the entity, as a recent unlock
+    assert.equal((await client.getLockStatus("account")).length, 1);
+    let changed = next(manager, "changed");
+    await manager.reconcile();
+    assert.deepEqual(await changed, {
+      entityType: "account",
+      entityID: 10,
+      change: "unlocked",
+    });
+    assert.deepEqual(manager.locks, []);
+  });
+
+  it("reports entities locked outside the manager", async () => {
+    await client.applyLockStatus("lock", "host", 3);
+    await client.applyLockStatus("unlock", "host", 3);
+    let manager = await createManager().start();
+    let changes = [];
+    manager.on("changed", (change) => changes.push(change));
+    await manager.reconcile();
+    assert.deepEqual(changes, []);
+    await client.applyLockStatus("lock", "host", 4);
+    await manager.reconcile();
+    assert.deepEqual(changes, [
+      { entityType: "host", entityID: 4, change: "locked" },
+    ]);
+  });
+
+  it("retries an unlock that failed", async () => {
+    let manager = await createManager({ retryInterval: 10 }).start();
+    let errors = [];
+    manager.on("error", (err) => errors.push(err));
+    await manager.lock("host", 4, 20);
+    brain.injectError({
+      status: 503,
+      method: "POST",
+      path: "/api/v3.3/lockdown",
+    });
+    await next(manager, "expired");
+    assert.equal(errors.length, 1);
+    assert.ok(errors[0] instanceof SaasClient.VectraServerError);
+    assert.deepEqual(await lockedOnBrain(), []);
+  });
+});
@@ -0,0 +1,208 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const SaasClient = require("..");
+const { createLogger } = require("../lib/logger");
+
+describe("middleware and logging", () => {
+  let brain;
+
+  before(async () => {
+    brain = new SaasClient.MockBrain();
+    await brain.start();
+  });
+
+  after(async () => {
+    await brain.stop();
+  });
+
+  beforeEach(() => {
+    brain.reset();
+    brain.seed({ detections: [{ id: 1 }, { id: 2 }] });
+  });
+
+  function createClient(options) {
+    return new SaasClient(brain.url, "client", "secret", 3.3, {
+      rateLimit: { requestsPerSecond: 1000, burst: 100 },
+      retry: { baseDelay: 1 },
+      ...options,
+    });
+  }
+
+  //A pino style logger that keeps every call
+  function memoryLogger() {
+    let entries = [];
+    let logger = { entries: entries };
+    for (let level of ["trace", "debug", "info", "warn", "error"]) {
+      logger[level] = (fields, message) =>
+        entries.push({ level: level, fields: fields, message: message });
+    }
+    return logger;
+  }
+
+  describe("middleware", () => {
+    it("runs hooks in the order they were added", async () => {
+      let calls = [];
+      let client = createClient();
+      for (let name of ["first", "second"]) {
+        client.use({
+          onRequest: (request) => {
+            calls.push(`${name} request ${request.kind}`);
+          },
+          onResponse: (response, request) => {
+            calls.push(`${name} response ${request.kind} ${response.status}`);
+          },
+        });
+      }
+      await client.getDetection(1);
+      assert.deepEqual(calls, [
+        "first request token",
+        "second request token",
+        "first response token 200",
+        "second response token 200",
+        "first request api",
+        "second request api",
+        "first response api 200",
+        "second response api 200",
+      ]);
+    });
+
+    it("sends the request an onRequest hook returns", async () => {
+      let client = createClient().use({
+        onRequest: async (request) => ({
+          ...request,
+          url: request.url.replace(/\/detections\/1$/, "/detections/2"),
+        }),
+      });
+      assert.equal((await client.getDetection(1)).id, 2);
+    });
+
+    it("calls onError with the error that is thrown, once per attempt", async () => {
+      brain.injectError({ status: 503, path: "/api/v3.3/detections/1" });
+      let errors = [];
+      let client = createClient().use({
+        onError: (error, request) => errors.push([error, request.url]),
+      });
+      await client.getDetection(1);
+      assert.equal(errors.length, 1);
+      assert.ok(errors[0][0] instanceof SaasClient.VectraServerError);
+      assert.match(errors[0][1], /\/detections\/1$/);
+
+      let thrown = null;
+      await assert.rejects(client.getDetection(99), (err) => {
+        thrown = err;
+        return err instanceof SaasClient.VectraNotFoundError;
+      });
+      assert.equal(errors[1][0], thrown);
+    });
+
+    it("rejects middleware that is not an object", () => {
+      assert.throws(
+        () => createClient().use(() => {}),
+        SaasClient.VectraValidationError,
+      );
+    });
+  });
+
+  describe("logging", () => {
+    it("logs requests, tokens, retries and failures at their levels", async () => {
+      let logger = memoryLogger();
+      let client = createClient({
+        logger: logger,
+        logLevel: "debug",
+        retry: { baseDelay: 1, maxAttempts: 2 },
+      });
+      brain.injectError({
+        status: 503,
+        path: "/api/v3.3/detections/2",
+        times: Infinity,
+      });
+      await client.getDetection(1);
+      await assert.rejects(client.getDetection(2));
+      await assert.rejects(client.getDetection(99));
+      let messages = logger.entries.map(
+        (entry) => `${entry.level} ${entry.message}`,
+      );
+      assert.deepEqual(messages.slice(0, 3), [
+        "debug Request succeeded",
+        "info Token issued",
+        "debug Request succeeded",
+      ]);
+      assert.ok(messages.includes("warn Request failed, retrying"));
+      assert.deepEqual(
+        logger.entries
+          .filter((entry) => entry.level === "error" || entry.level === "warn")
+          .filter((entry) => entry.fields.attempts)
+          .map((entry) => [entry.level, entry.fields.status]),
+        [
+          ["error", 503],
+          ["warn", 404],
+        ],
+      );
+    });
+
+    it("only logs from the chosen level up", async () => {
+      let logger = memoryLogger();
+      await createClient({ logger: logger }).getDetection(1);
+      assert.deepEqual(
+        logger.entries.map((entry) => entry.level),
+        ["info"],
+      );
+    });
+
+    it("never logs the secret or tokens", async () => {
+      let logger = memoryLogger();
+      let client = createClient({ logger: logger, logLevel: "trace" });
+      await client.getDetection(1);
+      brain.revokeTokens();
+      await client.getDetection(1);
+      assert.doesNotMatch(JSON.stringify(logger.entries), /secret|mock-token/);
+    });
+
+    it("rejects unknown levels with VectraConfigError", () => {
+      assert.throws(
+        () => createClient({ logger: memoryLogger(), logLevel: "loud" }),
+        SaasClient.VectraConfigError,
+      );
+    });
+  });
+
+  describe("createLogger", () => {
+    it("redacts secret fields at any depth, and extra names", () => {
+      let logger = memoryLogger();
+      createLogger(logger, { redact: ["tenant"] }).info(
+        {
+          headers: { Authorization: "Bearer abc" },
+          body: [{ access_token: "abc", client_secret: "def", id: 1 }],
+          Tenant: "acme",
+        },
+        "Sent",
+      );
+      assert.deepEqual(logger.entries[0].fields, {
+        headers: { Authorization: "[REDACTED]" },
+        body: [
+          { access_token: "[REDACTED]", client_secret: "[REDACTED]", id: 1 },
+        ],
+        Tenant: "[REDACTED]",
+      });
+    });
+
+    it("calls winston loggers with the level first, and trace as silly", () => {
+      let calls = [];
+      let winston = {
+        transports: [],
+        log: (...args) => calls.push(args),
+      };
+      let logger = createLogger(winston, { level: "trace" });
+      logger.trace({ password: "pw" }, "Tracing");
+      logger.warn({ id: 1 }, "Warning");
+      assert.deepEqual(calls, [
+        ["silly", "Tracing", { password: "[REDACTED]" }],
+        ["warn", "Warning", { id: 1 }],
+      ]);
+    });
+
+    it("does nothing without a logger", () => {
+      createLogger(undefined, { level: "trace" }).error({}, "Ignored");
+    });
+  });
+});
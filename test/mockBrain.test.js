@@ -0,0 +1,189 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { MockBrain } = require("..");
+
+describe("MockBrain", () => {
+  let brain;
+  let token;
+
+  before(async () => {
+    brain = new MockBrain({ pageSize: 2 });
+    await brain.start();
+  });
+
+  after(async () => {
+    await brain.stop();
+  });
+
+  //Request a token with the given credentials
+  function requestToken(clientID = "client", secret = "secret") {
+    return fetch(`${brain.url}/oauth2/token`, {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${clientID}:${secret}`).toString("base64")}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: "grant_type=client_credentials",
+    });
+  }
+
+  //Call the API with the current token
+  function api(path, init = {}) {
+    return fetch(`${brain.url}/api/v3.3${path}`, {
+      ...init,
+      headers: { Authorization: `Bearer ${token}`, ...init.headers },
+    });
+  }
+
+  beforeEach(async () => {
+    brain.reset();
+    brain.seed({
+      detections: [1, 2, 3, 4, 5].map((id) => ({
+        id: id,
+        state: id < 4 ? "active" : "fixed",
+      })),
+      events: {
+        account_detection: [1, 2, 3].map((id) => ({ detection_id: id })),
+      },
+    });
+    token = (await (await requestToken()).json()).access_token;
+  });
+
+  describe("tokens", () => {
+    it("issues tokens for the configured credentials only", async () => {
+      assert.equal((await requestToken("client", "wrong")).status, 401);
+      let response = await requestToken();
+      assert.equal(response.status, 200);
+      let body = await response.json();
+      assert.equal(body.token_type, "Bearer");
+      assert.equal(body.expires_in, 3600);
+    });
+
+    it("rejects requests without a valid token", async () => {
+      assert.equal(
+        (await fetch(`${brain.url}/api/v3.3/detections`)).status,
+        401,
+      );
+      assert.equal((await api("/detections")).status, 200);
+      brain.revokeTokens();
+      assert.equal((await api("/detections")).status, 401);
+    });
+
+    it("only serves the configured API version", async () => {
+      let response = await fetch(`${brain.url}/api/v3/detections`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      assert.equal(response.status, 404);
+    });
+  });
+
+  describe("pagination", () => {
+    it("links each page to the next one", async () => {
+      let first = await (await api("/detections")).json();
+      assert.equal(first.count, 5);
+      assert.deepEqual(
+        first.results.map((detection) => detection.id),
+        [1, 2],
+      );
+      assert.equal(first.previous, null);
+      let next = new URL(first.next);
+      assert.equal(next.origin, brain.url);
+      assert.equal(next.pathname, "/api/v3.3/detections");
+      assert.equal(next.searchParams.get("page"), "2");
+
+      let last = await (await api("/detections?page=3")).json();
+      assert.deepEqual(
+        last.results.map((detection) => detection.id),
+        [5],
+      );
+      assert.equal(last.next, null);
+      assert.equal(new URL(last.previous).searchParams.get("page"), "2");
+    });
+
+    it("keeps filters and page_size in the links", async () => {
+      let page = await (
+        await api("/detections?state=active&page_size=1")
+      ).json();
+      assert.equal(page.count, 3);
+      assert.equal(page.results.length, 1);
+      let next = new URL(page.next);
+      assert.equal(next.searchParams.get("state"), "active");
+      assert.equal(next.searchParams.get("page_size"), "1");
+    });
+  });
+
+  describe("events", () => {
+    it("reads a feed from a checkpoint", async () => {
+      let body = await (
+        await api("/events/account_detection?from=1&limit=1")
+      ).json();
+      assert.deepEqual(
+        body.events.map((event) => event.detection_id),
+        [2],
+      );
+      assert.equal(body.next_checkpoint, 2);
+      assert.equal(body.remaining_count, 1);
+    });
+
+    it("returns no events at the end of the feed", async () => {
+      let body = await (await api("/events/account_detection?from=3")).json();
+      assert.deepEqual(body.events, []);
+      assert.equal(body.next_checkpoint, 3);
+      assert.equal(body.remaining_count, 0);
+    });
+
+    it("appends events with the next ID", async () => {
+      let event = brain.addEvent("account_detection", { detection_id: 4 });
+      assert.equal(event.id, 4);
+      let body = await (await api("/events/account_detection?from=3")).json();
+      assert.deepEqual(body.events, [event]);
+      assert.throws(() => brain.addEvent("host_scoring", {}));
+    });
+  });
+
+  describe("injected errors", () => {
+    it("fails matching requests the given number of times", async () => {
+      brain.injectError({
+        status: 429,
+        path: "/api/v3.3/detections",
+        times: 2,
+        headers: { "Retry-After": "3" },
+        body: { detail: "Slow down" },
+      });
+      let response = await api("/detections");
+      assert.equal(response.status, 429);
+      assert.equal(response.headers.get("retry-after"), "3");
+      assert.deepEqual(await response.json(), { detail: "Slow down" });
+      assert.equal((await api("/detections/1")).status, 429);
+      assert.equal((await api("/detections")).status, 200);
+    });
+
+    it("matches on method and path pattern", async () => {
+      brain.injectError({ status: 500, method: "PATCH", path: /detections$/ });
+      assert.equal((await api("/detections")).status, 200);
+      let response = await api("/detections", {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ detectionIdList: [1], mark_as_fixed: "True" }),
+      });
+      assert.equal(response.status, 500);
+      assert.equal(brain.get("detections", 1).state, "active");
+    });
+
+    it("are cleared by reset()", async () => {
+      brain.injectError({ status: 503, times: Infinity });
+      brain.reset();
+      brain.seed({ detections: [{ id: 1 }] });
+      token = (await (await requestToken()).json()).access_token;
+      assert.equal((await api("/detections/1")).status, 200);
+    });
+  });
+
+  it("logs every request", async () => {
+    await api("/detections?state=active");
+    let request = brain.requests.at(-1);
+    assert.equal(request.method, "GET");
+    assert.equal(request.path, "/api/v3.3/detections");
+    assert.deepEqual(request.query, { state: "active" });
+  });
+});
@@ -0,0 +1,164 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const SaasClient = require("..");
+
+describe("pagination", () => {
+  let brain;
+  let client;
+
+  before(async () => {
+    brain = new SaasClient.MockBrain({ pageSize: 2 });
+    await brain.start();
+  });
+
+  after(async () => {
+    await brain.stop();
+  });
+
+  beforeEach(() => {
+    //Resetting revokes tokens, so each test gets a new client
+    brain.reset();
+    client = new SaasClient(brain.url, "client", "secret", 3.3, {
+      rateLimit: { requestsPerSecond: 1000, burst: 100 },
+    });
+    brain.seed({
+      detections: [1, 2, 3, 4, 5].map((id) => ({
+        id: id,
+        state: id % 2 ? "active" : "fixed",
+      })),
+    });
+  });
+
+  //Paths of the list requests the brain has received
+  function listRequests() {
+    return brain.requests.filter(
+      (request) => request.path === "/api/v3.3/detections",
+    );
+  }
+
+  it("follows next links until the last page", async () => {
+    let detections = await client.getAllDetections();
+    assert.deepEqual(
+      detections.map((detection) => detection.id),
+      [1, 2, 3, 4, 5],
+    );
+    assert.equal(listRequests().length, 3);
+  });
+
+  it("keeps filters on every page", async () => {
+    let detections = await client.getAllDetections({ state: "active" });
+    assert.deepEqual(
+      detections.map((detection) => detection.id),
+      [1, 3, 5],
+    );
+    for (let request of listRequests()) {
+      assert.equal(request.query.state, "active");
+    }
+  });
+
+  it("iterates over every detection", async () => {
+    let ids = [];
+    for await (let detection of client.iterateDetections()) {
+      ids.push(detection.id);
+    }
+    assert.deepEqual(ids, [1, 2, 3, 4, 5]);
+  });
+
+  it("iterates one page at a time with byPage", async () => {
+    let pages = [];
+    for await (let page of client.iterateDetections({}, { byPage: true })) {
+      pages.push(page.map((detection) => detection.id));
+    }
+    assert.deepEqual(pages, [[1, 2], [3, 4], [5]]);
+  });
+
+  it("stops requesting pages when iteration ends early", async () => {
+    for await (let detection of client.iterateDetections()) {
+      assert.equal(detection.id, 1);
+      break;
+    }
+    assert.equal(listRequests().length, 1);
+  });
+
+  it("stops after maxPages", async () => {
+    let ids = [];
+    for await (let detection of client.iterateDetections({}, { maxPages: 2 })) {
+      ids.push(detection.id);
+    }
+    assert.deepEqual(ids, [1, 2, 3, 4]);
+  });
+
+  it("returns an empty list when nothing matches", async () => {
+    assert.deepEqual(await client.getAllDetections({ state: "inactive" }), []);
+  });
+});
+
+describe("pagination links", () => {
+  let server;
+  let url;
+  let pages;
+  let requested;
+
+  before(async () => {
+    //Serves whatever page bodies the test sets, and hands out tokens
+    server = http.createServer((req, res) => {
+      res.setHeader("Content-Type", "application/json");
+      if (req.url.endsWith("/oauth2/token")) {
+        res.end(JSON.stringify({ access_token: "token", expires_in: 3600 }));
+        return;
+      }
+      requested.push(req.url);
+      res.end(JSON.stringify(pages.shift()));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requested = [];
+  });
+
+  function createClient(siteURL = url) {
+    return new SaasClient(siteURL, "client", "secret", 3.3, {
+      rateLimit: { requestsPerSecond: 1000, burst: 100 },
+    });
+  }
+
+  it("follows links against the configured URL and API version", async () => {
+    pages = [
+      {
+        next: `${url}/api/v3/detections?page=2`,
+        results: [{ id: 1 }],
+      },
+      { next: null, results: [{ id: 2 }] },
+    ];
+    let detections = await createClient(`${url}/prefix`).getAllDetections();
+    assert.deepEqual(
+      detections.map((detection) => detection.id),
+      [1, 2],
+    );
+    assert.deepEqual(requested, [
+      "/prefix/api/v3.3/detections?page=1",
+      "/prefix/api/v3.3/detections?page=2",
+    ]);
+  });
+
+  it("refuses links to a different origin", async () => {
+    pages = [
+      {
+        next: "http://attacker.example.com/api/v3.3/detections?page=2",
+        results: [{ id: 1 }],
+      },
+    ];
+    await assert.rejects(
+      createClient(`${url}/`).getAllDetections(),
+      /different origin/,
+    );
+    assert.equal(requested.length, 1);
+  });
+});
@@ -0,0 +1,232 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const SaasClient = require("..");
+
+const { SaasClientPool } = SaasClient;
+
+describe("SaasClientPool", () => {
+  let brains;
+  let pool;
+
+  before(async () => {
+    brains = {
+      east: new SaasClient.MockBrain(),
+      west: new SaasClient.MockBrain(),
+    };
+    await Promise.all(Object.values(brains).map((brain) => brain.start()));
+  });
+
+  after(async () => {
+    await Promise.all(Object.values(brains).map((brain) => brain.stop()));
+  });
+
+  beforeEach(() => {
+    brains.east.reset();
+    brains.east.seed({
+      detections: [
+        { id: 1, state: "active" },
+        { id: 2, state: "fixed" },
+      ],
+    });
+    brains.west.reset();
+    brains.west.seed({ detections: [{ id: 1, state: "active" }] });
+    pool = new SaasClientPool(
+      {
+        east: {
+          siteURL: brains.east.url,
+          clientID: "client",
+          secret: "secret",
+          version: 3.3,
+        },
+        west: {
+          siteURL: brains.west.url,
+          clientID: "client",
+          secret: "secret",
+          version: 3.3,
+        },
+      },
+      {
+        clientOptions: {
+          rateLimit: { requestsPerSecond: 1000, burst: 100 },
+          retry: false,
+        },
+      },
+    );
+  });
+
+  it("merges arrays from every tenant and tags each item", async () => {
+    let { results, errors, byTenant } = await pool.call("getAllDetections", [
+      { state: "active" },
+    ]);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(
+      results.map((item) => `${item._tenant}:${item.id}`).sort(),
+      ["east:1", "west:1"],
+    );
+    assert.deepEqual(Object.keys(byTenant).sort(), ["east", "west"]);
+    assert.equal(byTenant.east[0]._tenant, undefined);
+  });
+
+  it("tags single objects and wraps other values", async () => {
+    let { results } = await pool.call("getDetection", [1], {
+      tenants: ["east"],
+    });
+    assert.equal(results.length, 1);
+    assert.equal(results[0].id, 1);
+    assert.equal(results[0]._tenant, "east");
+    ({ results } = await pool.call("getLatestDetectionCheckpoint"));
+    assert.deepEqual(
+      results.map((item) => item.value),
+      [0, 0],
+    );
+  });
+
+  it("reports a failing tenant without stopping the others", async () => {
+    brains.west.injectError({
+      status: 500,
+      times: Infinity,
+      path: /detections/,
+    });
+    let { results, errors, byTenant } = await pool.call("getDetection", [1]);
+    assert.deepEqual(
+      results.map((item) => item._tenant),
+      ["east"],
+    );
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].tenant, "west");
+    assert.ok(errors[0].error instanceof SaasClient.VectraServerError);
+    assert.equal(byTenant.west, undefined);
+  });
+
+  it("keeps tokens and rate limits apart for each tenant", async () => {
+    let tenant = pool.get("east");
+    assert.notEqual(tenant, pool.get("west"));
+    await pool.call("getDetection", [1]);
+    brains.east.revokeTokens();
+    let westRequests = brains.west.requests.length;
+    let { errors } = await pool.call("getDetection", [1]);
+    assert.deepEqual(errors, []);
+    //Only the east client needed a new token
+    assert.equal(brains.west.requests.length, westRequests + 1);
+  });
+
+  it("lets a tenant's own options override the pool's", async () => {
+    let limiter = new SaasClient.RateLimiter({
+      requestsPerSecond: 1000,
+      burst: 10,
+    });
+    pool.add("north", {
+      siteURL: brains.east.url,
+      clientID: "client",
+      secret: "secret",
+      version: 3.3,
+      options: { rateLimiter: limiter },
+    });
+    brains.east.injectError({
+      status: 429,
+      path: "/api/v3.3/detections/1",
+      headers: { "Retry-After": "0" },
+    });
+    let { errors } = await pool.call("getDetection", [1], {
+      tenants: ["north"],
+    });
+    assert.equal(errors.length, 1);
+    assert.ok(limiter.requestsPerSecond < 1000);
+  });
+
+  it("cancels every tenant's call when its signal is aborted", async () => {
+    for (let [method, args] of [
+      ["getDetection", [1]],
+      ["getDetectionChanges", []],
+      ["getAccountAssignment", [5, false]],
+    ]) {
+      let { errors } = await pool.call(method, args, {
+        signal: AbortSignal.abort(),
+      });
+      assert.deepEqual(
+        errors.map(({ tenant }) => tenant),
+        ["east", "west"],
+      );
+      for (let { error } of errors) {
+        assert.ok(error instanceof SaasClient.VectraAbortError, method);
+      }
+    }
+  });
+
+  it("passes the arguments on unchanged, followed by the call options", async () => {
+    let client = pool.get("east");
+    let received = [];
+    for (let method of [
+      "getAccountAssignment",
+      "getAccountChanges",
+      "cloneTriageRule",
+      "getTriageRules",
+    ]) {
+      client[method] = async (...args) => {
+        received.push([method, ...args]);
+      };
+    }
+    let controller = new AbortController();
+    let options = { tenants: ["east"], signal: controller.signal };
+    await pool.call("getAccountAssignment", [5, false], options);
+    await pool.call("getAccountChanges", [], options);
+    await pool.call("cloneTriageRule", [7, { description: "Copy" }], options);
+    await pool.call(
+      "getTriageRules",
+      [{ detection_category: "botnet" }, { timeout: 1000 }],
+      options,
+    );
+    let signals = received.map((args) => args.pop());
+    assert.deepEqual(received, [
+      ["getAccountAssignment", 5, false],
+      ["getAccountChanges", undefined],
+      ["cloneTriageRule", 7, { description: "Copy" }],
+      ["getTriageRules", { detection_category: "botnet" }],
+    ]);
+    for (let callOptions of signals) {
+      assert.ok(callOptions.signal instanceof AbortSignal);
+      assert.equal(callOptions.signal.aborted, false);
+    }
+    assert.equal(signals[3].timeout, 1000);
+    controller.abort();
+    assert.ok(signals.every((callOptions) => callOptions.signal.aborted));
+  });
+
+  it("rejects a signal for methods without call options", async () => {
+    await assert.rejects(
+      pool.call("clearCache", [], { signal: new AbortController().signal }),
+      SaasClient.VectraValidationError,
+    );
+  });
+
+  it("adds, finds and removes tenants", () => {
+    assert.deepEqual(pool.tenants, ["east", "west"]);
+    assert.throws(
+      () =>
+        pool.add("east", {
+          siteURL: brains.east.url,
+          clientID: "c",
+          secret: "s",
+        }),
+      SaasClient.VectraConfigError,
+    );
+    assert.throws(
+      () => pool.add("south", { siteURL: brains.east.url }),
+      /missing clientID, secret/,
+    );
+    assert.equal(pool.remove("west"), true);
+    assert.equal(pool.remove("west"), false);
+    assert.throws(() => pool.get("west"), SaasClient.VectraValidationError);
+  });
+
+  it("rejects unknown methods and tenants", async () => {
+    await assert.rejects(
+      pool.call("getWidgets"),
+      SaasClient.VectraValidationError,
+    );
+    await assert.rejects(
+      pool.call("getDetection", [1], { tenants: ["south"] }),
+      SaasClient.VectraValidationError,
+    );
+  });
+});
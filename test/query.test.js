@@ -0,0 +1,143 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const SaasClient = require("..");
+
+const { buildQuery } = SaasClient;
+
+describe("buildQuery", () => {
+  it("formats Dates in UTC without milliseconds", () => {
+    assert.equal(
+      buildQuery("detections", {
+        last_timestamp_gte: new Date("2024-03-01T12:30:45.123Z"),
+      }),
+      "last_timestamp_gte=2024-03-01T12%3A30%3A45",
+    );
+  });
+
+  it("expands ranges into _gte and _lte filters", () => {
+    let query = new URLSearchParams(
+      buildQuery("accounts", {
+        last_detection_timestamp: {
+          gte: new Date("2024-03-01T00:00:00Z"),
+          lte: "2024-03-02",
+        },
+      }),
+    );
+    assert.equal(
+      query.get("last_detection_timestamp_gte"),
+      "2024-03-01T00:00:00",
+    );
+    assert.equal(query.get("last_detection_timestamp_lte"), "2024-03-02");
+  });
+
+  it("joins arrays and encodes reserved characters", () => {
+    let query = buildQuery("detections", {
+      tags: ["R&D", "a=b"],
+      id: [1, 2],
+    });
+    assert.equal(query, "tags=R%26D%2Ca%3Db&id=1%2C2");
+    assert.deepEqual(Object.fromEntries(new URLSearchParams(query)), {
+      tags: "R&D,a=b",
+      id: "1,2",
+    });
+  });
+
+  it("leaves out undefined and null values", () => {
+    assert.equal(
+      buildQuery("hosts", { state: undefined, name: null, is_key_asset: true }),
+      "is_key_asset=true",
+    );
+  });
+
+  it("names every unknown or mistyped filter", () => {
+    assert.throws(
+      () =>
+        buildQuery("detections", {
+          colour: "red",
+          t_score_gte: "high",
+          last_timestamp: { after: "2024-03-01" },
+        }),
+      (err) => {
+        assert.ok(err instanceof SaasClient.VectraValidationError);
+        assert.deepEqual(Object.keys(err.body).sort(), [
+          "colour",
+          "last_timestamp",
+          "t_score_gte",
+        ]);
+        return true;
+      },
+    );
+  });
+
+  it("passes unknown filters through as strings when not strict", () => {
+    assert.equal(
+      buildQuery("rules", { colour: "red & blue" }, { strict: false }),
+      "colour=red+%26+blue",
+    );
+  });
+
+  it("rejects page and page_size, even when not strict", () => {
+    for (let strict of [true, false]) {
+      assert.throws(
+        () => buildQuery("detections", { page: 2, page_size: 10 }, { strict }),
+        (err) => {
+          assert.ok(err instanceof SaasClient.VectraValidationError);
+          assert.deepEqual(Object.keys(err.body), ["page", "page_size"]);
+          return true;
+        },
+      );
+    }
+  });
+});
+
+describe("search options in a client", () => {
+  let brain;
+  let client;
+
+  before(async () => {
+    brain = new SaasClient.MockBrain({ pageSize: 2 });
+    await brain.start();
+  });
+
+  after(async () => {
+    await brain.stop();
+  });
+
+  beforeEach(() => {
+    brain.reset();
+    brain.seed({
+      detections: [1, 2, 3].map((id) => ({ id: id, state: "active" })),
+    });
+    client = new SaasClient(brain.url, "client", "secret", 3.3, {
+      rateLimit: { requestsPerSecond: 1000, burst: 100 },
+      retry: { baseDelay: 1 },
+    });
+  });
+
+  it("rejects a page filter before sending anything", async () => {
+    await assert.rejects(
+      client.getAllDetections({ page: 2 }),
+      SaasClient.VectraValidationError,
+    );
+    assert.equal(brain.requests.length, 0);
+  });
+
+  it("sends page_size once, from the pageSize option", async () => {
+    let pages = [];
+    for await (let page of client.iterateDetections(
+      { state: "active" },
+      { pageSize: 1, byPage: true },
+    )) {
+      pages.push(page);
+    }
+    assert.equal(pages.length, 3);
+    let first = brain.requests.find(
+      (request) => request.path === "/api/v3.3/detections",
+    );
+    assert.deepEqual(first.query, {
+      page: "1",
+      state: "active",
+      page_size: "1",
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const SaasClient = require("..");
+
+const { RateLimiter } = SaasClient;
+
+//Milliseconds an acquire() takes to resolve
+async function timeAcquire(limiter, signal) {
+  let start = Date.now();
+  await limiter.acquire(signal);
+  return Date.now() - start;
+}
+
+describe("RateLimiter", () => {
+  it("rejects invalid settings with VectraConfigError", () => {
+    for (let options of [
+      { requestsPerSecond: 0 },
+      { burst: 0 },
+      { maxConcurrency: 0 },
+    ]) {
+      assert.throws(
+        () => new RateLimiter(options),
+        SaasClient.VectraConfigError,
+      );
+    }
+  });
+
+  it("lets a burst through straight away and then spaces requests out", async () => {
+    let limiter = new RateLimiter({ requestsPerSecond: 20, burst: 3 });
+    for (let i = 0; i < 3; i++) {
+      assert.ok((await timeAcquire(limiter)) < 20);
+      limiter.release();
+    }
+    assert.ok((await timeAcquire(limiter)) >= 30);
+    limiter.release();
+  });
+
+  it("holds requests back while maxConcurrency are in flight", async () => {
+    let limiter = new RateLimiter({
+      requestsPerSecond: 1000,
+      burst: 10,
+      maxConcurrency: 2,
+    });
+    await limiter.acquire();
+    await limiter.acquire();
+    let granted = false;
+    let third = limiter.acquire().then(() => {
+      granted = true;
+    });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.equal(granted, false);
+    limiter.release();
+    await third;
+    assert.equal(granted, true);
+    limiter.release();
+    limiter.release();
+  });
+
+  it("halves its rate and pauses for Retry-After on a rate limit", async () => {
+    let limiter = new RateLimiter({ requestsPerSecond: 1000, burst: 10 });
+    limiter.onRateLimit(50);
+    assert.equal(limiter.requestsPerSecond, 500);
+    assert.ok((await timeAcquire(limiter)) >= 45);
+    limiter.release();
+  });
+
+  it("does not back off below minRequestsPerSecond and recovers on success", () => {
+    let limiter = new RateLimiter({
+      requestsPerSecond: 4,
+      minRequestsPerSecond: 1,
+    });
+    for (let i = 0; i < 5; i++) {
+      limiter.onRateLimit();
+    }
+    assert.equal(limiter.requestsPerSecond, 1);
+    for (let i = 0; i < 100; i++) {
+      limiter.onSuccess();
+    }
+    assert.equal(limiter.requestsPerSecond, 4);
+  });
+
+  it("gives up a queued place when the signal is aborted", async () => {
+    let limiter = new RateLimiter({ requestsPerSecond: 1, burst: 1 });
+    await limiter.acquire();
+    let controller = new AbortController();
+    let waiting = limiter.acquire(controller.signal);
+    controller.abort();
+    await assert.rejects(waiting, SaasClient.VectraAbortError);
+    limiter.release();
+  });
+
+  describe("in a client", () => {
+    let brain;
+
+    before(async () => {
+      brain = new SaasClient.MockBrain();
+      await brain.start();
+      brain.seed({ detections: [{ id: 1 }] });
+    });
+
+    after(async () => {
+      await brain.stop();
+    });
+
+    it("backs off when the brain answers 429", async () => {
+      let limiter = new RateLimiter({ requestsPerSecond: 1000, burst: 10 });
+      let client = new SaasClient(brain.url, "client", "secret", 3.3, {
+        rateLimiter: limiter,
+        retry: { baseDelay: 1 },
+      });
+      brain.injectError({
+        status: 429,
+        path: "/api/v3.3/detections/1",
+        headers: { "Retry-After": "0" },
+      });
+      await client.getDetection(1);
+      assert.ok(limiter.requestsPerSecond < 1000);
+    });
+
+    it("rejects an invalid rateLimit option with VectraConfigError", () => {
+      assert.throws(
+        () =>
+          new SaasClient(brain.url, "client", "secret", 3.3, {
+            rateLimit: { requestsPerSecond: -1 },
+          }),
+        SaasClient.VectraConfigError,
+      );
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const SaasClient = require("..");
+
+describe("retries", () => {
+  let brain;
+
+  before(async () => {
+    brain = new SaasClient.MockBrain();
+    await brain.start();
+  });
+
+  after(async () => {
+    await brain.stop();
+  });
+
+  beforeEach(() => {
+    brain.reset();
+    brain.seed({ detections: [{ id: 1, state: "active" }] });
+  });
+
+  function createClient(options) {
+    return new SaasClient(brain.url, "client", "secret", 3.3, {
+      rateLimit: { requestsPerSecond: 1000, burst: 100 },
+      retry: { baseDelay: 1, maxDelay: 50 },
+      ...options,
+    });
+  }
+
+  //Requests the brain received for a path
+  function requestsTo(path) {
+    return brain.requests.filter((request) => request.path === path);
+  }
+
+  it("retries a server error and then succeeds", async () => {
+    brain.injectError({ status: 503, path: "/api/v3.3/detections/1" });
+    let detection = await createClient().getDetection(1);
+    assert.equal(detection.id, 1);
+    assert.equal(requestsTo("/api/v3.3/detections/1").length, 2);
+  });
+
+  it("waits as long as Retry-After asks on a rate limit", async () => {
+    brain.injectError({
+      status: 429,
+      path: "/api/v3.3/detections/1",
+      headers: { "Retry-After": "0" },
+    });
+    let detection = await createClient().getDetection(1);
+    assert.equal(detection.id, 1);
+    assert.equal(requestsTo("/api/v3.3/detections/1").length, 2);
+  });
+
+  it("gives up after maxAttempts", async () => {
+    brain.injectError({
+      status: 503,
+      path: "/api/v3.3/detections/1",
+      times: Infinity,
+    });
+    await assert.rejects(
+      createClient({ retry: { baseDelay: 1, maxAttempts: 4 } }).getDetection(1),
+      SaasClient.VectraServerError,
+    );
+    assert.equal(requestsTo("/api/v3.3/detections/1").length, 4);
+  });
+
+  it("gives up when Retry-After is longer than maxDelay", async () => {
+    brain.injectError({
+      status: 429,
+      path: "/api/v3.3/detections/1",
+      headers: { "Retry-After": "60" },
+    });
+    await assert.rejects(
+      createClient().getDetection(1),
+      SaasClient.VectraRateLimitError,
+    );
+    assert.equal(requestsTo("/api/v3.3/detections/1").length, 1);
+  });
+
+  it("does not retry writes unless retryWrites is set", async () => {
+    brain.injectError({ status: 503, path: "/api/v3.3/detections" });
+    await assert.rejects(
+      createClient().markAsFixed([1]),
+      SaasClient.VectraServerError,
+    );
+    brain.injectError({ status: 503, path: "/api/v3.3/detections" });
+    await createClient({
+      retry: { baseDelay: 1, retryWrites: true },
+    }).markAsFixed([1]);
+    assert.equal(requestsTo("/api/v3.3/detections").length, 3);
+  });
+
+  it("does not retry client errors", async () => {
+    await assert.rejects(
+      createClient().getDetection(99),
+      SaasClient.VectraNotFoundError,
+    );
+    assert.equal(requestsTo("/api/v3.3/detections/99").length, 1);
+  });
+
+  it("rejects an invalid policy with VectraConfigError", () => {
+    assert.throws(
+      () => createClient({ retry: { maxAttempts: 0 } }),
+      SaasClient.VectraConfigError,
+    );
+  });
+});
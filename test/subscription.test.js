@@ -0,0 +1,208 @@
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("node:timers/promises");
+const SaasClient = require("..");
+
+const FEED = "/api/v3.3/events/account_detection";
+
+describe("event subscriptions", () => {
+  let brain;
+  let client;
+  let subscriptions = [];
+
+  before(async () => {
+    brain = new SaasClient.MockBrain();
+    await brain.start();
+  });
+
+  after(async () => {
+    await brain.stop();
+  });
+
+  beforeEach(() => {
+    brain.reset();
+    brain.seed({
+      events: {
+        account_detection: [1, 2, 3].map((id) => ({ detection_id: id })),
+      },
+    });
+    client = new SaasClient(brain.url, "client", "secret", 3.3, {
+      rateLimit: { requestsPerSecond: 1000, burst: 100 },
+      retry: false,
+    });
+  });
+
+  //A failed test must not leave a subscription polling
+  afterEach(async () => {
+    await Promise.all(subscriptions.map((subscription) => subscription.stop()));
+    subscriptions = [];
+  });
+
+  function subscribe(options) {
+    let subscription = client.subscribe("account_detection", options);
+    subscriptions.push(subscription);
+    return subscription;
+  }
+
+  //Wait for the next checkpoint. Unlike events.once, "error" events do not reject
+  function nextCheckpoint(subscription) {
+    return new Promise((resolve) => {
+      subscription.once("checkpoint", (...args) => resolve(args));
+    });
+  }
+
+  //Collect the events a subscription emits
+  function collect(subscription) {
+    let events = [];
+    subscription.on("event", (event) => events.push(event.detection_id));
+    return events;
+  }
+
+  it("emits every event from the checkpoint and moves the checkpoint on", async () => {
+    let subscription = subscribe({
+      fromCheckpoint: 1,
+      interval: 10,
+    });
+    let events = collect(subscription);
+    subscription.start();
+    let [checkpoint, previous] = await nextCheckpoint(subscription);
+    await subscription.stop();
+    assert.deepEqual(events, [2, 3]);
+    assert.equal(previous, 1);
+    assert.equal(checkpoint, 3);
+    assert.equal(subscription.checkpoint, 3);
+  });
+
+  it("starts from the latest checkpoint by default", async () => {
+    let subscription = subscribe({ interval: 10 });
+    let events = collect(subscription);
+    subscription.start();
+    await sleep(30);
+    brain.addEvent("account_detection", { detection_id: 4 });
+    await nextCheckpoint(subscription);
+    await subscription.stop();
+    assert.deepEqual(events, [4]);
+  });
+
+  it("reads a failed page again at the next interval", async () => {
+    brain.injectError({ status: 500, path: FEED });
+    let subscription = subscribe({
+      fromCheckpoint: 0,
+      interval: 10,
+    });
+    let errors = [];
+    subscription.on("error", (err) => errors.push(err));
+    let events = collect(subscription);
+    subscription.start();
+    await nextCheckpoint(subscription);
+    await subscription.stop();
+    assert.equal(errors.length, 1);
+    assert.ok(errors[0] instanceof SaasClient.VectraServerError);
+    assert.deepEqual(events, [1, 2, 3]);
+  });
+
+  it("does not commit a page the handler rejects", async () => {
+    let calls = 0;
+    let subscription = subscribe({
+      fromCheckpoint: 0,
+      interval: 10,
+      handler: async () => {
+        if (++calls === 1) {
+          throw new Error("Downstream unavailable");
+        }
+      },
+    });
+    subscription.on("error", () => {});
+    subscription.start();
+    await nextCheckpoint(subscription);
+    await subscription.stop();
+    assert.equal(calls, 2);
+    assert.equal(subscription.checkpoint, 3);
+  });
+
+  it("stops polling after stop()", async () => {
+    let subscription = subscribe({
+      fromCheckpoint: 0,
+      interval: 10,
+    });
+    subscription.start();
+    await nextCheckpoint(subscription);
+    await subscription.stop();
+    let polls = brain.requests.length;
+    await sleep(50);
+    assert.equal(subscription.running, false);
+    assert.equal(brain.requests.length, polls);
+  });
+
+  it("never runs two poll loops after a quick stop and start", async () => {
+    let subscription = subscribe({
+      fromCheckpoint: 0,
+      interval: 50,
+    });
+    subscription.start();
+    subscription.stop();
+    subscription.start();
+    await sleep(120);
+    await subscription.stop();
+    let polls = brain.requests.filter((request) => request.path === FEED);
+    assert.ok(polls.length <= 3, `${polls.length} polls`);
+  });
+
+  it("resumes from a checkpoint store", async () => {
+    let store = new SaasClient.MemoryCheckpointStore();
+    let first = subscribe({
+      fromCheckpoint: 0,
+      interval: 10,
+      store: store,
+    });
+    first.start();
+    await nextCheckpoint(first);
+    await first.stop();
+    assert.equal(await store.load("account_detection"), 3);
+
+    brain.addEvent("account_detection", { detection_id: 4 });
+    let second = subscribe({
+      fromCheckpoint: 0,
+      interval: 10,
+      store: store,
+    });
+    let events = collect(second);
+    second.start();
+    await nextCheckpoint(second);
+    await second.stop();
+    assert.deepEqual(events, [4]);
+  });
+
+  it("stops when its signal is aborted", async () => {
+    let controller = new AbortController();
+    let subscription = subscribe({
+      fromCheckpoint: 0,
+      interval: 10,
+      signal: controller.signal,
+    });
+    let errors = [];
+    subscription.on("error", (err) => errors.push(err));
+    subscription.start();
+    await nextCheckpoint(subscription);
+    controller.abort();
+    await sleep(30);
+    assert.equal(subscription.running, false);
+    assert.deepEqual(errors, []);
+    subscription.start();
+    assert.equal(subscription.running, false);
+  });
+
+  it("rejects unknown feeds", () => {
+    assert.throws(
+      () => client.subscribe("host_scoring"),
+      SaasClient.VectraValidationError,
+    );
+  });
+});
@@ -0,0 +1,228 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const api = require("@opentelemetry/api");
+const SaasClient = require("..");
+const telemetry = require("../lib/telemetry");
+
+//Records what the client reports instead of exporting it
+class RecordingSpan {
+  constructor(name, attributes) {
+    this.name = name;
+    this.attributes = { ...attributes };
+    this.exceptions = [];
+    this.status = { code: api.SpanStatusCode.UNSET };
+    this.ended = false;
+  }
+
+  setAttribute(key, value) {
+    this.attributes[key] = value;
+    return this;
+  }
+
+  recordException(err) {
+    this.exceptions.push(err);
+  }
+
+  setStatus(status) {
+    this.status = status;
+    return this;
+  }
+
+  end() {
+    this.ended = true;
+  }
+}
+
+describe("OpenTelemetry instrumentation", () => {
+  let brain;
+  let client;
+  let spans = [];
+  let measurements = [];
+
+  //Measurements recorded by the named instrument
+  function measured(name) {
+    return measurements.filter((measurement) => measurement.name === name);
+  }
+
+  //The recorded spans with the given name
+  function named(name) {
+    return spans.filter((span) => span.name === name);
+  }
+
+  before(async () => {
+    let tracer = {
+      startActiveSpan(name, options, fn) {
+        let span = new RecordingSpan(name, options.attributes);
+        spans.push(span);
+        return fn(span);
+      },
+    };
+    let instrument = (name) => ({
+      add: (value, attributes) =>
+        measurements.push({ name, value, attributes }),
+      record: (value, attributes) =>
+        measurements.push({ name, value, attributes }),
+    });
+    let meter = { createCounter: instrument, createHistogram: instrument };
+    api.trace.setGlobalTracerProvider({ getTracer: () => tracer });
+    api.metrics.setGlobalMeterProvider({ getMeter: () => meter });
+    brain = new SaasClient.MockBrain({ pageSize: 1 });
+    await brain.start();
+  });
+
+  after(async () => {
+    await brain.stop();
+    api.trace.disable();
+    api.metrics.disable();
+  });
+
+  beforeEach(() => {
+    brain.reset();
+    brain.seed({
+      detections: [
+        { id: 1, state: "active" },
+        { id: 2, state: "active" },
+      ],
+    });
+    client = new SaasClient(brain.url, "client", "secret", 3.3, {
+      rateLimit: { requestsPerSecond: 1000, burst: 100 },
+      retry: { baseDelay: 1 },
+    });
+    spans.length = 0;
+    measurements.length = 0;
+  });
+
+  it("is enabled when the API is installed", () => {
+    assert.equal(telemetry.enabled(), true);
+  });
+
+  it("keeps the name and length of instrumented methods", () => {
+    let { getDetection, getAccountAssignment } = SaasClient.prototype;
+    assert.equal(getDetection.name, "getDetection");
+    assert.equal(getDetection.length, 2);
+    assert.equal(getAccountAssignment.name, "getAccountAssignment");
+    assert.ok(getAccountAssignment.length > 0);
+  });
+
+  it("traces public methods, token refreshes and HTTP requests", async () => {
+    await client.getDetection(1);
+    let [call] = named("SaasClient.getDetection");
+    assert.equal(call.attributes["code.function"], "getDetection");
+    assert.equal(call.ended, true);
+    assert.equal(named("vectra.token.refresh").length, 1);
+    assert.equal(named("POST /oauth2/token").length, 1);
+    let [request] = named("GET /detections/:id");
+    assert.equal(request.attributes["http.request.method"], "GET");
+    assert.equal(
+      request.attributes["url.full"],
+      `${brain.url}/api/v3.3/detections/1`,
+    );
+    assert.equal(request.attributes["http.response.status_code"], 200);
+    assert.equal(request.status.code, api.SpanStatusCode.UNSET);
+  });
+
+  it("marks failed calls as errors", async () => {
+    await assert.rejects(
+      client.getDetection(99),
+      SaasClient.VectraNotFoundError,
+    );
+    let [call] = named("SaasClient.getDetection");
+    let [request] = named("GET /detections/:id");
+    for (let span of [call, request]) {
+      assert.equal(span.status.code, api.SpanStatusCode.ERROR);
+      assert.equal(span.attributes["http.response.status_code"], 404);
+      assert.equal(span.exceptions.length, 1);
+      assert.equal(span.ended, true);
+    }
+    assert.ok(call.exceptions[0] instanceof SaasClient.VectraNotFoundError);
+  });
+
+  it("traces each page of a walk", async () => {
+    await client.getAllDetections();
+    let pages = named("vectra.page");
+    assert.deepEqual(
+      pages.map((page) => page.attributes["vectra.page.number"]),
+      [1, 2],
+    );
+    assert.equal(pages[0].attributes["vectra.endpoint"], "/detections");
+  });
+
+  it("traces and counts retries", async () => {
+    brain.injectError({ status: 503, path: "/api/v3.3/detections/1" });
+    await client.getDetection(1);
+    let [retry] = named("vectra.retry");
+    assert.equal(retry.attributes["vectra.retry.attempt"], 1);
+    assert.equal(retry.attributes["vectra.retry.reason"], "503");
+    assert.deepEqual(
+      measured("vectra.client.retries").map(({ value, attributes }) => ({
+        value,
+        attributes,
+      })),
+      [
+        {
+          value: 1,
+          attributes: {
+            "http.request.method": "GET",
+            "vectra.endpoint": "/detections/:id",
+          },
+        },
+      ],
+    );
+  });
+
+  it("records request, rate limit and token metrics", async () => {
+    await client.getDetection(1);
+    await assert.rejects(client.getDetection(99));
+    assert.deepEqual(
+      measured("vectra.client.requests")
+        .filter(
+          ({ attributes }) => attributes["vectra.endpoint"] !== "/oauth2/token",
+        )
+        .map(({ value, attributes }) => ({ value, attributes })),
+      [
+        {
+          value: 1,
+          attributes: {
+            "http.request.method": "GET",
+            "vectra.endpoint": "/detections/:id",
+            "http.response.status_code": 200,
+          },
+        },
+        {
+          value: 1,
+          attributes: {
+            "http.request.method": "GET",
+            "vectra.endpoint": "/detections/:id",
+            "http.response.status_code": 404,
+          },
+        },
+      ],
+    );
+    let durations = measured("vectra.client.request.duration");
+    assert.ok(durations.length >= 2);
+    assert.ok(durations.every(({ value }) => value >= 0));
+    assert.ok(measured("vectra.client.rate_limit.wait").length >= 2);
+    assert.deepEqual(
+      measured("vectra.client.token.refreshes").map(
+        ({ attributes }) => attributes,
+      ),
+      [{ "vectra.token.source": "oauth" }],
+    );
+  });
+
+  it("still passes call options to instrumented methods through a pool", async () => {
+    let pool = new SaasClient.SaasClientPool({
+      main: {
+        siteURL: brain.url,
+        clientID: "client",
+        secret: "secret",
+        version: 3.3,
+      },
+    });
+    let { errors } = await pool.call("getDetection", [1], {
+      signal: AbortSignal.abort(),
+    });
+    assert.equal(errors.length, 1);
+    assert.ok(errors[0].error instanceof SaasClient.VectraAbortError);
+  });
+});
@@ -0,0 +1,197 @@
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const SaasClient = require("..");
+
+const { FileTokenCache, MemoryCheckpointStore } = SaasClient;
+
+describe("tokens", () => {
+  let brain;
+
+  before(async () => {
+    brain = new SaasClient.MockBrain();
+    await brain.start();
+  });
+
+  after(async () => {
+    await brain.stop();
+  });
+
+  beforeEach(() => {
+    brain.reset();
+    brain.seed({ detections: [{ id: 1 }, { id: 2 }] });
+  });
+
+  function createClient(options) {
+    return new SaasClient(brain.url, "client", "secret", 3.3, {
+      rateLimit: { requestsPerSecond: 1000, burst: 100 },
+      retry: { baseDelay: 1 },
+      ...options,
+    });
+  }
+
+  //Requests the client sent to a path
+  function requestsTo(path) {
+    return brain.requests.filter((request) => request.path === path);
+  }
+
+  it("shares one token request between concurrent calls", async () => {
+    let client = createClient();
+    let issued = brain.tokensIssued;
+    await Promise.all([1, 2, 1, 2].map((id) => client.getDetection(id)));
+    assert.equal(brain.tokensIssued, issued + 1);
+  });
+
+  it("requests a new token once when the brain rejects the current one", async () => {
+    let client = createClient();
+    await client.getDetection(1);
+    let issued = brain.tokensIssued;
+    brain.revokeTokens();
+    let detection = await client.getDetection(1);
+    assert.equal(detection.id, 1);
+    assert.equal(brain.tokensIssued, issued + 1);
+    assert.equal(requestsTo("/api/v3.3/detections/1").length, 3);
+  });
+
+  it("fails with VectraAuthError when the token keeps being rejected", async () => {
+    let client = createClient();
+    await client.getDetection(1);
+    let issued = brain.tokensIssued;
+    brain.injectError({
+      status: 401,
+      path: "/api/v3.3/detections/1",
+      times: Infinity,
+    });
+    await assert.rejects(client.getDetection(1), SaasClient.VectraAuthError);
+    assert.equal(brain.tokensIssued, issued + 1);
+  });
+
+  it("fails with VectraAuthError for a wrong secret", async () => {
+    let client = new SaasClient(brain.url, "client", "wrong", 3.3, {
+      retry: false,
+    });
+    await assert.rejects(client.getDetection(1), SaasClient.VectraAuthError);
+    assert.equal(requestsTo("/api/v3.3/detections/1").length, 0);
+  });
+
+  it("sends the token it checked while another call replaces it", async () => {
+    let release = null;
+    let held = new Promise((resolve) => (release = resolve));
+    let acquired = 0;
+    //Holds the third request back until the second has asked for a new token
+    let limiter = {
+      acquire: async () => {
+        if (++acquired === 3) {
+          await held;
+        }
+      },
+      release: () => {},
+    };
+    let revoked = false;
+    let authorizations = [];
+    let client = createClient({ rateLimiter: limiter }).use({
+      onRequest: (request) => {
+        if (request.kind !== "token") {
+          authorizations.push(request.headers.Authorization);
+        } else if (revoked) {
+          release();
+        }
+      },
+    });
+    await client.getDetection(1);
+    brain.revokeTokens();
+    revoked = true;
+    await Promise.all([client.getDetection(1), client.getDetection(2)]);
+    assert.equal(authorizations.length, 5);
+    assert.ok(!authorizations.includes("Bearer null"));
+    //The held request goes out with the token it was checked with
+    assert.equal(authorizations[2], authorizations[0]);
+  });
+
+  describe("cache", () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "vectra-"));
+    });
+
+    afterEach(async () => {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    });
+
+    it("shares a token between clients through a memory store", async () => {
+      let tokenCache = new MemoryCheckpointStore();
+      let issued = brain.tokensIssued;
+      await createClient({ tokenCache }).getDetection(1);
+      await createClient({ tokenCache }).getDetection(1);
+      assert.equal(brain.tokensIssued, issued + 1);
+    });
+
+    it("shares a token through a file only the user can read", async () => {
+      let file = path.join(dir, "tokens.json");
+      let issued = brain.tokensIssued;
+      await createClient({ tokenCache: new FileTokenCache(file) }).getDetection(
+        1,
+      );
+      await createClient({ tokenCache: new FileTokenCache(file) }).getDetection(
+        1,
+      );
+      assert.equal(brain.tokensIssued, issued + 1);
+      let text = await fs.promises.readFile(file, "utf8");
+      assert.doesNotMatch(text, /secret/);
+      if (process.platform !== "win32") {
+        assert.equal((await fs.promises.stat(file)).mode & 0o777, 0o600);
+      }
+    });
+
+    it("keeps tokens for different clients apart", async () => {
+      let tokenCache = new MemoryCheckpointStore();
+      let other = new SaasClient.MockBrain({ clientID: "other" });
+      await other.start();
+      try {
+        await createClient({ tokenCache }).getDetection(1);
+        let issued = brain.tokensIssued;
+        other.seed({ detections: [{ id: 1 }] });
+        let client = new SaasClient(other.url, "other", "secret", 3.3, {
+          tokenCache,
+        });
+        await client.getDetection(1);
+        assert.equal(other.tokensIssued, 1);
+        assert.equal(brain.tokensIssued, issued);
+      } finally {
+        await other.stop();
+      }
+    });
+
+    it("does not reuse a cached token the brain rejected", async () => {
+      let tokenCache = new MemoryCheckpointStore();
+      await createClient({ tokenCache }).getDetection(1);
+      brain.revokeTokens();
+      let issued = brain.tokensIssued;
+      let detection = await createClient({ tokenCache }).getDetection(1);
+      assert.equal(detection.id, 1);
+      assert.equal(brain.tokensIssued, issued + 1);
+    });
+
+    it("falls back to requesting a token when the cache fails", async () => {
+      let tokenCache = {
+        load: async () => {
+          throw new Error("Cache unavailable");
+        },
+        save: async () => {
+          throw new Error("Cache unavailable");
+        },
+      };
+      assert.equal((await createClient({ tokenCache }).getDetection(1)).id, 1);
+    });
+  });
+});
@@ -0,0 +1,201 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const net = require("node:net");
+const SaasClient = require("..");
+
+const { AxiosTransport, FetchTransport } = SaasClient;
+
+//Listen on a free local port
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(server.address().port));
+  });
+}
+
+for (let Transport of [AxiosTransport, FetchTransport]) {
+  describe(Transport.name, () => {
+    let brain;
+    let transport;
+
+    before(async () => {
+      brain = new SaasClient.MockBrain();
+      await brain.start();
+    });
+
+    after(async () => {
+      await brain.stop();
+    });
+
+    beforeEach(() => {
+      brain.reset();
+      brain.seed({ detections: [{ id: 1, state: "active" }] });
+      transport = new Transport({ timeout: 100 });
+    });
+
+    function createClient(siteURL = brain.url) {
+      return new SaasClient(siteURL, "client", "secret", 3.3, {
+        rateLimit: { requestsPerSecond: 1000, burst: 100 },
+        retry: { baseDelay: 1 },
+        transport: transport,
+      });
+    }
+
+    it("sends requests through the transport", async () => {
+      let client = createClient();
+      assert.equal((await client.getDetection(1)).id, 1);
+      await client.addDetectionNote(1, "Checked");
+      let notes = await client.getDetectionNotes(1);
+      assert.deepEqual(
+        notes.map((note) => note.note),
+        ["Checked"],
+      );
+    });
+
+    it("turns error statuses into Vectra errors", async () => {
+      await assert.rejects(createClient().getDetection(99), (err) => {
+        assert.ok(err instanceof SaasClient.VectraNotFoundError);
+        assert.equal(err.status, 404);
+        return true;
+      });
+    });
+
+    it("reports a refused connection with its code", async () => {
+      let server = net.createServer();
+      let port = await listen(server);
+      await new Promise((resolve) => server.close(resolve));
+      await assert.rejects(
+        createClient(`http://127.0.0.1:${port}`).getDetection(1),
+        (err) => {
+          assert.ok(err instanceof SaasClient.VectraError);
+          assert.equal(err.code, "ECONNREFUSED");
+          return true;
+        },
+      );
+    });
+
+    it("retries requests that time out", async () => {
+      let received = 0;
+      //Hands out tokens but never answers API requests
+      let server = http.createServer((req, res) => {
+        if (req.url !== "/oauth2/token") {
+          received++;
+          return;
+        }
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify({ access_token: "token", expires_in: 3600 }));
+      });
+      let port = await listen(server);
+      try {
+        let client = createClient(`http://127.0.0.1:${port}`);
+        await assert.rejects(client.getDetection(1), (err) => {
+          assert.ok(err instanceof SaasClient.VectraError);
+          assert.match(err.code, /^(ETIMEDOUT|ECONNABORTED)$/);
+          return true;
+        });
+        assert.equal(received, 3);
+      } finally {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+
+    //Hands out tokens, and sends API requests headers and part of a body only
+    async function partialBodyServer(finish) {
+      let requests = 0;
+      let server = http.createServer((req, res) => {
+        res.setHeader("Content-Type", "application/json");
+        if (req.url === "/oauth2/token") {
+          res.end(JSON.stringify({ access_token: "token", expires_in: 3600 }));
+          return;
+        }
+        requests++;
+        res.setHeader("Content-Length", "100");
+        res.write('{"id": 1');
+        finish(res);
+      });
+      let port = await listen(server);
+      return {
+        url: `http://127.0.0.1:${port}`,
+        get requests() {
+          return requests;
+        },
+        async close() {
+          server.closeAllConnections();
+          await new Promise((resolve) => server.close(resolve));
+        },
+      };
+    }
+
+    it("retries a connection reset while the body arrives", async () => {
+      let server = await partialBodyServer((res) =>
+        setTimeout(() => res.socket.destroy(), 10),
+      );
+      try {
+        await assert.rejects(
+          createClient(server.url).getDetection(1),
+          (err) => {
+            assert.ok(err instanceof SaasClient.VectraError);
+            assert.equal(err.code, "ECONNRESET");
+            return true;
+          },
+        );
+        assert.equal(server.requests, 3);
+      } finally {
+        await server.close();
+      }
+    });
+
+    it("retries a body that times out", async () => {
+      let server = await partialBodyServer(() => {});
+      try {
+        await assert.rejects(
+          createClient(server.url).getDetection(1),
+          (err) => {
+            assert.ok(err instanceof SaasClient.VectraError);
+            assert.match(err.code, /^(ETIMEDOUT|ECONNABORTED)$/);
+            return true;
+          },
+        );
+        assert.equal(server.requests, 3);
+      } finally {
+        await server.close();
+      }
+    });
+
+    it("stops a request when its signal is aborted", async () => {
+      await assert.rejects(
+        createClient().getDetection(1, { signal: AbortSignal.abort() }),
+        SaasClient.VectraAbortError,
+      );
+    });
+  });
+}
+
+describe("AxiosTransport through a proxy", () => {
+  it("applies connectTimeout to the proxy connection", async () => {
+    //Accepts connections but never answers CONNECT
+    let sockets = new Set();
+    let proxy = net.createServer((socket) => sockets.add(socket));
+    let port = await listen(proxy);
+    let transport = new AxiosTransport({
+      proxy: `http://127.0.0.1:${port}`,
+      connectTimeout: 50,
+    });
+    try {
+      await assert.rejects(
+        transport.request({
+          url: "https://brain.example.com/api/v3.3/detections",
+          method: "GET",
+        }),
+        { code: "ETIMEDOUT" },
+      );
+    } finally {
+      transport.close();
+      for (let socket of sockets) {
+        socket.destroy();
+      }
+      await new Promise((resolve) => proxy.close(resolve));
+    }
+  });
+});
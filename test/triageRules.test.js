@@ -0,0 +1,184 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const SaasClient = require("..");
+
+const { validateTriageRule } = SaasClient;
+
+const RULE = {
+  detection_category: "Reconnaissance",
+  detection: "Port Scan",
+  triage_category: "Scanner",
+  description: "Internal scanner",
+  is_whitelist: false,
+  source_conditions: { OR: [{ AND: [] }] },
+};
+
+describe("validateTriageRule", () => {
+  it("accepts a complete rule and ignores read-only fields", () => {
+    validateTriageRule(RULE);
+    validateTriageRule({ ...RULE, id: 1, created_timestamp: "2024-01-01" });
+    validateTriageRule({
+      detection_category: "info",
+      detection: "Port Scan",
+      is_whitelist: true,
+    });
+  });
+
+  it("lists every problem with a per field breakdown", () => {
+    assert.throws(
+      () =>
+        validateTriageRule({
+          detection_category: "Nonsense",
+          priority: "high",
+          colour: "red",
+        }),
+      (err) => {
+        assert.ok(err instanceof SaasClient.VectraValidationError);
+        assert.deepEqual(Object.keys(err.body).sort(), [
+          "colour",
+          "detection",
+          "detection_category",
+          "priority",
+          "triage_category",
+        ]);
+        assert.match(err.message, /^Invalid triage rule: /);
+        return true;
+      },
+    );
+  });
+
+  it("checks condition operators", () => {
+    assert.throws(
+      () => validateTriageRule({ ...RULE, source_conditions: { NOT: [] } }),
+      {
+        body: {
+          source_conditions: [
+            'has unknown operator "NOT", expected "OR" or "AND"',
+          ],
+        },
+      },
+    );
+    assert.throws(
+      () => validateTriageRule({ ...RULE, additional_conditions: { OR: {} } }),
+      {
+        body: {
+          additional_conditions: ['operator "OR" must contain an array'],
+        },
+      },
+    );
+  });
+
+  it("rejects values that are not objects", () => {
+    for (let rule of [null, "rule", [RULE]]) {
+      assert.throws(
+        () => validateTriageRule(rule),
+        SaasClient.VectraValidationError,
+      );
+    }
+  });
+});
+
+describe("triage rules", () => {
+  let brain;
+  let client;
+
+  before(async () => {
+    brain = new SaasClient.MockBrain();
+    await brain.start();
+  });
+
+  after(async () => {
+    await brain.stop();
+  });
+
+  beforeEach(() => {
+    brain.reset();
+    brain.seed({
+      rules: [
+        { id: 1, ...RULE },
+        {
+          id: 2,
+          detection_category: "Lateral Movement",
+          detection: "SMB Brute-Force",
+          triage_category: "Backup server",
+        },
+      ],
+    });
+    client = new SaasClient(brain.url, "client", "secret", 3.3, {
+      rateLimit: { requestsPerSecond: 1000, burst: 100 },
+      retry: { baseDelay: 1 },
+    });
+  });
+
+  //Requests the client sent for a method and path
+  function requestsTo(method, path) {
+    return brain.requests.filter(
+      (request) => request.method === method && request.path === path,
+    );
+  }
+
+  it("filters rules by detection category and type, ignoring case", async () => {
+    let rules = await client.getTriageRules({
+      detection_category: "lateral movement",
+    });
+    assert.deepEqual(
+      rules.map((rule) => rule.id),
+      [2],
+    );
+    rules = await client.getTriageRules({ detection: "PORT SCAN" });
+    assert.deepEqual(
+      rules.map((rule) => rule.id),
+      [1],
+    );
+    assert.equal((await client.getTriageRules()).length, 2);
+  });
+
+  it("does not send an invalid rule", async () => {
+    await assert.rejects(
+      client.createTriageRule({ detection: "Port Scan" }),
+      SaasClient.VectraValidationError,
+    );
+    assert.equal(requestsTo("POST", "/api/v3.3/rules").length, 0);
+  });
+
+  it("sends the rule without read-only fields when updating", async () => {
+    let rule = await client.getTriageRule(1);
+    let updated = await client.updateTriageRule(1, {
+      ...rule,
+      description: "Scanner subnet",
+    });
+    assert.equal(updated.description, "Scanner subnet");
+    let [request] = requestsTo("PUT", "/api/v3.3/rules/1");
+    assert.deepEqual(request.body, { ...RULE, description: "Scanner subnet" });
+    assert.equal(brain.get("rules", 1).description, "Scanner subnet");
+  });
+
+  it("deletes the rule at its own URL", async () => {
+    await client.deleteTriageRule(2);
+    assert.equal(requestsTo("DELETE", "/api/v3.3/rules/2").length, 1);
+    await assert.rejects(
+      client.getTriageRule(2),
+      SaasClient.VectraNotFoundError,
+    );
+  });
+
+  it("clones a rule with changes and leaves the original alone", async () => {
+    let clone = await client.cloneTriageRule(1, {
+      description: "Copy",
+    });
+    assert.notEqual(clone.id, 1);
+    assert.equal(clone.detection, "Port Scan");
+    assert.equal(clone.description, "Copy");
+    assert.equal(brain.get("rules", 1).description, "Internal scanner");
+    let [request] = requestsTo("POST", "/api/v3.3/rules");
+    assert.deepEqual(request.body, { ...RULE, description: "Copy" });
+  });
+
+  it("does not clone into an invalid rule", async () => {
+    await assert.rejects(
+      client.cloneTriageRule(1, { detection_category: "Nonsense" }),
+      SaasClient.VectraValidationError,
+    );
+    assert.equal(requestsTo("POST", "/api/v3.3/rules").length, 0);
+  });
+});